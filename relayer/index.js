@@ -3,38 +3,60 @@ const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const { JOB_STATUS, createJob, getJob, listJobsByStatus, updateJob } = require('./lib/jobStore');
+const {
+  RELAY_STATUS,
+  DuplicateSubmissionError,
+  recordSubmission,
+  updateRelay,
+  getRelay,
+  queryRelays,
+  listHeldRelays
+} = require('./lib/ledger');
+const { ACK_VERSION, signAck } = require('./lib/ackSchema');
+const { SNAPSHOT_VERSION, signSnapshot } = require('./lib/snapshotSchema');
+const { buildFeeQuote } = require('./lib/feeQuote');
+const { decodeProtocolCall } = require('./lib/protocolContract');
+const { loadNetworks } = require('./lib/networks');
+const { QuorumError } = require('./lib/rpcProvider');
+const { planHeldRelease, findMissingNonces } = require('./lib/nonceQueue');
+const { groupBySender, runWithConcurrency } = require('./lib/relayBatch');
+const {
+  VALIDATION_CODES,
+  TransactionValidationError,
+  parseSignedTransaction,
+  validateTransactionState
+} = require('./lib/txValidation');
 
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
 const PORT = process.env.PORT || 3000;
-const REQUIRED_ENV_VARS = ['RELAYER_PRIVATE_KEY', 'CONTRACT_ADDRESS'];
 
-const DEFAULT_RPC_URL = 'https://testnet.evm.nodes.onflow.org';
-const DEFAULT_CHAIN_ID = 545;
-const DEFAULT_NETWORK_NAME = 'flowevm-testnet';
+const RELAYER_VERSION = require('./package.json').version;
+const SNAPSHOT_TTL_SECONDS = Number(process.env.SNAPSHOT_TTL_SECONDS) || 120;
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const RELAY_BATCH_MAX_SIZE = Number(process.env.RELAY_BATCH_MAX_SIZE) || 100;
+const RELAY_BATCH_CONCURRENCY = Number(process.env.RELAY_BATCH_CONCURRENCY) || 4;
+const RELAY_BATCH_WAIT_MS = Number(process.env.RELAY_BATCH_WAIT_MS) || 20000;
+const RPC_HEALTH_CHECK_INTERVAL_MS = Number(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || 30000;
+const API_V1_CAPABILITIES = ['broadcast', 'validate', 'balance', 'acknowledgements'];
 const IS_DEV = process.env.RELAYER_LOG_REQUESTS === 'true' || process.env.NODE_ENV !== 'production';
 
-validateEnv();
+// Provider, relayer wallet and protocol contract per served chain (see lib/networks.js)
+const { networks, defaultNetwork } = loadNetworksOrExit();
 
-const rpcUrl = process.env.RPC_URL || DEFAULT_RPC_URL;
+// Acknowledgements submitted by wallets, keyed by lowercase tx hash
+const acknowledgements = new Map();
+// In-flight confirmation waits, keyed by tx hash
+const pendingConfirmations = new Map();
+// Nonce-gap queue releases in progress, keyed by `${chainId}:${sender}` so each sender is released in order
+const heldReleases = new Map();
 
-// Setup Ethereum provider, relayer wallet, and contract instance
-const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl, {
-  name: DEFAULT_NETWORK_NAME,
-  chainId: DEFAULT_CHAIN_ID,
-});
-const relayerWallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
-const contractAddress = ethers.utils.getAddress(process.env.CONTRACT_ADDRESS);
-const OFFGRIDPAY_PROTOCOL_ABI = [
-  'function getBalance(address user) view returns (uint256)',
-  'function getDepositBalance(address user) view returns (uint256)',
-  'function getUserAccount(address user) view returns (tuple(uint256 balance,uint256 flowDeposit,uint256 nonce,uint256 lastSyncTime,bool isActive,address publicKeyAddress))'
-];
-const OFFGRIDPAYProtocolContract = new ethers.Contract(contractAddress, OFFGRIDPAY_PROTOCOL_ABI, provider);
-
-console.log(`Relayer address: ${relayerWallet.address}`);
+for (const network of networks.values()) {
+  console.log(`Relayer address on ${network.name} (chain ${network.chainId}): ${network.relayerWallet.address}`);
+}
 
 if (IS_DEV) {
   app.use((req, res, next) => {
@@ -57,117 +79,1063 @@ app.get('/', (req, res) => {
 });
 
 app.get('/health', async (req, res) => {
-  try {
-    const latestBlock = await provider.getBlockNumber();
-    res.json({ status: 'ok', latestBlock, relayerAddress: relayerWallet.address });
-  } catch (error) {
-    res.status(503).json({ status: 'error', message: error.message });
+  const network = resolveNetwork(req.query.chainId);
+  if (!network) {
+    return res.status(400).json({ status: 'error', message: `Unsupported chainId ${req.query.chainId}` });
+  }
+
+  const { latestBlock, providers } = await checkNetworkHealth(network);
+  if (latestBlock === null) {
+    return res.status(503).json({ status: 'error', message: 'No RPC endpoint is reachable', chainId: network.chainId, providers });
   }
+
+  res.json({ status: 'ok', latestBlock, chainId: network.chainId, relayerAddress: network.relayerWallet.address, providers });
 });
 
 /**
  * Provide on-demand account state for devices that cannot reach the blockchain directly.
  */
 app.get('/balance', async (req, res) => {
-  const { walletAddress, includeContractAccount } = req.query;
-  await handleBalanceRequest({ walletAddress, includeContractAccount, res });
+  const { walletAddress, includeContractAccount, chainId } = req.query;
+  await handleBalanceRequest({ walletAddress, includeContractAccount, chainId, res });
 });
 
 app.post('/balance', async (req, res) => {
-  const { walletAddress, includeContractAccount } = req.body || {};
-  await handleBalanceRequest({ walletAddress, includeContractAccount, res });
+  const { walletAddress, includeContractAccount, chainId } = req.body || {};
+  await handleBalanceRequest({ walletAddress, includeContractAccount, chainId, res });
 });
 
 /**
  * Endpoint to relay a transaction to the Ethereum network.
  * Expects a JSON body with a `signedTx` field containing the raw, signed transaction hex.
+ * The transaction is routed to the configured network matching its chainId.
  */
 app.post('/relay', async (req, res) => {
-  const { signedTx } = req.body;
+  const { signedTx, relayerAddress } = req.body;
 
   if (!signedTx) {
     return res.status(400).json({ error: 'Missing signedTx field' });
   }
 
+  const context = { walletRelayerAddress: relayerAddress, source: 'relay' };
+
+  if (req.query.mode === 'async') {
+    return handleAsyncRelay(signedTx, context, res);
+  }
+
   try {
-    // 1. Broadcast the transaction
-    console.log('Broadcasting transaction...');
-    const txResponse = await provider.sendTransaction(signedTx);
-    console.log(`Transaction sent! Hash: ${txResponse.hash}`);
-
-    // 2. Wait for confirmation
-    const txReceipt = await txResponse.wait();
-    console.log(`Transaction confirmed in block: ${txReceipt.blockNumber}`);
-
-    // 3. Decode the transaction to get details
-    const decodedTx = ethers.utils.parseTransaction(signedTx);
-    const { from, to, value } = decodedTx;
-
-    const [fromSnapshot, toSnapshot] = await Promise.all([
-      buildAccountSnapshot(from),
-      to ? buildAccountSnapshot(to) : Promise.resolve(null)
-    ]);
+    const { ack, held, job, duplicate } = await relayTransaction(signedTx, context);
+
+    // Nonce gap: the transaction waits in the queue; its job reports the ack once it mines
+    if (held) {
+      return res.status(202).json({ ...formatJob(job), held: true, duplicate });
+    }
+
+    // Return the acknowledgement with the signature and account snapshots
+    res.status(200).json(ack);
+  } catch (error) {
+    sendRelayError(res, error);
+  }
+});
+
+/**
+ * Relay several signed transactions in one request, e.g. everything a BLE relayer collected while offline.
+ * Expects `{ signedTxs: [...], relayerAddress }`; see relayBatch for ordering and concurrency.
+ * Responds with one result per transaction, in request order, carrying its ack once mined.
+ */
+app.post('/relay/batch', async (req, res) => {
+  const { signedTxs, relayerAddress } = req.body || {};
+
+  if (!Array.isArray(signedTxs) || signedTxs.length === 0) {
+    return res.status(400).json({ error: 'signedTxs must be a non-empty array' });
+  }
+  if (signedTxs.length > RELAY_BATCH_MAX_SIZE) {
+    return res.status(413).json({ error: `A batch holds at most ${RELAY_BATCH_MAX_SIZE} transactions` });
+  }
+  if (signedTxs.some((signedTx) => typeof signedTx !== 'string')) {
+    return res.status(400).json({ error: 'Every signedTxs entry must be a raw transaction hex string' });
+  }
 
-    // 4. Create the acknowledgement object
-    const ack = {
-      txHash: txReceipt.transactionHash,
-      blockNumber: txReceipt.blockNumber,
+  try {
+    const results = await relayBatch(signedTxs, { walletRelayerAddress: relayerAddress, source: 'relay-batch' });
+    res.json({ count: results.length, summary: summarizeBatch(results), results });
+  } catch (error) {
+    console.error('Error relaying batch:', error);
+    res.status(500).json({ error: 'Failed to relay batch', details: error.message });
+  }
+});
+
+/**
+ * Report the status of an async relay job. The signed acknowledgement is included once mined.
+ */
+app.get('/relay/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Relay job not found' });
+  }
+
+  res.json(formatJob(job));
+});
+
+/**
+ * Relay ledger queries for reconciliation and replay.
+ * Filters: `from`, `to`, `status`, `chainId`, `since`/`until` (ms timestamp or ISO date), `limit`, `offset`.
+ */
+app.get('/relays', (req, res) => {
+  const { from, to, status, chainId } = req.query;
+
+  for (const [field, value] of [['from', from], ['to', to]]) {
+    if (value && !ethers.utils.isAddress(value)) {
+      return res.status(400).json({ error: `Invalid ${field} address provided` });
+    }
+  }
+
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: 'since/until must be a millisecond timestamp or ISO date' });
+  }
+
+  try {
+    const relays = queryRelays({
       from,
       to,
-      value: value.toString(),
-      accounts: {
-        [ethers.utils.getAddress(from)]: fromSnapshot
-      },
-      relayerAddress: relayerWallet.address
-    };
+      status,
+      chainId: chainId ? Number(chainId) : undefined,
+      since,
+      until,
+      limit: Number(req.query.limit) || undefined,
+      offset: Number(req.query.offset) || undefined
+    });
+    res.json({ count: relays.length, relays });
+  } catch (error) {
+    console.error('Failed to query relay ledger:', error);
+    res.status(500).json({ error: 'Failed to query relay ledger', details: error.message });
+  }
+});
+
+/**
+ * Nonce-gap queue: transactions held until the sender's earlier nonces are mined or broadcast.
+ * Filters: `from`, `chainId`.
+ */
+app.get('/relays/queue', async (req, res) => {
+  const { from, chainId } = req.query;
+
+  if (from && !ethers.utils.isAddress(from)) {
+    return res.status(400).json({ error: 'Invalid from address provided' });
+  }
+
+  try {
+    const held = listHeldRelays({ from, chainId: chainId ? Number(chainId) : undefined });
+    const senders = await describeHeldQueue(held);
+    res.json({ count: held.length, senders });
+  } catch (error) {
+    console.error('Failed to read nonce-gap queue:', error);
+    res.status(500).json({ error: 'Failed to read nonce-gap queue', details: error.message });
+  }
+});
+
+app.get('/relays/:txHash', (req, res) => {
+  const relay = getRelay(req.params.txHash);
+
+  if (!relay) {
+    return res.status(404).json({ error: 'Relay not found' });
+  }
+
+  res.json(relay);
+});
+
+/**
+ * Versioned API consumed by the mobile wallet (`RelayerApiService`).
+ * The unversioned routes above are kept as aliases for QR-based clients.
+ */
+const apiV1 = express.Router();
+
+apiV1.get('/health', async (req, res) => {
+  const network = resolveNetwork(req.query.chainId);
+  if (!network) {
+    return sendUnsupportedChain(res, req.query.chainId);
+  }
+
+  const { latestBlock, providers } = await checkNetworkHealth(network);
+  if (latestBlock === null) {
+    return res.status(503).json({
+      success: false,
+      status: 'error',
+      error: 'No RPC endpoint is reachable',
+      chainId: network.chainId,
+      providers
+    });
+  }
+
+  res.json({
+    success: true,
+    status: 'ok',
+    latestBlock,
+    chainId: network.chainId,
+    relayerAddress: network.relayerWallet.address,
+    providers
+  });
+});
+
+/**
+ * Top-level fields describe the default network; `networks` lists every chain this relayer serves.
+ */
+apiV1.get('/info', (req, res) => {
+  res.json({
+    success: true,
+    address: defaultNetwork.relayerWallet.address,
+    chainId: defaultNetwork.chainId,
+    networkName: defaultNetwork.name,
+    contractAddress: defaultNetwork.contractAddress,
+    networks: [...networks.values()].map(formatNetwork),
+    version: RELAYER_VERSION,
+    ackVersion: ACK_VERSION,
+    capabilities: API_V1_CAPABILITIES
+  });
+});
 
-    if (toSnapshot) {
-      ack.accounts[ethers.utils.getAddress(to)] = toSnapshot;
+apiV1.get('/balance/:address', async (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid address provided', code: 'INVALID_ADDRESS' });
+  }
+
+  const network = resolveNetwork(req.query.chainId);
+  if (!network) {
+    return sendUnsupportedChain(res, req.query.chainId);
+  }
+
+  try {
+    const snapshot = await buildBalanceSnapshot(network, address, true);
+    res.json({
+      success: true,
+      address: snapshot.walletAddress,
+      nativeBalance: snapshot.nativeBalance.wei,
+      protocolBalance: snapshot.protocolAccount ? snapshot.protocolAccount.balanceWei : null,
+      nonce: snapshot.protocolAccount ? snapshot.protocolAccount.nonce : '0',
+      accountNonce: snapshot.accountNonce,
+      fees: snapshot.fees,
+      protocolAccount: snapshot.protocolAccount,
+      chainId: snapshot.chainId,
+      timestamp: snapshot.timestamp,
+      validUntil: snapshot.validUntil,
+      signer: snapshot.signer,
+      digest: snapshot.digest,
+      signature: snapshot.signature,
+      snapshot
+    });
+  } catch (error) {
+    console.error('Failed to fetch balance snapshot:', error);
+    if (error instanceof QuorumError) {
+      return res.status(503).json({ success: false, error: 'Failed to fetch balance', details: error.message, code: error.code, data: error.data });
     }
+    res.status(500).json({ success: false, error: 'Failed to fetch balance', details: error.message, code: 'BALANCE_ERROR' });
+  }
+});
 
-    // 5. Sign the acknowledgement hash
-    const ackHash = ethers.utils.solidityKeccak256(
-      ['bytes32', 'uint256', 'address', 'address', 'uint256'],
-      [
-        ack.txHash,
-        ack.blockNumber,
-        ack.from,
-        ack.to || ethers.constants.AddressZero,
-        ack.value
-      ]
-    );
-    const relayerSig = await relayerWallet.signMessage(ethers.utils.arrayify(ackHash));
-    console.log('Acknowledgement signed successfully.');
+/**
+ * Broadcast a transaction forwarded by a BLE relayer phone.
+ * Body: `{ signedTx, metadata, relayerAddress, bleSource, timestamp }`.
+ */
+apiV1.post('/broadcast', async (req, res) => {
+  const { signedTx, relayerAddress } = req.body || {};
+
+  if (!signedTx) {
+    return res.status(400).json({ success: false, error: 'Missing signedTx field', code: 'MISSING_SIGNED_TX' });
+  }
 
-    // 6. Return the acknowledgement with the signature and account snapshots
-    res.status(200).json({ ...ack, relayerSig });
+  try {
+    const { ack, receipt, duplicate, held, job } = await relayTransaction(signedTx, {
+      walletRelayerAddress: relayerAddress,
+      source: 'api-v1-broadcast'
+    });
+    console.log(`Broadcast forwarded by wallet relayer ${relayerAddress || 'unknown'}`);
+
+    if (held) {
+      return res.status(202).json({
+        success: true,
+        held: true,
+        txHash: job.txHash,
+        jobId: job.id,
+        status: job.status,
+        duplicate,
+        ack: null
+      });
+    }
+
+    res.json({
+      success: true,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.effectiveGasPrice,
+      status: receipt.status,
+      confirmations: receipt.confirmations,
+      duplicate,
+      ack
+    });
   } catch (error) {
-    console.error('Error relaying transaction:', error);
-    res.status(500).json({ error: 'Failed to relay transaction', details: error.message });
+    if (error instanceof TransactionValidationError) {
+      return res.status(422).json({ success: false, error: error.message, code: error.code, data: error.data });
+    }
+    if (error instanceof DuplicateSubmissionError) {
+      return res.status(409).json({ success: false, error: error.message, ...formatDuplicate(error) });
+    }
+
+    console.error('Error broadcasting transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to broadcast transaction',
+      details: error.message,
+      code: error.code || 'BROADCAST_ERROR'
+    });
+  }
+});
+
+/**
+ * Dry-run the pre-broadcast validation so BLE relayers can report a precise rejection reason.
+ */
+apiV1.post('/validate', async (req, res) => {
+  const { signedTx } = req.body || {};
+
+  if (!signedTx) {
+    return res.status(400).json({ success: false, error: 'Missing signedTx field', code: 'MISSING_SIGNED_TX' });
+  }
+
+  try {
+    const decodedTx = parseSignedTransaction(signedTx);
+    const network = getTransactionNetwork(decodedTx);
+    const { pendingNonce, replacement } = await validateTransactionState(decodedTx, {
+      provider: network.provider,
+      chainId: network.chainId
+    });
+    res.json({ success: true, valid: true, from: decodedTx.from, nonce: decodedTx.nonce, pendingNonce, replacement });
+  } catch (error) {
+    if (error instanceof TransactionValidationError) {
+      return res.json({ success: true, valid: false, error: error.message, code: error.code, data: error.data });
+    }
+
+    console.error('Failed to validate transaction:', error);
+    res.status(500).json({ success: false, error: 'Failed to validate transaction', details: error.message, code: 'VALIDATION_ERROR' });
+  }
+});
+
+/**
+ * Acknowledgements handed back by wallets, kept so relayer phones can re-sync them.
+ */
+apiV1.post('/acknowledgements', (req, res) => {
+  const ack = req.body || {};
+
+  if (!ack.txHash) {
+    return res.status(400).json({ success: false, error: 'Missing txHash field', code: 'MISSING_TX_HASH' });
   }
+
+  acknowledgements.set(ack.txHash.toLowerCase(), { ...ack, receivedAt: Date.now() });
+  res.json({ success: true, txHash: ack.txHash });
 });
 
+apiV1.get('/acknowledgements/:txHash', (req, res) => {
+  const ack = acknowledgements.get(req.params.txHash.toLowerCase());
+
+  if (!ack) {
+    return res.status(404).json({ success: false, error: 'Acknowledgement not found', code: 'NOT_FOUND' });
+  }
+
+  res.json({ success: true, ack });
+});
+
+app.use('/api/v1', apiV1);
+
 app.listen(PORT, () => {
   console.log(`Relayer server listening on port ${PORT}`);
+  startJobMonitor();
+  startProviderHealthChecks();
 });
 
-function validateEnv() {
-  const missing = REQUIRED_ENV_VARS.filter((key) => !process.env[key]);
-  if (missing.length) {
-    console.error(`Missing required environment variables: ${missing.join(', ')}`);
+/**
+ * Broadcast without waiting for the receipt; the job monitor tracks the transaction from here.
+ */
+async function handleAsyncRelay(signedTx, context, res) {
+  try {
+    const { txHash, existing, held } = await broadcastTransaction(signedTx, { ...context, source: `${context.source}-async` });
+
+    if (existing && existing.status === RELAY_STATUS.SUBMITTED) {
+      throw new DuplicateSubmissionError(existing);
+    }
+
+    const existingJob = existing && existing.jobId ? getJob(existing.jobId) : null;
+    if (existingJob) {
+      return res.status(200).json({ ...formatJob(existingJob), duplicate: true });
+    }
+
+    let job = createRelayJob(txHash, signedTx, held ? JOB_STATUS.HELD : JOB_STATUS.PENDING);
+
+    // Relayed earlier through the blocking path: hand back its outcome right away
+    if (existing && existing.status !== RELAY_STATUS.PENDING && existing.status !== RELAY_STATUS.HELD) {
+      job = updateJob(job.id, {
+        status: existing.status,
+        receipt: existing.receipt,
+        ack: existing.ack,
+        error: existing.error
+      });
+    }
+
+    res.status(existing ? 200 : 202).json({ ...formatJob(job), duplicate: Boolean(existing) });
+  } catch (error) {
+    sendRelayError(res, error);
+  }
+}
+
+/**
+ * Create the job that tracks a relayed transaction and link it from the ledger entry.
+ */
+function createRelayJob(txHash, signedTx, status) {
+  const decodedTx = parseSignedTransaction(signedTx);
+  const job = createJob({ txHash, signedTx, from: decodedTx.from, nonce: decodedTx.nonce, status });
+  updateRelay(txHash, { jobId: job.id });
+  return job;
+}
+
+function sendRelayError(res, error) {
+  if (error instanceof DuplicateSubmissionError) {
+    console.warn(`[relayer] duplicate submission of ${error.relay.txHash}: ${error.code}`);
+    return res.status(409).json({ error: 'Transaction already submitted', details: error.message, ...formatDuplicate(error) });
+  }
+
+  if (error instanceof TransactionValidationError) {
+    console.warn(`[relayer] transaction rejected by validation: ${error.code} - ${error.message}`);
+    return res.status(422).json({
+      error: 'Transaction failed validation',
+      details: error.message,
+      code: error.code,
+      data: error.data
+    });
+  }
+
+  console.error('Error relaying transaction:', error);
+  res.status(500).json({ error: 'Failed to relay transaction', details: error.message });
+}
+
+/**
+ * The stored outcome a duplicate submission responds with
+ */
+function formatDuplicate(error) {
+  const { relay } = error;
+  return { code: error.code, txHash: relay.txHash, status: relay.status, receipt: relay.receipt, duplicate: true };
+}
+
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    txHash: job.txHash,
+    status: job.status,
+    receipt: job.receipt,
+    ack: job.ack,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+function parseTimeParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+function loadNetworksOrExit() {
+  try {
+    return loadNetworks();
+  } catch (error) {
+    console.error(error.message);
     process.exit(1);
   }
+}
+
+/**
+ * Network for a `chainId` request parameter; the default network when it is omitted, null when unsupported.
+ */
+function resolveNetwork(chainId) {
+  if (chainId === undefined || chainId === null || chainId === '') {
+    return defaultNetwork;
+  }
+
+  return networks.get(Number(chainId)) || null;
+}
+
+/**
+ * Network a signed transaction belongs to, picked by its chainId.
+ */
+function getTransactionNetwork(decodedTx) {
+  const network = decodedTx.chainId ? networks.get(decodedTx.chainId) : null;
+
+  if (!network) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.WRONG_CHAIN,
+      decodedTx.chainId
+        ? `Transaction targets chain ${decodedTx.chainId}, which this relayer does not serve`
+        : 'Transaction is not replay-protected (missing chainId)',
+      { expected: [...networks.keys()], actual: decodedTx.chainId || null }
+    );
+  }
+
+  return network;
+}
+
+/**
+ * Probe every RPC endpoint of a network. `latestBlock` is the highest head reported, null when none answered.
+ */
+async function checkNetworkHealth(network) {
+  const providers = await network.provider.checkHealth();
+  // Only endpoints that answered this probe count towards the head
+  const heads = providers.filter((entry) => entry.consecutiveFailures === 0 && entry.blockNumber !== null);
+
+  return {
+    latestBlock: heads.length ? Math.max(...heads.map((entry) => entry.blockNumber)) : null,
+    providers
+  };
+}
+
+/**
+ * Re-probe RPC endpoints in the background so failed ones can earn their score back.
+ */
+function startProviderHealthChecks() {
+  return setInterval(() => {
+    for (const network of networks.values()) {
+      network.provider.checkHealth().catch((error) => {
+        console.error(`[relayer] RPC health check failed for ${network.name}:`, error.message);
+      });
+    }
+  }, RPC_HEALTH_CHECK_INTERVAL_MS);
+}
+
+function sendUnsupportedChain(res, chainId) {
+  res.status(400).json({
+    success: false,
+    error: `Unsupported chainId ${chainId}`,
+    code: 'UNSUPPORTED_CHAIN',
+    data: { supportedChainIds: [...networks.keys()] }
+  });
+}
+
+function formatNetwork(network) {
+  return {
+    chainId: network.chainId,
+    name: network.name,
+    contractAddress: network.contractAddress,
+    relayerAddress: network.relayerWallet.address
+  };
+}
+
+/**
+ * Broadcast a signed transaction, wait for it to be mined and build the signed acknowledgement.
+ * Resubmissions of an already relayed transaction return the stored ack instead of re-broadcasting.
+ * A transaction held in the nonce-gap queue returns `held` and the job that will carry its ack.
+ */
+async function relayTransaction(signedTx, context) {
+  const submission = await submitTransaction(signedTx, context);
+
+  if (submission.held) {
+    return submission;
+  }
+
+  const { ack, receipt } = await submission.confirmation;
+  return { ack, receipt, duplicate: submission.duplicate };
+}
+
+/**
+ * Broadcast a signed transaction without waiting for it to be mined.
+ * Returns `{ held, job, duplicate }` for transactions in the nonce-gap queue, otherwise
+ * `{ confirmation, job, duplicate }` where `confirmation` resolves with `{ ack, receipt }` once mined.
+ * Pending transactions get a job too, so the job monitor picks them up after a restart.
+ * Throws a DuplicateSubmissionError for a resubmission that failed, was replaced or is still being submitted.
+ */
+async function submitTransaction(signedTx, context) {
+  const { txHash, existing, network, held } = await broadcastTransaction(signedTx, context);
+
+  if (held || (existing && existing.status === RELAY_STATUS.HELD)) {
+    const job = (existing && existing.jobId && getJob(existing.jobId)) || createRelayJob(txHash, signedTx, JOB_STATUS.HELD);
+    return { held: true, job, duplicate: Boolean(existing) };
+  }
+
+  if (existing && existing.status === RELAY_STATUS.MINED && existing.ack) {
+    return { confirmation: Promise.resolve({ ack: existing.ack, receipt: existing.receipt }), duplicate: true };
+  }
+
+  // Settled without an ack, or still being submitted by another request: report the stored outcome
+  if (existing && (existing.status === RELAY_STATUS.FAILED || existing.status === RELAY_STATUS.REPLACED || existing.status === RELAY_STATUS.SUBMITTED)) {
+    throw new DuplicateSubmissionError(existing);
+  }
+
+  const job = (existing && existing.jobId && getJob(existing.jobId)) || createRelayJob(txHash, signedTx, JOB_STATUS.PENDING);
+
+  // Concurrent requests for the same transaction share one confirmation wait
+  if (!pendingConfirmations.has(txHash)) {
+    const confirmation = waitForRelayConfirmation(network, job).finally(() => {
+      pendingConfirmations.delete(txHash);
+    });
+    pendingConfirmations.set(txHash, confirmation);
+  }
+
+  return { confirmation: pendingConfirmations.get(txHash), job, duplicate: Boolean(existing) };
+}
+
+/**
+ * Relay a batch of signed transactions. Each sender's transactions are broadcast one at a time in
+ * nonce order, so a batch that carries a nonce gap's missing transaction never has its later nonces
+ * rejected; up to RELAY_BATCH_CONCURRENCY senders are processed at once.
+ * Results come back in request order. Transactions not mined within RELAY_BATCH_WAIT_MS are reported
+ * `pending` with a job that will carry their ack.
+ */
+async function relayBatch(signedTxs, context) {
+  const results = new Array(signedTxs.length);
+  const { queues, invalid } = groupBySender(signedTxs);
+
+  for (const { index, error } of invalid) {
+    results[index] = formatBatchFailure({ index, txHash: null }, error);
+  }
+
+  await runWithConcurrency(queues, RELAY_BATCH_CONCURRENCY, async (items) => {
+    const confirmations = [];
+
+    for (const item of items) {
+      try {
+        const submission = await submitTransaction(item.signedTx, context);
+
+        if (submission.held) {
+          results[item.index] = formatBatchResult(item, 'held', { jobId: submission.job.id, duplicate: submission.duplicate });
+          continue;
+        }
+
+        confirmations.push(
+          awaitBatchConfirmation(item, submission).then((result) => {
+            results[item.index] = result;
+          })
+        );
+      } catch (error) {
+        results[item.index] = formatBatchFailure(item, error);
+      }
+    }
+
+    await Promise.all(confirmations);
+  });
+
+  return results;
+}
+
+async function awaitBatchConfirmation(item, submission) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, RELAY_BATCH_WAIT_MS, null);
+  });
+
+  try {
+    const confirmed = await Promise.race([submission.confirmation, timeout]);
+
+    if (!confirmed) {
+      // Still in the mempool: its job carries the ack once it mines
+      return formatBatchResult(item, 'pending', { jobId: submission.job.id, duplicate: submission.duplicate });
+    }
+
+    return formatBatchResult(item, 'mined', {
+      ack: confirmed.ack,
+      receipt: confirmed.receipt,
+      duplicate: submission.duplicate
+    });
+  } catch (error) {
+    return formatBatchFailure(item, error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function formatBatchResult(item, status, { ack = null, receipt = null, jobId = null, duplicate = false, error = null, code = null } = {}) {
+  return { index: item.index, txHash: item.txHash, status, ack, receipt, jobId, duplicate, error, code };
+}
+
+function formatBatchFailure(item, error) {
+  const rejected = error instanceof TransactionValidationError;
+  const duplicate = error instanceof DuplicateSubmissionError;
+  return formatBatchResult(item, rejected ? 'rejected' : 'failed', {
+    error: error.message,
+    code: rejected || duplicate ? error.code : null,
+    duplicate
+  });
+}
+
+function summarizeBatch(results) {
+  const summary = { mined: 0, pending: 0, held: 0, rejected: 0, failed: 0 };
+  for (const result of results) {
+    summary[result.status] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Wait for a relay job's transaction to be mined and resolve the job with its receipt and ack.
+ */
+async function waitForRelayConfirmation(network, job) {
+  const receipt = await network.provider.waitForTransaction(job.txHash);
+
+  if (receipt.status === 0) {
+    resolveJob(job, { status: JOB_STATUS.FAILED, receipt: formatReceipt(receipt), error: 'Transaction reverted' });
+    throw new Error('Transaction reverted');
+  }
+  console.log(`Transaction confirmed in block: ${receipt.blockNumber}`);
+
+  const ack = await buildRelayAck(network, job.signedTx, receipt);
+  const formattedReceipt = formatReceipt(receipt);
+  resolveJob(job, { status: JOB_STATUS.MINED, receipt: formattedReceipt, ack });
+  return { ack, receipt: formattedReceipt };
+}
+
+/**
+ * Record the transaction in the relay ledger, run the pre-broadcast validation and hand it to the RPC.
+ * Submissions are keyed by the keccak hash of the signed transaction, so a transaction that already
+ * reached the mempool, or that another request is submitting, is never broadcast twice; `existing`
+ * carries its ledger entry.
+ * `network` is the configured network matching the transaction's chainId.
+ * A nonce ahead of the sender's next nonce is not broadcast: the transaction is `held` in the
+ * nonce-gap queue until the missing nonces arrive (see releaseHeldTransactions).
+ */
+async function broadcastTransaction(signedTx, { walletRelayerAddress = null, source }) {
+  const decodedTx = parseSignedTransaction(signedTx);
+  const network = getTransactionNetwork(decodedTx);
+  const { provider } = network;
+  const txHash = ethers.utils.keccak256(signedTx);
+
+  if (!recordSubmission({ txHash, signedTx, decodedTx, walletRelayerAddress, source })) {
+    const existing = getRelay(txHash);
+    console.log(`Duplicate submission of ${txHash} (${existing.status}), skipping broadcast`);
+    return { txHash, existing, network };
+  }
+
+  try {
+    const { pendingNonce, replacement } = await validateTransactionState(decodedTx, { provider, chainId: network.chainId });
+
+    if (decodedTx.nonce > pendingNonce) {
+      updateRelay(txHash, { status: RELAY_STATUS.HELD });
+      console.log(`Holding ${txHash}: nonce ${decodedTx.nonce} is ahead of ${decodedTx.from}'s next nonce ${pendingNonce}`);
+      return { txHash, existing: null, network, held: true };
+    }
 
-  if (!process.env.RPC_URL) {
-    console.warn(`[relayer] RPC_URL not set. Falling back to ${DEFAULT_RPC_URL}`);
+    console.log(replacement ? `Broadcasting replacement for nonce ${decodedTx.nonce}...` : 'Broadcasting transaction...');
+    await provider.sendTransaction(signedTx);
+  } catch (error) {
+    // "already known" / "nonce too low" for our own transaction: the node has it, so it is not a failure
+    const knownTx = await provider.getTransaction(txHash).catch(() => null);
+    if (!knownTx) {
+      const reason = error instanceof TransactionValidationError ? `${error.code}: ${error.message}` : error.message;
+      updateRelay(txHash, { status: RELAY_STATUS.REJECTED, error: reason });
+      throw error;
+    }
+    console.log(`Transaction ${txHash} already known to the node`);
   }
+
+  updateRelay(txHash, { status: RELAY_STATUS.PENDING });
+  console.log(`Transaction sent to ${network.name}! Hash: ${txHash}`);
+
+  // This transaction may have filled a nonce gap
+  scheduleHeldRelease(network, decodedTx.from);
+  return { txHash, existing: null, network };
 }
 
-async function buildAccountSnapshot(walletAddress) {
+/**
+ * Queue a release of the sender's held transactions behind any release already running for them.
+ */
+function scheduleHeldRelease(network, from) {
+  const key = `${network.chainId}:${from.toLowerCase()}`;
+  const previous = heldReleases.get(key) || Promise.resolve();
+
+  const release = previous
+    .then(() => releaseHeldTransactions(network, from))
+    .catch((error) => console.error(`[relayer] failed to release held transactions for ${from}:`, error.message))
+    .finally(() => {
+      if (heldReleases.get(key) === release) {
+        heldReleases.delete(key);
+      }
+    });
+
+  heldReleases.set(key, release);
+  return release;
+}
+
+/**
+ * Broadcast held transactions whose nonce is now next in line, in nonce order, stopping at the next gap.
+ * Held transactions whose nonce was taken by another transaction are marked replaced.
+ */
+async function releaseHeldTransactions(network, from) {
+  const held = listHeldRelays({ from, chainId: network.chainId });
+  if (!held.length) {
+    return;
+  }
+
+  const { provider } = network;
+  const nextNonce = await provider.getTransactionCount(from, 'pending');
+  const { stale, ready } = planHeldRelease(held, nextNonce);
+
+  for (const relay of stale) {
+    settleHeldRelay(relay, RELAY_STATUS.REPLACED, JOB_STATUS.REPLACED, `Nonce ${relay.nonce} consumed by another transaction`);
+  }
+
+  for (const relay of ready) {
+    try {
+      await validateTransactionState(parseSignedTransaction(relay.signedTx), { provider, chainId: network.chainId });
+      await provider.sendTransaction(relay.signedTx);
+    } catch (error) {
+      const knownTx = await provider.getTransaction(relay.txHash).catch(() => null);
+      if (!knownTx) {
+        const reason = error instanceof TransactionValidationError ? `${error.code}: ${error.message}` : error.message;
+        settleHeldRelay(relay, RELAY_STATUS.REJECTED, JOB_STATUS.FAILED, reason);
+        break;
+      }
+    }
+
+    updateRelay(relay.txHash, { status: RELAY_STATUS.PENDING });
+    if (relay.jobId) {
+      updateJob(relay.jobId, { status: JOB_STATUS.PENDING });
+    }
+    console.log(`[relayer] released held ${relay.txHash} (nonce ${relay.nonce}) for ${from}`);
+  }
+}
+
+function settleHeldRelay(relay, relayStatus, jobStatus, error) {
+  updateRelay(relay.txHash, { status: relayStatus, error });
+  if (relay.jobId) {
+    updateJob(relay.jobId, { status: jobStatus, error });
+  }
+  console.log(`[relayer] held ${relay.txHash} ${relayStatus}: ${error}`);
+}
+
+/**
+ * Group held transactions by sender, with the sender's next nonce and the nonces still missing.
+ */
+async function describeHeldQueue(held) {
+  const senders = new Map();
+  for (const relay of held) {
+    const key = `${relay.chainId}:${relay.from}`;
+    if (!senders.has(key)) {
+      senders.set(key, { chainId: relay.chainId, from: relay.from, transactions: [] });
+    }
+    senders.get(key).transactions.push({
+      txHash: relay.txHash,
+      nonce: relay.nonce,
+      to: relay.to,
+      value: relay.value,
+      jobId: relay.jobId,
+      submittedAt: relay.submittedAt
+    });
+  }
+
+  return Promise.all(
+    [...senders.values()].map(async (sender) => {
+      const network = networks.get(sender.chainId);
+      const nextNonce = network ? await network.provider.getTransactionCount(sender.from, 'pending').catch(() => null) : null;
+      const missingNonces = findMissingNonces(sender.transactions.map((tx) => tx.nonce), nextNonce);
+
+      return { ...sender, nextNonce, missingNonces };
+    })
+  );
+}
+
+/**
+ * Build the relayer-signed acknowledgement for a mined transaction.
+ */
+async function buildRelayAck(network, signedTx, receipt) {
+  // 1. Decode the transaction to get details
+  const decodedTx = ethers.utils.parseTransaction(signedTx);
+  const { from, to, value } = decodedTx;
+
+  // Calls to the protocol contract move protocol balances: snapshot the accounts they touch, not the contract
+  const protocolCall = decodeProtocolCall(decodedTx, network.contractAddress);
+  const counterparty = protocolCall ? protocolCall.recipient : to;
+
+  const [fromSnapshot, toSnapshot, effectiveGasPrice] = await Promise.all([
+    buildAccountSnapshot(network, from, receipt.blockNumber),
+    counterparty ? buildAccountSnapshot(network, counterparty, receipt.blockNumber) : Promise.resolve(null),
+    getEffectiveGasPrice(network, decodedTx, receipt)
+  ]);
+
+  // 2. Create the acknowledgement object
+  const ack = {
+    version: ACK_VERSION,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    chainId: network.chainId,
+    from,
+    to,
+    value: value.toString(),
+    txType: decodedTx.type || 0,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: effectiveGasPrice.toString(),
+    protocolCall,
+    accounts: {
+      [ethers.utils.getAddress(from)]: fromSnapshot
+    },
+    relayerAddress: network.relayerWallet.address
+  };
+
+  if (toSnapshot) {
+    ack.accounts[toSnapshot.address] = toSnapshot;
+  }
+
+  // 3. Sign the acknowledgement as EIP-712 typed data (see lib/ackSchema.js)
+  const relayerSig = await signAck(network.relayerWallet, ack);
+  console.log('Acknowledgement signed successfully.');
+
+  return { ...ack, relayerSig };
+}
+
+/**
+ * Price per gas the sender actually paid. Nodes report it in the receipt; for type-2 transactions on
+ * nodes that don't, it is the base fee of the block plus the tip, capped at maxFeePerGas, or
+ * maxFeePerGas itself when the block's base fee can't be read.
+ */
+async function getEffectiveGasPrice(network, decodedTx, receipt) {
+  if (receipt.effectiveGasPrice) {
+    return receipt.effectiveGasPrice;
+  }
+
+  if (decodedTx.type !== 2) {
+    return decodedTx.gasPrice;
+  }
+
+  const block = await network.provider.getBlock(receipt.blockNumber);
+  if (!block || !block.baseFeePerGas) {
+    return decodedTx.maxFeePerGas;
+  }
+
+  const tipped = block.baseFeePerGas.add(decodedTx.maxPriorityFeePerGas);
+  return tipped.lt(decodedTx.maxFeePerGas) ? tipped : decodedTx.maxFeePerGas;
+}
+
+function formatReceipt(receipt) {
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+    status: receipt.status,
+    confirmations: receipt.confirmations
+  };
+}
+
+/**
+ * Poll pending async relay jobs until they are mined, fail or get replaced.
+ * Runs from the job store so jobs submitted before a restart are picked up again.
+ */
+function startJobMonitor() {
+  let isPolling = false;
+
+  const poll = async () => {
+    if (isPolling) {
+      return;
+    }
+
+    isPolling = true;
+    try {
+      for (const job of listJobsByStatus(JOB_STATUS.PENDING)) {
+        // A request in this process is already waiting on it and resolves the job itself
+        if (!pendingConfirmations.has(job.txHash)) {
+          await refreshJob(job);
+        }
+      }
+      await releaseAllHeldTransactions();
+    } catch (error) {
+      console.error('[relayer] job monitor failed:', error);
+    } finally {
+      isPolling = false;
+    }
+  };
+
+  poll();
+  return setInterval(poll, JOB_POLL_INTERVAL_MS);
+}
+
+/**
+ * Gaps can also close outside the relayer (the sender broadcast elsewhere), so the monitor re-checks every queue.
+ */
+async function releaseAllHeldTransactions() {
+  const senders = new Map();
+  for (const relay of listHeldRelays()) {
+    senders.set(`${relay.chainId}:${relay.from}`, relay);
+  }
+
+  for (const relay of senders.values()) {
+    const network = networks.get(relay.chainId);
+    if (network) {
+      await scheduleHeldRelease(network, relay.from);
+    }
+  }
+}
+
+async function refreshJob(job) {
+  const network = networks.get(parseSignedTransaction(job.signedTx).chainId);
+  if (!network) {
+    console.warn(`[relayer] job ${job.id} targets a chain that is no longer configured, skipping`);
+    return;
+  }
+
+  try {
+    const { provider } = network;
+    const receipt = await provider.getTransactionReceipt(job.txHash);
+
+    if (receipt) {
+      if (receipt.status === 0) {
+        resolveJob(job, { status: JOB_STATUS.FAILED, receipt: formatReceipt(receipt), error: 'Transaction reverted' });
+        console.log(`[relayer] job ${job.id} failed on-chain (${job.txHash})`);
+        return;
+      }
+
+      const ack = await buildRelayAck(network, job.signedTx, receipt);
+      resolveJob(job, { status: JOB_STATUS.MINED, receipt: formatReceipt(receipt), ack });
+      console.log(`[relayer] job ${job.id} mined in block ${receipt.blockNumber}`);
+      return;
+    }
+
+    // No receipt yet: if the sender's nonce moved past ours, another transaction took the slot
+    const minedNonce = await provider.getTransactionCount(job.from, 'latest');
+    if (minedNonce > job.nonce) {
+      // Ours may have been mined between the two lookups; the next poll picks up its receipt
+      if (await provider.getTransactionReceipt(job.txHash)) {
+        return;
+      }
+
+      resolveJob(job, { status: JOB_STATUS.REPLACED, error: `Nonce ${job.nonce} consumed by another transaction` });
+      console.log(`[relayer] job ${job.id} replaced (${job.txHash})`);
+    }
+  } catch (error) {
+    console.error(`[relayer] failed to refresh job ${job.id}:`, error.message);
+  }
+}
+
+/**
+ * Persist a job's final state; job statuses double as ledger statuses.
+ */
+function resolveJob(job, update) {
+  updateJob(job.id, update);
+  updateRelay(job.txHash, {
+    status: update.status,
+    receipt: update.receipt,
+    ack: update.ack,
+    error: update.error
+  });
+}
+
+/**
+ * Native and protocol balances of an account, read at `blockTag` (the block an acked transaction was mined in).
+ */
+async function buildAccountSnapshot(network, walletAddress, blockTag = 'latest') {
   const checksumAddress = ethers.utils.getAddress(walletAddress);
   const [nativeBalanceWei, userAccount] = await Promise.all([
-    provider.getBalance(checksumAddress),
-    OFFGRIDPAYProtocolContract.getUserAccount(checksumAddress)
+    network.provider.getBalance(checksumAddress, blockTag),
+    network.protocolContract.getUserAccount(checksumAddress, { blockTag })
   ]);
 
   const formattedAccount = formatUserAccount(userAccount);
@@ -200,7 +1168,7 @@ function formatUserAccount(account) {
   };
 }
 
-async function handleBalanceRequest({ walletAddress, includeContractAccount, res }) {
+async function handleBalanceRequest({ walletAddress, includeContractAccount, chainId, res }) {
   if (!walletAddress) {
     return res.status(400).json({ error: 'Missing walletAddress field' });
   }
@@ -209,67 +1177,78 @@ async function handleBalanceRequest({ walletAddress, includeContractAccount, res
     return res.status(400).json({ error: 'Invalid walletAddress provided' });
   }
 
+  const network = resolveNetwork(chainId);
+  if (!network) {
+    return res.status(400).json({ error: `Unsupported chainId ${chainId}`, supportedChainIds: [...networks.keys()] });
+  }
+
   try {
     const include = includeContractAccount !== undefined ? includeContractAccount !== false && includeContractAccount !== 'false' : true;
-    const snapshot = await buildBalanceSnapshot(walletAddress, include);
+    const snapshot = await buildBalanceSnapshot(network, walletAddress, include);
     res.json(snapshot);
   } catch (error) {
     console.error('Failed to fetch balance snapshot:', error);
+    if (error instanceof QuorumError) {
+      return res.status(503).json({ error: 'Failed to fetch balance', details: error.message, code: error.code });
+    }
     res.status(500).json({ error: 'Failed to fetch balance', details: error.message });
   }
 }
 
-async function buildBalanceSnapshot(walletAddress, includeContractAccount = true) {
+/**
+ * Read and sign a wallet's balance snapshot. State is read through a quorum of RPC endpoints at a
+ * block they agree on, so a single faulty endpoint cannot get a wrong balance signed.
+ */
+async function buildBalanceSnapshot(network, walletAddress, includeContractAccount = true) {
   const checksumAddress = ethers.utils.getAddress(walletAddress);
-  const nativeBalanceWei = await provider.getBalance(checksumAddress);
+  const { blockNumber, result: state } = await network.provider.quorumRead(async (provider, blockTag) => {
+    const [balance, accountNonce, block, contractAccount] = await Promise.all([
+      provider.getBalance(checksumAddress, blockTag),
+      provider.getTransactionCount(checksumAddress, blockTag),
+      provider.getBlock(blockTag),
+      includeContractAccount
+        ? network.protocolContract.connect(provider).getUserAccount(checksumAddress, { blockTag })
+        : Promise.resolve(null)
+    ]);
+
+    return {
+      nativeBalanceWei: balance.toString(),
+      accountNonce,
+      baseFeePerGas: block.baseFeePerGas ? block.baseFeePerGas.toString() : null,
+      protocolAccount: formatUserAccount(contractAccount)
+    };
+  });
+  // Gas price estimates differ between nodes by design, so only the base fee goes through the quorum
+  const gasPrice = await network.provider.getGasPrice();
+  const nativeBalanceWei = ethers.BigNumber.from(state.nativeBalanceWei);
+  const timestamp = Math.floor(Date.now() / 1000);
 
   const snapshot = {
+    version: SNAPSHOT_VERSION,
     walletAddress: checksumAddress,
     nativeBalance: {
       wei: nativeBalanceWei.toString(),
       ether: ethers.utils.formatEther(nativeBalanceWei)
     },
-    protocolAccount: null,
-    timestamp: Math.floor(Date.now() / 1000),
-    signer: relayerWallet.address,
+    // Transactions mined from this address as of `blockNumber`: the next nonce the chain will accept
+    accountNonce: state.accountNonce,
+    protocolAccount: state.protocolAccount,
+    fees: buildFeeQuote({ baseFeePerGas: state.baseFeePerGas, gasPrice, quotedAt: timestamp }),
+    chainId: network.chainId,
+    contractAddress: network.contractAddress,
+    blockNumber,
+    timestamp,
+    validUntil: timestamp + SNAPSHOT_TTL_SECONDS,
+    signer: network.relayerWallet.address,
     dataSource: 'relayer'
   };
 
-  if (includeContractAccount) {
-    const contractAccount = await OFFGRIDPAYProtocolContract.getUserAccount(checksumAddress);
-    snapshot.protocolAccount = formatUserAccount(contractAccount);
-  }
-
-  const digest = computeBalanceSnapshotDigest(snapshot);
-  const signature = await relayerWallet.signMessage(ethers.utils.arrayify(digest));
+  // EIP-712 BalanceSnapshot signature (see lib/snapshotSchema.js)
+  const { digest, signature } = await signSnapshot(network.relayerWallet, snapshot);
 
   return { ...snapshot, digest, signature };
 }
 
-function computeBalanceSnapshotDigest(snapshot) {
-  const nativeBalanceWei = ethers.BigNumber.from(snapshot.nativeBalance.wei || 0);
-  const protocol = snapshot.protocolAccount;
-  const protocolBalanceWei = protocol ? ethers.BigNumber.from(protocol.balanceWei) : ethers.constants.Zero;
-  const protocolDepositWei = protocol ? ethers.BigNumber.from(protocol.flowDepositWei) : ethers.constants.Zero;
-  const protocolNonce = protocol ? ethers.BigNumber.from(protocol.nonce) : ethers.constants.Zero;
-  const isActive = protocol ? protocol.isActive : false;
-  const lastSyncTime = protocol ? ethers.BigNumber.from(protocol.lastSyncTime || 0) : ethers.constants.Zero;
-
-  return ethers.utils.solidityKeccak256(
-    ['address', 'uint256', 'uint256', 'uint256', 'uint256', 'bool', 'uint256', 'uint256'],
-    [
-      snapshot.walletAddress,
-      nativeBalanceWei,
-      protocolBalanceWei,
-      protocolDepositWei,
-      protocolNonce,
-      isActive,
-      lastSyncTime,
-      ethers.BigNumber.from(snapshot.timestamp)
-    ]
-  );
-}
-
 function toBigNumber(value) {
   if (ethers.BigNumber.isBigNumber(value)) {
     return value;
@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+
+/**
+ * Relay acknowledgement schema, shared with `wallet/utils/ackSchema.js`.
+ * Keep the domain and types in sync on both sides; bump ACK_VERSION on any change.
+ *
+ * Version history:
+ *   1 - personal_sign over solidityKeccak256(txHash, blockNumber, from, to, value)
+ *   2 - EIP-712 typed data (RelayAck) bound to the chain and the relayer address, with a digest of
+ *       the account snapshots (see computeAccountsDigest)
+ *   3 - RelayAck also signs the transaction type, gas used and effective gas price
+ *   4 - RelayAck also signs the decoded protocol call (action, recipient, amount)
+ */
+const ACK_VERSION = 4;
+
+const ACK_DOMAIN_NAME = 'OffGridPay Relayer';
+const ACK_DOMAIN_VERSION = '1';
+
+const ACK_TYPES = {
+  RelayAck: [
+    { name: 'txHash', type: 'bytes32' },
+    { name: 'blockNumber', type: 'uint256' },
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'relayer', type: 'address' },
+    { name: 'accountsDigest', type: 'bytes32' },
+    { name: 'txType', type: 'uint8' },
+    { name: 'gasUsed', type: 'uint256' },
+    { name: 'effectiveGasPrice', type: 'uint256' },
+    { name: 'protocolAction', type: 'string' },
+    { name: 'protocolRecipient', type: 'address' },
+    { name: 'protocolAmount', type: 'uint256' }
+  ]
+};
+
+const ACCOUNT_SNAPSHOT_TUPLE =
+  'tuple(address account, uint256 nativeBalanceWei, bool hasProtocolAccount, uint256 balanceWei, uint256 flowDepositWei, uint256 nonce)[]';
+
+function getAckDomain(chainId) {
+  return {
+    name: ACK_DOMAIN_NAME,
+    version: ACK_DOMAIN_VERSION,
+    chainId
+  };
+}
+
+// Transactions that don't call the protocol contract sign an empty action, no recipient and a zero amount
+function buildAckMessage(ack) {
+  const call = ack.protocolCall;
+
+  return {
+    txHash: ack.txHash,
+    blockNumber: ack.blockNumber,
+    from: ack.from,
+    to: ack.to || ethers.constants.AddressZero,
+    value: ack.value,
+    relayer: ack.relayerAddress,
+    accountsDigest: computeAccountsDigest(ack.accounts),
+    txType: ack.txType,
+    gasUsed: ack.gasUsed,
+    effectiveGasPrice: ack.effectiveGasPrice,
+    protocolAction: call ? call.method : '',
+    protocolRecipient: (call && call.recipient) || ethers.constants.AddressZero,
+    protocolAmount: call ? call.amountWei : 0
+  };
+}
+
+/**
+ * Digest of the balances in an ack's account snapshots, sorted by address. Formatted copies of the
+ * balances (nativeBalance, balanceEther, ...) are not covered; wallets show balances from the wei values.
+ */
+function computeAccountsDigest(accounts = {}) {
+  const entries = Object.values(accounts || {})
+    .map((snapshot) => ({
+      account: ethers.utils.getAddress(snapshot.address),
+      nativeBalanceWei: snapshot.nativeBalanceWei,
+      hasProtocolAccount: Boolean(snapshot.protocolAccount),
+      balanceWei: snapshot.protocolAccount ? snapshot.protocolAccount.balanceWei : 0,
+      flowDepositWei: snapshot.protocolAccount ? snapshot.protocolAccount.flowDepositWei : 0,
+      nonce: snapshot.protocolAccount ? snapshot.protocolAccount.nonce : 0
+    }))
+    .sort((a, b) => (a.account.toLowerCase() < b.account.toLowerCase() ? -1 : 1));
+
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([ACCOUNT_SNAPSHOT_TUPLE], [entries]));
+}
+
+/**
+ * Sign an acknowledgement with the relayer wallet. The ack must carry `chainId` and `relayerAddress`.
+ */
+function signAck(wallet, ack) {
+  return wallet._signTypedData(getAckDomain(ack.chainId), ACK_TYPES, buildAckMessage(ack));
+}
+
+module.exports = {
+  ACK_VERSION,
+  ACK_TYPES,
+  getAckDomain,
+  buildAckMessage,
+  computeAccountsDigest,
+  signAck
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'relayer.db');
+
+let db = null;
+
+/**
+ * Lazily open the relayer's SQLite database and make sure the schema exists.
+ */
+function getDb() {
+  if (db) {
+    return db;
+  }
+
+  const dbPath = process.env.RELAYER_DB_PATH || DEFAULT_DB_PATH;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  console.log(`[relayer] database ready at ${dbPath}`);
+  return db;
+}
+
+function migrate(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS relay_jobs (
+      id TEXT PRIMARY KEY NOT NULL,
+      tx_hash TEXT NOT NULL,
+      signed_tx TEXT NOT NULL,
+      from_address TEXT NOT NULL,
+      nonce INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      receipt TEXT,
+      ack TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_relay_jobs_status ON relay_jobs(status);
+    CREATE INDEX IF NOT EXISTS idx_relay_jobs_tx_hash ON relay_jobs(tx_hash);
+
+    CREATE TABLE IF NOT EXISTS relays (
+      tx_hash TEXT PRIMARY KEY NOT NULL,
+      signed_tx TEXT NOT NULL,
+      from_address TEXT NOT NULL,
+      to_address TEXT,
+      value TEXT NOT NULL,
+      nonce INTEGER NOT NULL,
+      chain_id INTEGER,
+      wallet_relayer_address TEXT,
+      source TEXT NOT NULL,
+      job_id TEXT,
+      status TEXT NOT NULL,
+      receipt TEXT,
+      ack TEXT,
+      error TEXT,
+      submitted_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_relays_from ON relays(from_address);
+    CREATE INDEX IF NOT EXISTS idx_relays_to ON relays(to_address);
+    CREATE INDEX IF NOT EXISTS idx_relays_submitted_at ON relays(submitted_at);
+  `);
+}
+
+function closeDb() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = { getDb, closeDb };
@@ -0,0 +1,40 @@
+const { ethers } = require('ethers');
+
+// Tip suggested when the node does not price one in above the base fee
+const DEFAULT_PRIORITY_FEE = ethers.utils.parseUnits('1.5', 'gwei');
+// Wallets may sign offline long after the quote; the max fee leaves room for the base fee to double
+const BASE_FEE_MULTIPLIER = 2;
+
+/**
+ * Fee quote signed into balance snapshots, so an offline wallet can price transactions from its cache.
+ *
+ * `baseFeePerGas` is taken from the snapshot block (null before EIP-1559); `gasPrice` is the node's
+ * legacy price. The suggested tip is what the node's gas price adds on top of the base fee, with
+ * DEFAULT_PRIORITY_FEE as the floor. All amounts are decimal wei strings.
+ *
+ * @returns {{ baseFeePerGas: string|null, maxFeePerGas: string|null, maxPriorityFeePerGas: string|null, gasPrice: string, quotedAt: number }}
+ */
+function buildFeeQuote({ baseFeePerGas, gasPrice, quotedAt }) {
+  const legacyPrice = ethers.BigNumber.from(gasPrice);
+
+  if (baseFeePerGas === null || baseFeePerGas === undefined) {
+    return { baseFeePerGas: null, maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: legacyPrice.toString(), quotedAt };
+  }
+
+  const baseFee = ethers.BigNumber.from(baseFeePerGas);
+  const impliedTip = legacyPrice.sub(baseFee);
+  const maxPriorityFeePerGas = impliedTip.gt(DEFAULT_PRIORITY_FEE) ? impliedTip : DEFAULT_PRIORITY_FEE;
+  const maxFeePerGas = baseFee.mul(BASE_FEE_MULTIPLIER).add(maxPriorityFeePerGas);
+
+  return {
+    baseFeePerGas: baseFee.toString(),
+    maxFeePerGas: maxFeePerGas.toString(),
+    maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+    gasPrice: legacyPrice.toString(),
+    quotedAt
+  };
+}
+
+module.exports = {
+  buildFeeQuote
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { buildFeeQuote } = require('./feeQuote');
+
+const gwei = (value) => ethers.utils.parseUnits(value, 'gwei').toString();
+
+test('quotes EIP-1559 fees from the base fee and the tip the node prices in', () => {
+  const quote = buildFeeQuote({ baseFeePerGas: gwei('10'), gasPrice: gwei('13'), quotedAt: 1700000000 });
+
+  assert.deepStrictEqual(quote, {
+    baseFeePerGas: gwei('10'),
+    maxFeePerGas: gwei('23'),
+    maxPriorityFeePerGas: gwei('3'),
+    gasPrice: gwei('13'),
+    quotedAt: 1700000000
+  });
+});
+
+test('never suggests a tip below the 1.5 gwei floor', () => {
+  const quote = buildFeeQuote({ baseFeePerGas: gwei('10'), gasPrice: gwei('10.5'), quotedAt: 1700000000 });
+
+  assert.strictEqual(quote.maxPriorityFeePerGas, gwei('1.5'));
+  assert.strictEqual(quote.maxFeePerGas, gwei('21.5'));
+});
+
+test('quotes only a legacy gas price on chains without a base fee', () => {
+  const quote = buildFeeQuote({ baseFeePerGas: null, gasPrice: ethers.BigNumber.from(gwei('7')), quotedAt: 1700000000 });
+
+  assert.deepStrictEqual(quote, {
+    baseFeePerGas: null,
+    maxFeePerGas: null,
+    maxPriorityFeePerGas: null,
+    gasPrice: gwei('7'),
+    quotedAt: 1700000000
+  });
+});
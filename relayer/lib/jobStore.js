@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const JOB_STATUS = {
+  // Waiting in the nonce-gap queue, not broadcast yet
+  HELD: 'held',
+  PENDING: 'pending',
+  MINED: 'mined',
+  FAILED: 'failed',
+  REPLACED: 'replaced'
+};
+
+function createJob({ txHash, signedTx, from, nonce, status = JOB_STATUS.PENDING }) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    txHash,
+    signedTx,
+    from,
+    nonce,
+    status,
+    receipt: null,
+    ack: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  getDb()
+    .prepare(
+      `INSERT INTO relay_jobs (id, tx_hash, signed_tx, from_address, nonce, status, created_at, updated_at)
+       VALUES (@id, @txHash, @signedTx, @from, @nonce, @status, @createdAt, @updatedAt)`
+    )
+    .run(job);
+
+  return job;
+}
+
+function getJob(id) {
+  const row = getDb().prepare('SELECT * FROM relay_jobs WHERE id = ?').get(id);
+  return row ? mapJobRow(row) : null;
+}
+
+function listJobsByStatus(status) {
+  return getDb()
+    .prepare('SELECT * FROM relay_jobs WHERE status = ? ORDER BY created_at ASC')
+    .all(status)
+    .map(mapJobRow);
+}
+
+/**
+ * Move a job to a new status, optionally attaching the receipt, signed ack or error.
+ * Only the fields provided are changed.
+ */
+function updateJob(id, { status, receipt, ack, error }) {
+  const assignments = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: Date.now() };
+
+  if (status !== undefined) {
+    assignments.push('status = @status');
+    params.status = status;
+  }
+  if (receipt !== undefined) {
+    assignments.push('receipt = @receipt');
+    params.receipt = receipt ? JSON.stringify(receipt) : null;
+  }
+  if (ack !== undefined) {
+    assignments.push('ack = @ack');
+    params.ack = ack ? JSON.stringify(ack) : null;
+  }
+  if (error !== undefined) {
+    assignments.push('error = @error');
+    params.error = error;
+  }
+
+  getDb()
+    .prepare(`UPDATE relay_jobs SET ${assignments.join(', ')} WHERE id = @id`)
+    .run(params);
+
+  return getJob(id);
+}
+
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    txHash: row.tx_hash,
+    signedTx: row.signed_tx,
+    from: row.from_address,
+    nonce: row.nonce,
+    status: row.status,
+    receipt: row.receipt ? JSON.parse(row.receipt) : null,
+    ack: row.ack ? JSON.parse(row.ack) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  createJob,
+  getJob,
+  listJobsByStatus,
+  updateJob
+};
@@ -0,0 +1,60 @@
+process.env.RELAYER_DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { closeDb } = require('./db');
+const { JOB_STATUS, createJob, getJob, listJobsByStatus, updateJob } = require('./jobStore');
+
+test.after(closeDb);
+
+function createTestJob(nonce = 0) {
+  return createJob({
+    txHash: '0x' + String(nonce).padStart(64, '0'),
+    signedTx: '0xf86b',
+    from: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC',
+    nonce
+  });
+}
+
+test('createJob persists a pending job that getJob reads back', () => {
+  const job = createTestJob(1);
+
+  assert.deepStrictEqual(getJob(job.id), job);
+  assert.strictEqual(job.status, JOB_STATUS.PENDING);
+  assert.strictEqual(getJob('missing'), null);
+});
+
+test('updateJob stores the receipt and ack as JSON', () => {
+  const job = createTestJob(2);
+  const receipt = { blockNumber: 10, status: 1 };
+  const ack = { txHash: job.txHash, relayerSig: '0x01' };
+
+  const updated = updateJob(job.id, { status: JOB_STATUS.MINED, receipt, ack });
+
+  assert.strictEqual(updated.status, JOB_STATUS.MINED);
+  assert.deepStrictEqual(updated.receipt, receipt);
+  assert.deepStrictEqual(updated.ack, ack);
+  assert.strictEqual(updated.error, null);
+});
+
+test('updateJob leaves the fields it is not given unchanged', () => {
+  const job = createTestJob(3);
+  const receipt = { blockNumber: 11, status: 0 };
+  updateJob(job.id, { status: JOB_STATUS.FAILED, receipt, error: 'Transaction reverted' });
+
+  const updated = updateJob(job.id, { status: JOB_STATUS.REPLACED });
+
+  assert.strictEqual(updated.status, JOB_STATUS.REPLACED);
+  assert.deepStrictEqual(updated.receipt, receipt);
+  assert.strictEqual(updated.error, 'Transaction reverted');
+
+  assert.strictEqual(updateJob(job.id, { error: null }).error, null);
+});
+
+test('listJobsByStatus returns only the jobs in the given status', () => {
+  const pending = listJobsByStatus(JOB_STATUS.PENDING).map((job) => job.nonce);
+  const mined = listJobsByStatus(JOB_STATUS.MINED).map((job) => job.nonce);
+
+  assert.deepStrictEqual(pending, [1]);
+  assert.deepStrictEqual(mined, [2]);
+});
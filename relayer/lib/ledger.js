@@ -0,0 +1,227 @@
+const { getDb } = require('./db');
+
+const RELAY_STATUS = {
+  SUBMITTED: 'submitted',
+  // Nonce is ahead of the sender's next nonce; broadcast once the gap fills
+  HELD: 'held',
+  PENDING: 'pending',
+  MINED: 'mined',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  REJECTED: 'rejected'
+};
+
+// Resubmissions of a transaction whose ledger entry already settled without an ack, or that another
+// request is still submitting, by the entry's status
+const DUPLICATE_SUBMISSION_CODES = {
+  [RELAY_STATUS.SUBMITTED]: 'SUBMISSION_IN_PROGRESS',
+  [RELAY_STATUS.FAILED]: 'TRANSACTION_FAILED',
+  [RELAY_STATUS.REPLACED]: 'TRANSACTION_REPLACED'
+};
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+// A submission that has not reached the mempool by then was lost (e.g. to a restart) and can be claimed again
+const SUBMISSION_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * A resubmitted transaction the relayer will not broadcast again. `relay` is its ledger entry.
+ */
+class DuplicateSubmissionError extends Error {
+  constructor(relay) {
+    super(relay.error || `Transaction ${relay.status}`);
+    this.name = 'DuplicateSubmissionError';
+    this.code = DUPLICATE_SUBMISSION_CODES[relay.status];
+    this.relay = relay;
+  }
+}
+
+/**
+ * Record a transaction the relayer is about to broadcast, and claim the broadcast for the caller.
+ * The insert on the unique tx hash is the duplicate check: only a new entry, one the node rejected,
+ * or a submission that timed out can be claimed, so concurrent requests never both broadcast.
+ * Addresses are stored lowercase so ledger queries are case-insensitive. The entry keeps the source
+ * of the first submission.
+ * @returns {boolean} - Whether the caller claimed the broadcast; otherwise read the entry with getRelay
+ */
+function recordSubmission({ txHash, signedTx, decodedTx, walletRelayerAddress = null, source }) {
+  const now = Date.now();
+  const db = getDb();
+
+  const claim = db.prepare(
+    `INSERT INTO relays (
+       tx_hash, signed_tx, from_address, to_address, value, nonce, chain_id,
+       wallet_relayer_address, source, status, submitted_at, updated_at
+     ) VALUES (
+       @txHash, @signedTx, @from, @to, @value, @nonce, @chainId,
+       @walletRelayerAddress, @source, @status, @now, @now
+     )
+     ON CONFLICT(tx_hash) DO UPDATE SET
+       wallet_relayer_address = COALESCE(excluded.wallet_relayer_address, relays.wallet_relayer_address),
+       status = excluded.status,
+       error = NULL,
+       updated_at = excluded.updated_at
+     WHERE relays.status = 'rejected' OR (relays.status = 'submitted' AND relays.updated_at < @claimExpiredBefore)`
+  );
+  const noteWalletRelayer = db.prepare(
+    `UPDATE relays SET wallet_relayer_address = COALESCE(wallet_relayer_address, @walletRelayerAddress)
+     WHERE tx_hash = @txHash`
+  );
+
+  const params = {
+    txHash: txHash.toLowerCase(),
+    signedTx,
+    from: decodedTx.from.toLowerCase(),
+    to: decodedTx.to ? decodedTx.to.toLowerCase() : null,
+    value: decodedTx.value.toString(),
+    nonce: decodedTx.nonce,
+    chainId: decodedTx.chainId || null,
+    walletRelayerAddress: walletRelayerAddress ? walletRelayerAddress.toLowerCase() : null,
+    source,
+    status: RELAY_STATUS.SUBMITTED,
+    now,
+    claimExpiredBefore: now - SUBMISSION_CLAIM_TIMEOUT_MS
+  };
+
+  return db.transaction(() => {
+    const claimed = claim.run(params).changes > 0;
+    if (!claimed) {
+      noteWalletRelayer.run(params);
+    }
+    return claimed;
+  })();
+}
+
+/**
+ * Update a ledger entry. Only the fields provided are changed.
+ */
+function updateRelay(txHash, { status, jobId, receipt, ack, error }) {
+  const assignments = ['updated_at = @updatedAt'];
+  const params = { txHash: txHash.toLowerCase(), updatedAt: Date.now() };
+
+  if (status !== undefined) {
+    assignments.push('status = @status');
+    params.status = status;
+  }
+  if (jobId !== undefined) {
+    assignments.push('job_id = @jobId');
+    params.jobId = jobId;
+  }
+  if (receipt !== undefined) {
+    assignments.push('receipt = @receipt');
+    params.receipt = receipt ? JSON.stringify(receipt) : null;
+  }
+  if (ack !== undefined) {
+    assignments.push('ack = @ack');
+    params.ack = ack ? JSON.stringify(ack) : null;
+  }
+  if (error !== undefined) {
+    assignments.push('error = @error');
+    params.error = error;
+  }
+
+  getDb()
+    .prepare(`UPDATE relays SET ${assignments.join(', ')} WHERE tx_hash = @txHash`)
+    .run(params);
+}
+
+function getRelay(txHash) {
+  const row = getDb().prepare('SELECT * FROM relays WHERE tx_hash = ?').get(txHash.toLowerCase());
+  return row ? mapRelayRow(row) : null;
+}
+
+/**
+ * Query the ledger for reconciliation. `since`/`until` are millisecond timestamps.
+ */
+function queryRelays({ from, to, status, chainId, since, until, limit, offset } = {}) {
+  const conditions = [];
+  const params = {};
+
+  if (from) {
+    conditions.push('from_address = @from');
+    params.from = from.toLowerCase();
+  }
+  if (to) {
+    conditions.push('to_address = @to');
+    params.to = to.toLowerCase();
+  }
+  if (status) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+  if (chainId !== undefined) {
+    conditions.push('chain_id = @chainId');
+    params.chainId = chainId;
+  }
+  if (since !== undefined) {
+    conditions.push('submitted_at >= @since');
+    params.since = since;
+  }
+  if (until !== undefined) {
+    conditions.push('submitted_at <= @until');
+    params.until = until;
+  }
+
+  params.limit = Math.min(limit || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+  params.offset = offset || 0;
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return getDb()
+    .prepare(`SELECT * FROM relays ${where} ORDER BY submitted_at DESC LIMIT @limit OFFSET @offset`)
+    .all(params)
+    .map(mapRelayRow);
+}
+
+/**
+ * Transactions waiting in the nonce-gap queue, grouped by chain and sender and ordered by nonce.
+ */
+function listHeldRelays({ from, chainId } = {}) {
+  const conditions = ['status = @status'];
+  const params = { status: RELAY_STATUS.HELD };
+
+  if (from) {
+    conditions.push('from_address = @from');
+    params.from = from.toLowerCase();
+  }
+  if (chainId !== undefined) {
+    conditions.push('chain_id = @chainId');
+    params.chainId = chainId;
+  }
+
+  return getDb()
+    .prepare(`SELECT * FROM relays WHERE ${conditions.join(' AND ')} ORDER BY chain_id, from_address, nonce ASC`)
+    .all(params)
+    .map(mapRelayRow);
+}
+
+function mapRelayRow(row) {
+  return {
+    txHash: row.tx_hash,
+    signedTx: row.signed_tx,
+    from: row.from_address,
+    to: row.to_address,
+    value: row.value,
+    nonce: row.nonce,
+    chainId: row.chain_id,
+    walletRelayerAddress: row.wallet_relayer_address,
+    source: row.source,
+    jobId: row.job_id,
+    status: row.status,
+    receipt: row.receipt ? JSON.parse(row.receipt) : null,
+    ack: row.ack ? JSON.parse(row.ack) : null,
+    error: row.error,
+    submittedAt: row.submitted_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  RELAY_STATUS,
+  DuplicateSubmissionError,
+  recordSubmission,
+  updateRelay,
+  getRelay,
+  queryRelays,
+  listHeldRelays
+};
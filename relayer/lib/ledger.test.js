@@ -0,0 +1,149 @@
+process.env.RELAYER_DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { closeDb, getDb } = require('./db');
+const {
+  RELAY_STATUS,
+  DuplicateSubmissionError,
+  getRelay,
+  listHeldRelays,
+  queryRelays,
+  recordSubmission,
+  updateRelay
+} = require('./ledger');
+
+const alice = new ethers.Wallet('0x' + '11'.repeat(32));
+const bob = new ethers.Wallet('0x' + '22'.repeat(32));
+const recipient = '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC';
+
+test.after(closeDb);
+
+async function signTransfer(wallet, nonce, source = 'relay') {
+  const signedTx = await wallet.signTransaction({
+    to: recipient,
+    value: 1,
+    nonce,
+    gasLimit: 21000,
+    gasPrice: 1000000000,
+    chainId: 545
+  });
+  const decodedTx = ethers.utils.parseTransaction(signedTx);
+  return { txHash: decodedTx.hash, signedTx, decodedTx, source };
+}
+
+async function submitTransfer(wallet, nonce, source = 'relay') {
+  const submission = await signTransfer(wallet, nonce, source);
+  recordSubmission(submission);
+  return submission.txHash;
+}
+
+test('recordSubmission stores the decoded transaction with lowercase addresses', async () => {
+  const txHash = await submitTransfer(alice, 0);
+
+  const relay = getRelay(txHash.toUpperCase().replace('0X', '0x'));
+
+  assert.strictEqual(relay.txHash, txHash.toLowerCase());
+  assert.strictEqual(relay.from, alice.address.toLowerCase());
+  assert.strictEqual(relay.to, recipient.toLowerCase());
+  assert.strictEqual(relay.value, '1');
+  assert.strictEqual(relay.nonce, 0);
+  assert.strictEqual(relay.status, RELAY_STATUS.SUBMITTED);
+  assert.strictEqual(getRelay('0x' + '00'.repeat(32)), null);
+});
+
+test('a resubmission keeps the first source and never downgrades the status', async () => {
+  const txHash = await submitTransfer(alice, 1, 'relay');
+  updateRelay(txHash, { status: RELAY_STATUS.PENDING });
+
+  await submitTransfer(alice, 1, 'api-v1-broadcast');
+
+  const relay = getRelay(txHash);
+  assert.strictEqual(relay.source, 'relay');
+  assert.strictEqual(relay.status, RELAY_STATUS.PENDING);
+});
+
+test('a resubmission retries an entry the node rejected', async () => {
+  const txHash = await submitTransfer(alice, 2);
+  updateRelay(txHash, { status: RELAY_STATUS.REJECTED, error: 'nonce too low' });
+
+  await submitTransfer(alice, 2);
+
+  const relay = getRelay(txHash);
+  assert.strictEqual(relay.status, RELAY_STATUS.SUBMITTED);
+  assert.strictEqual(relay.error, null);
+});
+
+test('updateRelay changes only the fields it is given', async () => {
+  const txHash = await submitTransfer(bob, 0);
+  const receipt = { blockNumber: 12, status: 1 };
+  updateRelay(txHash, { status: RELAY_STATUS.MINED, receipt, jobId: 'job-1' });
+
+  updateRelay(txHash, { ack: { relayerSig: '0x01' } });
+
+  const relay = getRelay(txHash);
+  assert.strictEqual(relay.status, RELAY_STATUS.MINED);
+  assert.deepStrictEqual(relay.receipt, receipt);
+  assert.strictEqual(relay.jobId, 'job-1');
+  assert.deepStrictEqual(relay.ack, { relayerSig: '0x01' });
+});
+
+test('queryRelays filters by sender, recipient and status, newest first', async () => {
+  const fromBob = queryRelays({ from: bob.address });
+  assert.deepStrictEqual(fromBob.map((relay) => relay.nonce), [0]);
+
+  const mined = queryRelays({ to: recipient, status: RELAY_STATUS.MINED });
+  assert.deepStrictEqual(mined.map((relay) => relay.from), [bob.address.toLowerCase()]);
+
+  const all = queryRelays();
+  assert.strictEqual(all.length, 4);
+  for (let i = 1; i < all.length; i += 1) {
+    assert.ok(all[i - 1].submittedAt >= all[i].submittedAt);
+  }
+  assert.strictEqual(queryRelays({ limit: 2 }).length, 2);
+  assert.deepStrictEqual(queryRelays({ since: Date.now() + 60000 }), []);
+});
+
+test('listHeldRelays lists held transactions per sender in nonce order', async () => {
+  const held = [await submitTransfer(bob, 3), await submitTransfer(bob, 2), await submitTransfer(alice, 9)];
+  held.forEach((txHash) => updateRelay(txHash, { status: RELAY_STATUS.HELD }));
+
+  assert.deepStrictEqual(listHeldRelays({ from: bob.address }).map((relay) => relay.nonce), [2, 3]);
+  assert.strictEqual(listHeldRelays({ chainId: 545 }).length, 3);
+  assert.deepStrictEqual(listHeldRelays({ chainId: 747 }), []);
+});
+
+test('only the first of two identical submissions claims the broadcast', async () => {
+  const submission = await signTransfer(alice, 10);
+
+  assert.strictEqual(recordSubmission(submission), true);
+  assert.strictEqual(recordSubmission({ ...submission, walletRelayerAddress: bob.address, source: 'api-v1-broadcast' }), false);
+
+  const relay = getRelay(submission.txHash);
+  assert.strictEqual(relay.walletRelayerAddress, bob.address.toLowerCase());
+  assert.strictEqual(relay.source, 'relay');
+  assert.strictEqual(new DuplicateSubmissionError(relay).code, 'SUBMISSION_IN_PROGRESS');
+});
+
+test('a failed transaction is never claimed again and reports its stored outcome', async () => {
+  const submission = await signTransfer(alice, 11);
+  recordSubmission(submission);
+  updateRelay(submission.txHash, { status: RELAY_STATUS.FAILED, error: 'Transaction reverted' });
+
+  assert.strictEqual(recordSubmission(submission), false);
+
+  const error = new DuplicateSubmissionError(getRelay(submission.txHash));
+  assert.strictEqual(error.code, 'TRANSACTION_FAILED');
+  assert.strictEqual(error.message, 'Transaction reverted');
+  assert.strictEqual(error.relay.status, RELAY_STATUS.FAILED);
+});
+
+test('a submission that never reached the mempool can be claimed again once it times out', async () => {
+  const submission = await signTransfer(alice, 12);
+  recordSubmission(submission);
+  getDb().prepare('UPDATE relays SET updated_at = ? WHERE tx_hash = ?').run(Date.now() - 3 * 60 * 1000, submission.txHash.toLowerCase());
+
+  assert.strictEqual(recordSubmission(submission), true);
+  assert.strictEqual(recordSubmission(submission), false);
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { FailoverProvider } = require('./rpcProvider');
+const { OFFGRIDPAY_PROTOCOL_ABI } = require('./protocolContract');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'networks.json');
+const DEFAULT_RPC_URL = 'https://testnet.evm.nodes.onflow.org';
+const DEFAULT_CHAIN_ID = 545;
+const DEFAULT_NETWORK_NAME = 'flowevm-testnet';
+const DEFAULT_KEY_ENV = 'RELAYER_PRIVATE_KEY';
+const REQUIRED_ENV_VARS = ['RELAYER_PRIVATE_KEY', 'CONTRACT_ADDRESS'];
+
+/**
+ * Load the networks this relayer serves.
+ *
+ * With a networks file (`NETWORKS_CONFIG`, default `relayer/networks.json`) every entry gets its own
+ * provider, relayer wallet and protocol contract; see `networks.example.json` for the format.
+ * Without one the relayer serves a single network described by `RPC_URL` (or a comma-separated
+ * `RPC_URLS`), `RPC_QUORUM`, `CHAIN_ID`, `CONTRACT_ADDRESS` and `RELAYER_PRIVATE_KEY`.
+ *
+ * @returns {{ networks: Map<number, object>, defaultNetwork: object }}
+ */
+function loadNetworks(env = process.env) {
+  const configPath = env.NETWORKS_CONFIG ? path.resolve(env.NETWORKS_CONFIG) : DEFAULT_CONFIG_PATH;
+  const config = fs.existsSync(configPath) ? readConfigFile(configPath) : configFromEnv(env);
+
+  const networks = new Map();
+  for (const entry of config.networks) {
+    const network = createNetwork(entry, env);
+    if (networks.has(network.chainId)) {
+      throw new Error(`Network config lists chain ${network.chainId} more than once`);
+    }
+    networks.set(network.chainId, network);
+  }
+
+  const defaultChainId = config.defaultChainId !== undefined ? Number(config.defaultChainId) : config.networks[0].chainId;
+  const defaultNetwork = networks.get(Number(defaultChainId));
+  if (!defaultNetwork) {
+    throw new Error(`Default chain ${defaultChainId} is not listed in the network config`);
+  }
+
+  return { networks, defaultNetwork };
+}
+
+function readConfigFile(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read network config ${configPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config.networks) || config.networks.length === 0) {
+    throw new Error(`Network config ${configPath} must list at least one network`);
+  }
+
+  console.log(`[relayer] loaded ${config.networks.length} network(s) from ${configPath}`);
+  return config;
+}
+
+function configFromEnv(env) {
+  const missing = REQUIRED_ENV_VARS.filter((key) => !env[key]);
+  if (missing.length) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  if (!env.RPC_URL && !env.RPC_URLS) {
+    console.warn(`[relayer] RPC_URL not set. Falling back to ${DEFAULT_RPC_URL}`);
+  }
+
+  const rpcUrls = env.RPC_URLS
+    ? env.RPC_URLS.split(',').map((url) => url.trim()).filter(Boolean)
+    : [env.RPC_URL || DEFAULT_RPC_URL];
+
+  return {
+    networks: [
+      {
+        name: env.NETWORK_NAME || DEFAULT_NETWORK_NAME,
+        chainId: Number(env.CHAIN_ID) || DEFAULT_CHAIN_ID,
+        rpcUrls,
+        quorum: env.RPC_QUORUM ? Number(env.RPC_QUORUM) : undefined,
+        contractAddress: env.CONTRACT_ADDRESS,
+        relayerKeyEnv: DEFAULT_KEY_ENV
+      }
+    ]
+  };
+}
+
+/**
+ * Validate one network entry and wire up its provider, relayer wallet and protocol contract.
+ * RPC endpoints come from `rpcUrls` (failover order is decided by health, see lib/rpcProvider.js) or a
+ * single `rpcUrl`; `quorum` defaults to a majority of them.
+ * The relayer key comes from `relayerPrivateKey` or, preferably, the env var named by `relayerKeyEnv`.
+ */
+function createNetwork(entry, env) {
+  const chainId = Number(entry.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Network ${entry.name || '(unnamed)'} has an invalid chainId`);
+  }
+
+  const name = entry.name || `chain-${chainId}`;
+  const rpcUrls = entry.rpcUrls || (entry.rpcUrl ? [entry.rpcUrl] : []);
+  if (!rpcUrls.length) {
+    throw new Error(`Network ${name} is missing rpcUrls`);
+  }
+  if (entry.quorum !== undefined && !(Number.isInteger(entry.quorum) && entry.quorum >= 1 && entry.quorum <= rpcUrls.length)) {
+    throw new Error(`Network ${name} has a quorum outside 1..${rpcUrls.length}`);
+  }
+  if (!entry.contractAddress || !ethers.utils.isAddress(entry.contractAddress)) {
+    throw new Error(`Network ${name} is missing a valid contractAddress`);
+  }
+
+  const privateKey = entry.relayerPrivateKey || env[entry.relayerKeyEnv || DEFAULT_KEY_ENV];
+  if (!privateKey) {
+    throw new Error(`Network ${name} has no relayer key (set ${entry.relayerKeyEnv || DEFAULT_KEY_ENV})`);
+  }
+
+  const provider = new FailoverProvider(rpcUrls, { name, chainId }, { quorum: entry.quorum });
+  const relayerWallet = new ethers.Wallet(privateKey, provider);
+  const contractAddress = ethers.utils.getAddress(entry.contractAddress);
+
+  return {
+    name,
+    chainId,
+    contractAddress,
+    provider,
+    relayerWallet,
+    protocolContract: new ethers.Contract(contractAddress, OFFGRIDPAY_PROTOCOL_ABI, provider)
+  };
+}
+
+module.exports = {
+  loadNetworks
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadNetworks } = require('./networks');
+
+const testnetKey = '0x' + '11'.repeat(32);
+const mainnetKey = '0x' + '22'.repeat(32);
+const contractAddress = '0x0a098eda01ce92ff4a4ccb7a4fffb5a43ebc70dc';
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-networks-'));
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+function writeConfig(config) {
+  const configPath = path.join(configDir, `networks-${Math.random().toString(16).slice(2)}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+function network(overrides = {}) {
+  return {
+    name: 'flowevm-testnet',
+    chainId: 545,
+    rpcUrl: 'http://127.0.0.1:8545',
+    contractAddress,
+    relayerKeyEnv: 'RELAYER_PRIVATE_KEY',
+    ...overrides
+  };
+}
+
+const env = {
+  RELAYER_PRIVATE_KEY: testnetKey,
+  RELAYER_PRIVATE_KEY_MAINNET: mainnetKey
+};
+
+test('without a networks file the relayer serves the network from the environment', () => {
+  const { networks, defaultNetwork } = loadNetworks({
+    NETWORKS_CONFIG: path.join(configDir, 'missing.json'),
+    RELAYER_PRIVATE_KEY: testnetKey,
+    CONTRACT_ADDRESS: contractAddress,
+    CHAIN_ID: '747',
+    RPC_URL: 'http://127.0.0.1:8545'
+  });
+
+  assert.deepStrictEqual([...networks.keys()], [747]);
+  assert.strictEqual(defaultNetwork.chainId, 747);
+  assert.strictEqual(defaultNetwork.contractAddress, ethers.utils.getAddress(contractAddress));
+  assert.strictEqual(defaultNetwork.relayerWallet.address, new ethers.Wallet(testnetKey).address);
+});
+
+test('the environment fallback requires the relayer key and contract address', () => {
+  assert.throws(
+    () => loadNetworks({ NETWORKS_CONFIG: path.join(configDir, 'missing.json'), RELAYER_PRIVATE_KEY: testnetKey }),
+    /Missing required environment variables: CONTRACT_ADDRESS/
+  );
+});
+
+test('a networks file gives every chain its own relayer wallet', () => {
+  const configPath = writeConfig({
+    defaultChainId: 747,
+    networks: [
+      network(),
+      network({ name: 'flowevm-mainnet', chainId: 747, relayerKeyEnv: 'RELAYER_PRIVATE_KEY_MAINNET' })
+    ]
+  });
+
+  const { networks, defaultNetwork } = loadNetworks({ ...env, NETWORKS_CONFIG: configPath });
+
+  assert.deepStrictEqual([...networks.keys()], [545, 747]);
+  assert.strictEqual(defaultNetwork, networks.get(747));
+  assert.strictEqual(networks.get(545).relayerWallet.address, new ethers.Wallet(testnetKey).address);
+  assert.strictEqual(networks.get(747).relayerWallet.address, new ethers.Wallet(mainnetKey).address);
+});
+
+test('the first listed network is the default when none is named', () => {
+  const configPath = writeConfig({ networks: [network({ chainId: 747 }), network()] });
+
+  assert.strictEqual(loadNetworks({ ...env, NETWORKS_CONFIG: configPath }).defaultNetwork.chainId, 747);
+});
+
+test('rejects network files that are inconsistent or incomplete', () => {
+  const cases = [
+    [{ networks: [] }, /must list at least one network/],
+    [{ networks: [network(), network()] }, /lists chain 545 more than once/],
+    [{ defaultChainId: 1, networks: [network()] }, /Default chain 1 is not listed/],
+    [{ networks: [network({ chainId: 'flow' })] }, /has an invalid chainId/],
+    [{ networks: [network({ rpcUrl: undefined })] }, /is missing rpcUrl/],
+    [{ networks: [network({ contractAddress: '0x1234' })] }, /is missing a valid contractAddress/],
+    [{ networks: [network({ relayerKeyEnv: 'UNSET_KEY' })] }, /has no relayer key \(set UNSET_KEY\)/]
+  ];
+
+  for (const [config, message] of cases) {
+    assert.throws(() => loadNetworks({ ...env, NETWORKS_CONFIG: writeConfig(config) }), message);
+  }
+});
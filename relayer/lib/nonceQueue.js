@@ -0,0 +1,49 @@
+const MAX_REPORTED_MISSING_NONCES = 100;
+
+/**
+ * Split a sender's held transactions, in nonce order, against the sender's next nonce.
+ * `stale` lists those whose nonce another transaction already took; `ready` is the run of
+ * consecutive nonces starting at `nextNonce` that can be broadcast now, up to the next gap.
+ * @returns {{ stale: object[], ready: object[] }}
+ */
+function planHeldRelease(held, nextNonce) {
+  const stale = [];
+  const ready = [];
+
+  for (const relay of held) {
+    if (relay.nonce < nextNonce) {
+      stale.push(relay);
+    } else if (relay.nonce === nextNonce + ready.length) {
+      ready.push(relay);
+    } else {
+      break;
+    }
+  }
+
+  return { stale, ready };
+}
+
+/**
+ * Nonces the sender still has to submit before its highest held nonce can go out, capped at
+ * MAX_REPORTED_MISSING_NONCES. Without a known next nonce, counting starts at the highest held one.
+ * @returns {number[]}
+ */
+function findMissingNonces(heldNonces, nextNonce) {
+  const held = new Set(heldNonces);
+  const highestNonce = Math.max(...held);
+  const missingNonces = [];
+
+  for (let nonce = nextNonce ?? highestNonce; nonce < highestNonce && missingNonces.length < MAX_REPORTED_MISSING_NONCES; nonce += 1) {
+    if (!held.has(nonce)) {
+      missingNonces.push(nonce);
+    }
+  }
+
+  return missingNonces;
+}
+
+module.exports = {
+  MAX_REPORTED_MISSING_NONCES,
+  planHeldRelease,
+  findMissingNonces
+};
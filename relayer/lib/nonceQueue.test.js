@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_REPORTED_MISSING_NONCES, findMissingNonces, planHeldRelease } = require('./nonceQueue');
+
+const heldAt = (...nonces) => nonces.map((nonce) => ({ txHash: `0x${nonce}`, nonce }));
+const nonces = (relays) => relays.map((relay) => relay.nonce);
+
+test('planHeldRelease releases the consecutive run starting at the next nonce', () => {
+  const { stale, ready } = planHeldRelease(heldAt(4, 5, 6, 8), 4);
+
+  assert.deepStrictEqual(nonces(stale), []);
+  assert.deepStrictEqual(nonces(ready), [4, 5, 6]);
+});
+
+test('planHeldRelease releases nothing while the gap is still open', () => {
+  const { stale, ready } = planHeldRelease(heldAt(6, 7), 4);
+
+  assert.deepStrictEqual(nonces(stale), []);
+  assert.deepStrictEqual(nonces(ready), []);
+});
+
+test('planHeldRelease reports held nonces another transaction already took', () => {
+  const { stale, ready } = planHeldRelease(heldAt(2, 3, 5, 6), 5);
+
+  assert.deepStrictEqual(nonces(stale), [2, 3]);
+  assert.deepStrictEqual(nonces(ready), [5, 6]);
+});
+
+test('findMissingNonces lists the nonces between the next nonce and the highest held one', () => {
+  assert.deepStrictEqual(findMissingNonces([7, 5, 9], 3), [3, 4, 6, 8]);
+  assert.deepStrictEqual(findMissingNonces([3, 4], 3), []);
+});
+
+test('findMissingNonces only looks at held nonces without a known next nonce', () => {
+  assert.deepStrictEqual(findMissingNonces([5, 9], null), []);
+});
+
+test('findMissingNonces caps the report', () => {
+  const missing = findMissingNonces([100000], 0);
+
+  assert.strictEqual(missing.length, MAX_REPORTED_MISSING_NONCES);
+  assert.strictEqual(missing[0], 0);
+});
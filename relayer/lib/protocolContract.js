@@ -0,0 +1,50 @@
+const { ethers } = require('ethers');
+
+/**
+ * OffGridPay protocol contract ABI, shared with `wallet/utils/protocolCalls.js`.
+ * Keep the write methods in sync on both sides: the wallet encodes them, the relayer decodes them in acks.
+ */
+const OFFGRIDPAY_PROTOCOL_ABI = [
+  'function getBalance(address user) view returns (uint256)',
+  'function getDepositBalance(address user) view returns (uint256)',
+  'function getUserAccount(address user) view returns (tuple(uint256 balance,uint256 flowDeposit,uint256 nonce,uint256 lastSyncTime,bool isActive,address publicKeyAddress))',
+  'function depositFlow() payable',
+  'function withdrawFlow(uint256 amount)',
+  'function transfer(address to, uint256 amount)'
+];
+
+const protocolInterface = new ethers.utils.Interface(OFFGRIDPAY_PROTOCOL_ABI);
+
+/**
+ * Decode a transaction's call to the protocol contract.
+ * Returns null for transactions to any other address and for plain transfers to the contract.
+ * @returns {{ method: string, amountWei: string, recipient: string|null }|null}
+ */
+function decodeProtocolCall(decodedTx, contractAddress) {
+  if (!decodedTx.to || decodedTx.to.toLowerCase() !== contractAddress.toLowerCase() || decodedTx.data === '0x') {
+    return null;
+  }
+
+  let call;
+  try {
+    call = protocolInterface.parseTransaction({ data: decodedTx.data, value: decodedTx.value });
+  } catch (error) {
+    return { method: 'unknown', amountWei: decodedTx.value.toString(), recipient: null };
+  }
+
+  switch (call.name) {
+    case 'depositFlow':
+      return { method: 'depositFlow', amountWei: decodedTx.value.toString(), recipient: null };
+    case 'withdrawFlow':
+      return { method: 'withdrawFlow', amountWei: call.args.amount.toString(), recipient: null };
+    case 'transfer':
+      return { method: 'transfer', amountWei: call.args.amount.toString(), recipient: ethers.utils.getAddress(call.args.to) };
+    default:
+      return { method: call.name, amountWei: decodedTx.value.toString(), recipient: null };
+  }
+}
+
+module.exports = {
+  OFFGRIDPAY_PROTOCOL_ABI,
+  decodeProtocolCall
+};
@@ -0,0 +1,51 @@
+const { ethers } = require('ethers');
+const { parseSignedTransaction } = require('./txValidation');
+
+/**
+ * Split a relay batch into one queue per sender and chain, each sorted by nonce.
+ * Items keep their `index` in the request so results can be returned in request order.
+ * Entries that don't decode are returned in `invalid` with the decoding error.
+ *
+ * @param {string[]} signedTxs - Raw signed transactions
+ * @returns {{ queues: object[][], invalid: { index: number, error: Error }[] }}
+ */
+function groupBySender(signedTxs) {
+  const senders = new Map();
+  const invalid = [];
+
+  signedTxs.forEach((signedTx, index) => {
+    try {
+      const decodedTx = parseSignedTransaction(signedTx);
+      const key = `${decodedTx.chainId}:${decodedTx.from.toLowerCase()}`;
+      if (!senders.has(key)) {
+        senders.set(key, []);
+      }
+      senders.get(key).push({ index, signedTx, txHash: ethers.utils.keccak256(signedTx), nonce: decodedTx.nonce });
+    } catch (error) {
+      invalid.push({ index, error });
+    }
+  });
+
+  return {
+    queues: [...senders.values()].map((items) => items.sort((a, b) => a.nonce - b.nonce)),
+    invalid
+  };
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+module.exports = {
+  groupBySender,
+  runWithConcurrency
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { groupBySender, runWithConcurrency } = require('./relayBatch');
+
+const alice = new ethers.Wallet('0x' + '11'.repeat(32));
+const bob = new ethers.Wallet('0x' + '22'.repeat(32));
+
+function signTransfer(wallet, nonce, chainId = 545) {
+  return wallet.signTransaction({
+    to: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC',
+    value: 1,
+    nonce,
+    gasLimit: 21000,
+    gasPrice: 1000000000,
+    chainId
+  });
+}
+
+test('groupBySender queues each sender in nonce order and keeps request indexes', async () => {
+  const signedTxs = await Promise.all([
+    signTransfer(alice, 7),
+    signTransfer(bob, 3),
+    signTransfer(alice, 5),
+    signTransfer(alice, 6),
+    signTransfer(bob, 2)
+  ]);
+
+  const { queues, invalid } = groupBySender(signedTxs);
+
+  assert.deepStrictEqual(invalid, []);
+  assert.strictEqual(queues.length, 2);
+  const [aliceQueue, bobQueue] = queues;
+  assert.deepStrictEqual(aliceQueue.map((item) => [item.nonce, item.index]), [[5, 2], [6, 3], [7, 0]]);
+  assert.deepStrictEqual(bobQueue.map((item) => [item.nonce, item.index]), [[2, 4], [3, 1]]);
+  assert.strictEqual(aliceQueue[0].txHash, ethers.utils.keccak256(signedTxs[2]));
+});
+
+test('groupBySender keeps one sender on different chains apart', async () => {
+  const signedTxs = await Promise.all([signTransfer(alice, 1, 545), signTransfer(alice, 0, 747), signTransfer(alice, 0, 545)]);
+
+  const { queues } = groupBySender(signedTxs);
+
+  assert.deepStrictEqual(queues.map((items) => items.map((item) => item.index)), [[2, 0], [1]]);
+});
+
+test('groupBySender reports entries that do not decode', async () => {
+  const signedTxs = ['0xdeadbeef', await signTransfer(bob, 0)];
+
+  const { queues, invalid } = groupBySender(signedTxs);
+
+  assert.strictEqual(queues.length, 1);
+  assert.strictEqual(invalid.length, 1);
+  assert.strictEqual(invalid[0].index, 0);
+  assert.strictEqual(invalid[0].error.code, 'INVALID_TRANSACTION');
+});
+
+test('runWithConcurrency caps the calls in flight and visits every item once', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const visited = [];
+
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    visited.push(item);
+    inFlight -= 1;
+  });
+
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(visited.sort(), [1, 2, 3, 4, 5]);
+});
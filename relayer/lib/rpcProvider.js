@@ -0,0 +1,251 @@
+const { ethers } = require('ethers');
+
+const INITIAL_SCORE = 100;
+const SUCCESS_REWARD = 5;
+const FAILURE_PENALTY = 25;
+const LAG_PENALTY = 10;
+const HEALTHY_SCORE = 70;
+const DEGRADED_SCORE = 30;
+const DOWN_AFTER_FAILURES = 3;
+// Blocks an endpoint may trail the best known head before it counts as lagging
+const MAX_BLOCK_LAG = 5;
+const DEFAULT_TIMEOUT_MS = 10000;
+// JSON-RPC "limit exceeded": the node answered, but it is throttling us
+const RATE_LIMIT_RPC_CODE = -32005;
+
+const { errors } = ethers.utils.Logger;
+
+class QuorumError extends Error {
+  constructor(message, data = {}) {
+    super(message);
+    this.name = 'QuorumError';
+    this.code = 'RPC_QUORUM_FAILED';
+    this.data = data;
+  }
+}
+
+/**
+ * Provider over several RPC endpoints for one network.
+ *
+ * Every request goes to the endpoint with the best health score and fails over to the next one on
+ * transport errors (timeouts, HTTP errors, rate limits). Errors the node itself returns, such as
+ * reverts or "nonce too low", are passed through untouched. `quorumRead` runs a read against
+ * several endpoints at a block they have all reached and only returns a value enough of them agree on.
+ */
+class FailoverProvider extends ethers.providers.BaseProvider {
+  constructor(urls, network, { quorum, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    if (!urls.length) {
+      throw new Error(`Network ${network.name} has no RPC URLs`);
+    }
+
+    super(network);
+
+    this.endpoints = urls.map((url) => ({
+      url,
+      label: describeUrl(url),
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: timeoutMs }, network),
+      score: INITIAL_SCORE,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      blockNumber: null,
+      lastError: null,
+      lastCheckedAt: null
+    }));
+    this.quorum = Math.min(quorum || Math.floor(urls.length / 2) + 1, urls.length);
+  }
+
+  // The network is fixed by the config; BaseProvider re-checks it before sending transactions
+  async detectNetwork() {
+    return this._network;
+  }
+
+  async perform(method, params) {
+    let lastError;
+
+    for (const endpoint of this._rankedEndpoints()) {
+      const startedAt = Date.now();
+      try {
+        const result = await endpoint.provider.perform(method, params);
+        this._recordSuccess(endpoint, startedAt);
+        return result;
+      } catch (error) {
+        if (!isEndpointFailure(error)) {
+          this._recordSuccess(endpoint, startedAt);
+          throw error;
+        }
+
+        this._recordFailure(endpoint, error);
+        lastError = error;
+        console.warn(`[relayer] RPC ${endpoint.label} failed on ${method}, failing over: ${error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Run `read(provider, blockTag)` on every endpoint that has reached the quorum block and return the
+   * result once `quorum` endpoints agree on it. The quorum block is the highest block at least
+   * `quorum` endpoints report, so a lagging or forked node cannot decide what gets signed.
+   * @returns {Promise<{ blockNumber: number, result: any, agreed: number, queried: number }>}
+   */
+  async quorumRead(read) {
+    const heads = await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        const blockNumber = await this._probe(endpoint);
+        return blockNumber === null ? null : { endpoint, blockNumber };
+      })
+    );
+    const live = heads.filter(Boolean);
+
+    if (live.length < this.quorum) {
+      throw new QuorumError(
+        `Only ${live.length} of ${this.endpoints.length} RPC endpoints responded, quorum is ${this.quorum}`,
+        { responded: live.length, quorum: this.quorum }
+      );
+    }
+
+    const blockNumber = live.map((head) => head.blockNumber).sort((a, b) => b - a)[this.quorum - 1];
+    const eligible = live.filter((head) => head.blockNumber >= blockNumber).map((head) => head.endpoint);
+
+    const outcomes = await Promise.all(
+      eligible.map(async (endpoint) => {
+        const startedAt = Date.now();
+        try {
+          const value = await read(endpoint.provider, blockNumber);
+          this._recordSuccess(endpoint, startedAt);
+          return { value };
+        } catch (error) {
+          if (isEndpointFailure(error)) {
+            this._recordFailure(endpoint, error);
+          }
+          return { error };
+        }
+      })
+    );
+
+    const tally = new Map();
+    for (const outcome of outcomes.filter((entry) => !entry.error)) {
+      const key = JSON.stringify(outcome.value);
+      const entry = tally.get(key) || { value: outcome.value, count: 0 };
+      entry.count += 1;
+      tally.set(key, entry);
+    }
+
+    const best = [...tally.values()].sort((a, b) => b.count - a.count)[0];
+    if (best && best.count >= this.quorum) {
+      return { blockNumber, result: best.value, agreed: best.count, queried: eligible.length };
+    }
+
+    const failed = outcomes.filter((entry) => entry.error);
+    if (!best && failed.length) {
+      throw failed[0].error;
+    }
+
+    throw new QuorumError(`RPC endpoints disagree on state at block ${blockNumber}`, {
+      blockNumber,
+      quorum: this.quorum,
+      agreed: best ? best.count : 0,
+      queried: eligible.length
+    });
+  }
+
+  /**
+   * Probe every endpoint's head block and penalize those lagging behind the others.
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map((endpoint) => this._probe(endpoint)));
+
+    const heads = this.endpoints.map((endpoint) => endpoint.blockNumber).filter((block) => block !== null);
+    const bestBlock = heads.length ? Math.max(...heads) : null;
+
+    for (const endpoint of this.endpoints) {
+      if (bestBlock !== null && endpoint.blockNumber !== null && bestBlock - endpoint.blockNumber > MAX_BLOCK_LAG) {
+        endpoint.score = Math.max(0, endpoint.score - LAG_PENALTY);
+      }
+    }
+
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return this.endpoints.map((endpoint) => ({
+      url: endpoint.label,
+      status: describeEndpoint(endpoint),
+      score: endpoint.score,
+      latencyMs: endpoint.latencyMs,
+      blockNumber: endpoint.blockNumber,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt
+    }));
+  }
+
+  async _probe(endpoint) {
+    const startedAt = Date.now();
+    try {
+      endpoint.blockNumber = await endpoint.provider.getBlockNumber();
+      this._recordSuccess(endpoint, startedAt);
+      return endpoint.blockNumber;
+    } catch (error) {
+      this._recordFailure(endpoint, error);
+      return null;
+    }
+  }
+
+  _rankedEndpoints() {
+    return [...this.endpoints].sort((a, b) => b.score - a.score || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+  }
+
+  _recordSuccess(endpoint, startedAt) {
+    endpoint.score = Math.min(INITIAL_SCORE, endpoint.score + SUCCESS_REWARD);
+    endpoint.consecutiveFailures = 0;
+    endpoint.latencyMs = Date.now() - startedAt;
+    endpoint.lastError = null;
+    endpoint.lastCheckedAt = Date.now();
+  }
+
+  _recordFailure(endpoint, error) {
+    endpoint.score = Math.max(0, endpoint.score - FAILURE_PENALTY);
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastError = error.reason || error.message;
+    endpoint.lastCheckedAt = Date.now();
+  }
+}
+
+/**
+ * Transport-level failures mean the endpoint is unhealthy; anything the node answered with is a real result.
+ */
+function isEndpointFailure(error) {
+  if (error.code === errors.TIMEOUT || error.code === errors.NETWORK_ERROR) {
+    return true;
+  }
+
+  if (error.code !== errors.SERVER_ERROR) {
+    return false;
+  }
+
+  const rpcError = error.error;
+  return !(rpcError && typeof rpcError.code === 'number') || rpcError.code === RATE_LIMIT_RPC_CODE;
+}
+
+function describeEndpoint(endpoint) {
+  if (endpoint.score < DEGRADED_SCORE || endpoint.consecutiveFailures >= DOWN_AFTER_FAILURES) {
+    return 'down';
+  }
+  return endpoint.score >= HEALTHY_SCORE && endpoint.consecutiveFailures === 0 ? 'healthy' : 'degraded';
+}
+
+// RPC URLs often carry API keys in the path or query, so only the host is reported
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+module.exports = {
+  FailoverProvider,
+  QuorumError
+};
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { FailoverProvider, QuorumError } = require('./rpcProvider');
+
+const { errors } = ethers.utils.Logger;
+const network = { name: 'flowevm-testnet', chainId: 545 };
+
+function rpcFailure(code, rpcCode) {
+  return Object.assign(new Error(`rpc failure ${code}`), { code, error: rpcCode === undefined ? undefined : { code: rpcCode } });
+}
+
+/**
+ * Failover provider whose endpoints answer from `fakes` instead of the network.
+ * Each fake may define `blockNumber` (a number, or an Error to fail the probe) and `perform`.
+ */
+function createProvider(fakes, options) {
+  const provider = new FailoverProvider(
+    fakes.map((fake, index) => `https://rpc${index}.example/v1/secret-key`),
+    network,
+    options
+  );
+
+  provider.endpoints.forEach((endpoint, index) => {
+    const fake = fakes[index];
+    endpoint.calls = 0;
+    endpoint.provider = {
+      perform: async (method, params) => {
+        endpoint.calls += 1;
+        return fake.perform(method, params);
+      },
+      getBlockNumber: async () => {
+        if (fake.blockNumber instanceof Error) {
+          throw fake.blockNumber;
+        }
+        return fake.blockNumber;
+      }
+    };
+  });
+
+  return provider;
+}
+
+test('perform fails over to the next endpoint on transport errors and penalizes the failed one', async () => {
+  const provider = createProvider([
+    { perform: async () => { throw rpcFailure(errors.TIMEOUT); } },
+    { perform: async () => '0x2a' }
+  ]);
+
+  assert.strictEqual(await provider.perform('getBlockNumber', {}), '0x2a');
+  const [failed, healthy] = provider.endpoints;
+  assert.strictEqual(failed.consecutiveFailures, 1);
+  assert.ok(failed.score < healthy.score);
+
+  // The healthier endpoint is tried first from now on
+  await provider.perform('getBlockNumber', {});
+  assert.strictEqual(failed.calls, 1);
+  assert.strictEqual(healthy.calls, 2);
+});
+
+test('perform passes node errors through without failing over', async () => {
+  const reverted = rpcFailure(errors.SERVER_ERROR, -32000);
+  const provider = createProvider([
+    { perform: async () => { throw reverted; } },
+    { perform: async () => '0x1' }
+  ]);
+
+  await assert.rejects(provider.perform('sendTransaction', {}), (error) => error === reverted);
+  assert.strictEqual(provider.endpoints[1].calls, 0);
+  assert.strictEqual(provider.endpoints[0].consecutiveFailures, 0);
+});
+
+test('perform treats rate limits as endpoint failures', async () => {
+  const provider = createProvider([
+    { perform: async () => { throw rpcFailure(errors.SERVER_ERROR, -32005); } },
+    { perform: async () => '0x1' }
+  ]);
+
+  assert.strictEqual(await provider.perform('getBalance', {}), '0x1');
+  assert.strictEqual(provider.endpoints[0].consecutiveFailures, 1);
+});
+
+test('perform throws the last transport error once every endpoint failed', async () => {
+  const provider = createProvider([
+    { perform: async () => { throw rpcFailure(errors.NETWORK_ERROR); } },
+    { perform: async () => { throw rpcFailure(errors.TIMEOUT); } }
+  ]);
+
+  await assert.rejects(provider.perform('getBalance', {}), (error) => error.code === errors.TIMEOUT);
+});
+
+test('quorumRead reads at the highest block a quorum has reached and skips lagging endpoints', async () => {
+  const provider = createProvider([{ blockNumber: 100 }, { blockNumber: 102 }, { blockNumber: 90 }]);
+  const readers = [];
+
+  const outcome = await provider.quorumRead(async (endpointProvider, blockTag) => {
+    readers.push(endpointProvider);
+    return { balance: '5', blockTag };
+  });
+
+  assert.deepStrictEqual(outcome, { blockNumber: 100, result: { balance: '5', blockTag: 100 }, agreed: 2, queried: 2 });
+  assert.ok(!readers.includes(provider.endpoints[2].provider));
+});
+
+test('quorumRead refuses values too few endpoints agree on', async () => {
+  const provider = createProvider([{ blockNumber: 100 }, { blockNumber: 100 }, { blockNumber: 100 }]);
+  const balances = new Map(provider.endpoints.map((endpoint, index) => [endpoint.provider, String(index)]));
+
+  await assert.rejects(
+    provider.quorumRead(async (endpointProvider) => balances.get(endpointProvider)),
+    (error) => error instanceof QuorumError && error.code === 'RPC_QUORUM_FAILED' && error.data.agreed === 1
+  );
+});
+
+test('quorumRead fails when fewer endpoints than the quorum respond', async () => {
+  const provider = createProvider(
+    [{ blockNumber: 100 }, { blockNumber: rpcFailure(errors.TIMEOUT) }, { blockNumber: rpcFailure(errors.TIMEOUT) }],
+    { quorum: 2 }
+  );
+
+  await assert.rejects(
+    provider.quorumRead(async () => '1'),
+    (error) => error instanceof QuorumError && error.data.responded === 1
+  );
+});
+
+test('checkHealth penalizes lagging endpoints and reports hosts without their keys', async () => {
+  const provider = createProvider([{ blockNumber: 100 }, { blockNumber: 80 }]);
+
+  const status = await provider.checkHealth();
+
+  assert.deepStrictEqual(status.map((entry) => entry.url), ['rpc0.example', 'rpc1.example']);
+  assert.strictEqual(status[0].status, 'healthy');
+  assert.ok(status[1].score < status[0].score);
+  assert.strictEqual(status[1].blockNumber, 80);
+});
@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+
+/**
+ * Balance snapshot schema, shared with `wallet/utils/balanceSnapshot.js`.
+ * Keep the domain and types in sync on both sides; bump SNAPSHOT_VERSION on any change.
+ * Wallets only verify the current version, so a bump makes them ignore the snapshots they cached before.
+ */
+const SNAPSHOT_VERSION = 4;
+
+const SNAPSHOT_DOMAIN_NAME = 'OffGridPay Balance Snapshot';
+const SNAPSHOT_DOMAIN_VERSION = '1';
+
+const SNAPSHOT_TYPES = {
+  BalanceSnapshot: [
+    { name: 'wallet', type: 'address' },
+    { name: 'nativeBalance', type: 'uint256' },
+    { name: 'accountNonce', type: 'uint256' },
+    { name: 'protocolBalance', type: 'uint256' },
+    { name: 'protocolDeposit', type: 'uint256' },
+    { name: 'protocolNonce', type: 'uint256' },
+    { name: 'isActive', type: 'bool' },
+    { name: 'lastSyncTime', type: 'uint256' },
+    { name: 'baseFeePerGas', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' },
+    { name: 'maxPriorityFeePerGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'feeQuotedAt', type: 'uint256' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'contractAddress', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'signer', type: 'address' }
+  ]
+};
+
+function getSnapshotDomain(chainId) {
+  return {
+    name: SNAPSHOT_DOMAIN_NAME,
+    version: SNAPSHOT_DOMAIN_VERSION,
+    chainId
+  };
+}
+
+/**
+ * Map the JSON snapshot served by the relayer onto the typed-data message.
+ * A snapshot without a protocol account signs zeroed protocol fields; EIP-1559 fees are zero on
+ * chains without a base fee (see lib/feeQuote.js).
+ */
+function buildSnapshotMessage(snapshot) {
+  const protocol = snapshot.protocolAccount;
+  const fees = snapshot.fees;
+
+  return {
+    wallet: snapshot.walletAddress,
+    nativeBalance: snapshot.nativeBalance.wei,
+    accountNonce: snapshot.accountNonce,
+    protocolBalance: protocol ? protocol.balanceWei : '0',
+    protocolDeposit: protocol ? protocol.flowDepositWei : '0',
+    protocolNonce: protocol ? protocol.nonce : '0',
+    isActive: protocol ? Boolean(protocol.isActive) : false,
+    lastSyncTime: protocol ? protocol.lastSyncTime || '0' : '0',
+    baseFeePerGas: fees.baseFeePerGas || '0',
+    maxFeePerGas: fees.maxFeePerGas || '0',
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas || '0',
+    gasPrice: fees.gasPrice,
+    feeQuotedAt: fees.quotedAt,
+    chainId: snapshot.chainId,
+    contractAddress: snapshot.contractAddress,
+    timestamp: snapshot.timestamp,
+    validUntil: snapshot.validUntil,
+    signer: snapshot.signer
+  };
+}
+
+/**
+ * Sign a snapshot with the relayer wallet. Returns the EIP-712 digest alongside the signature.
+ */
+async function signSnapshot(wallet, snapshot) {
+  const domain = getSnapshotDomain(snapshot.chainId);
+  const message = buildSnapshotMessage(snapshot);
+
+  const digest = ethers.utils._TypedDataEncoder.hash(domain, SNAPSHOT_TYPES, message);
+  const signature = await wallet._signTypedData(domain, SNAPSHOT_TYPES, message);
+
+  return { digest, signature };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  SNAPSHOT_TYPES,
+  getSnapshotDomain,
+  buildSnapshotMessage,
+  signSnapshot
+};
@@ -0,0 +1,109 @@
+const { ethers } = require('ethers');
+
+const VALIDATION_CODES = {
+  INVALID_TRANSACTION: 'INVALID_TRANSACTION',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  WRONG_CHAIN: 'WRONG_CHAIN',
+  NONCE_TOO_LOW: 'NONCE_TOO_LOW',
+  GAS_LIMIT_TOO_LOW: 'GAS_LIMIT_TOO_LOW',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS'
+};
+
+const MIN_GAS_LIMIT = 21000;
+
+class TransactionValidationError extends Error {
+  constructor(code, message, data = {}) {
+    super(message);
+    this.name = 'TransactionValidationError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Decode a raw signed transaction and make sure a sender can be recovered from it.
+ */
+function parseSignedTransaction(signedTx) {
+  let decodedTx;
+  try {
+    decodedTx = ethers.utils.parseTransaction(signedTx);
+  } catch (error) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.INVALID_TRANSACTION,
+      `Unable to decode signed transaction: ${error.reason || error.message}`
+    );
+  }
+
+  if (!decodedTx.from) {
+    throw new TransactionValidationError(VALIDATION_CODES.INVALID_SIGNATURE, 'Transaction is not signed');
+  }
+
+  return decodedTx;
+}
+
+/**
+ * Check a decoded transaction against the configured network and the sender's on-chain state.
+ * Throws a TransactionValidationError describing the first failed check.
+ * A nonce that is already taken by a transaction still in the mempool passes as a `replacement`;
+ * the node decides whether its fee bump is high enough.
+ */
+async function validateTransactionState(decodedTx, { provider, chainId }) {
+  if (decodedTx.chainId !== chainId) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.WRONG_CHAIN,
+      decodedTx.chainId
+        ? `Transaction targets chain ${decodedTx.chainId}, relayer is configured for chain ${chainId}`
+        : 'Transaction is not replay-protected (missing chainId)',
+      { expected: chainId, actual: decodedTx.chainId || null }
+    );
+  }
+
+  if (decodedTx.gasLimit.lt(MIN_GAS_LIMIT)) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.GAS_LIMIT_TOO_LOW,
+      `Gas limit ${decodedTx.gasLimit.toString()} is below the ${MIN_GAS_LIMIT} minimum`,
+      { expected: MIN_GAS_LIMIT, actual: decodedTx.gasLimit.toString() }
+    );
+  }
+
+  const [minedNonce, pendingNonce, balance] = await Promise.all([
+    provider.getTransactionCount(decodedTx.from, 'latest'),
+    provider.getTransactionCount(decodedTx.from, 'pending'),
+    provider.getBalance(decodedTx.from)
+  ]);
+
+  if (decodedTx.nonce < minedNonce) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.NONCE_TOO_LOW,
+      `Nonce ${decodedTx.nonce} already mined; next nonce for ${decodedTx.from} is ${pendingNonce}`,
+      { expected: pendingNonce, actual: decodedTx.nonce }
+    );
+  }
+
+  const maxCost = getMaxTransactionCost(decodedTx);
+  if (balance.lt(maxCost)) {
+    throw new TransactionValidationError(
+      VALIDATION_CODES.INSUFFICIENT_FUNDS,
+      `Balance ${ethers.utils.formatEther(balance)} does not cover value + gas (${ethers.utils.formatEther(maxCost)})`,
+      { required: maxCost.toString(), available: balance.toString() }
+    );
+  }
+
+  return { pendingNonce, balance, replacement: decodedTx.nonce < pendingNonce };
+}
+
+/**
+ * Upper bound of what the sender pays: value plus gasLimit at the highest fee the transaction allows.
+ */
+function getMaxTransactionCost(decodedTx) {
+  const feePerGas = decodedTx.maxFeePerGas || decodedTx.gasPrice || ethers.constants.Zero;
+  return decodedTx.value.add(decodedTx.gasLimit.mul(feePerGas));
+}
+
+module.exports = {
+  VALIDATION_CODES,
+  TransactionValidationError,
+  parseSignedTransaction,
+  validateTransactionState,
+  getMaxTransactionCost
+};
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const {
+  VALIDATION_CODES,
+  TransactionValidationError,
+  getMaxTransactionCost,
+  parseSignedTransaction,
+  validateTransactionState
+} = require('./txValidation');
+
+const CHAIN_ID = 545;
+const sender = new ethers.Wallet('0x' + '11'.repeat(32));
+
+function signTransfer(overrides = {}) {
+  return sender.signTransaction({
+    to: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC',
+    value: ethers.utils.parseEther('1'),
+    nonce: 5,
+    gasLimit: 21000,
+    gasPrice: 1000000000,
+    chainId: CHAIN_ID,
+    ...overrides
+  });
+}
+
+function fakeProvider({ nonce = 5, balance = ethers.utils.parseEther('2') } = {}) {
+  return {
+    getTransactionCount: async () => nonce,
+    getBalance: async () => balance
+  };
+}
+
+async function validate(overrides, providerState) {
+  const decodedTx = parseSignedTransaction(await signTransfer(overrides));
+  return validateTransactionState(decodedTx, { provider: fakeProvider(providerState), chainId: CHAIN_ID });
+}
+
+async function assertRejected(promise, code) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof TransactionValidationError);
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+}
+
+test('parseSignedTransaction recovers the sender', async () => {
+  const decodedTx = parseSignedTransaction(await signTransfer());
+
+  assert.strictEqual(decodedTx.from, sender.address);
+  assert.strictEqual(decodedTx.nonce, 5);
+});
+
+test('parseSignedTransaction rejects bytes that do not decode', () => {
+  assert.throws(
+    () => parseSignedTransaction('0xdeadbeef'),
+    (error) => error.code === VALIDATION_CODES.INVALID_TRANSACTION
+  );
+});
+
+test('parseSignedTransaction rejects unsigned transactions', () => {
+  const unsigned = ethers.utils.serializeTransaction({ nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: CHAIN_ID });
+
+  assert.throws(
+    () => parseSignedTransaction(unsigned),
+    (error) => error.code === VALIDATION_CODES.INVALID_SIGNATURE
+  );
+});
+
+test('validateTransactionState accepts a transaction the sender can pay for', async () => {
+  const { pendingNonce, balance } = await validate();
+
+  assert.strictEqual(pendingNonce, 5);
+  assert.ok(balance.eq(ethers.utils.parseEther('2')));
+});
+
+test('validateTransactionState rejects other chains and unprotected transactions', async () => {
+  await assertRejected(validate({ chainId: 1 }), VALIDATION_CODES.WRONG_CHAIN);
+
+  const legacy = parseSignedTransaction(await signTransfer({ chainId: 0 }));
+  await assertRejected(
+    validateTransactionState(legacy, { provider: fakeProvider(), chainId: CHAIN_ID }),
+    VALIDATION_CODES.WRONG_CHAIN
+  );
+});
+
+test('validateTransactionState rejects gas limits below a plain transfer', async () => {
+  await assertRejected(validate({ gasLimit: 20999 }), VALIDATION_CODES.GAS_LIMIT_TOO_LOW);
+});
+
+test('validateTransactionState rejects nonces the sender already used', async () => {
+  await assertRejected(validate({ nonce: 3 }), VALIDATION_CODES.NONCE_TOO_LOW);
+});
+
+test('validateTransactionState rejects senders that cannot cover value and gas', async () => {
+  const exactCost = ethers.utils.parseEther('1').add(21000 * 1000000000);
+
+  await validate({}, { balance: exactCost });
+  await assertRejected(validate({}, { balance: exactCost.sub(1) }), VALIDATION_CODES.INSUFFICIENT_FUNDS);
+});
+
+test('getMaxTransactionCost prices EIP-1559 transactions at maxFeePerGas', async () => {
+  const decodedTx = parseSignedTransaction(await signTransfer({
+    type: 2,
+    gasPrice: undefined,
+    maxFeePerGas: 3000000000,
+    maxPriorityFeePerGas: 1000000000
+  }));
+
+  assert.ok(getMaxTransactionCost(decodedTx).eq(ethers.utils.parseEther('1').add(21000 * 3000000000)));
+});
@@ -36,6 +36,28 @@ async function run() {
     failures.push(`Balance request error: ${error.message}`);
   }
 
+  try {
+    const infoRes = await fetch(`${BASE_URL}/api/v1/info`);
+    const infoJson = await infoRes.json();
+    console.log('API v1 info:', infoRes.status, infoJson);
+    if (!infoRes.ok || !infoJson.success) {
+      failures.push(`API v1 info endpoint failed with status ${infoRes.status}`);
+    }
+  } catch (error) {
+    failures.push(`API v1 info request error: ${error.message}`);
+  }
+
+  try {
+    const v1BalanceRes = await fetch(`${BASE_URL}/api/v1/balance/${TEST_WALLET_ADDRESS}`);
+    const v1BalanceJson = await v1BalanceRes.json();
+    console.log('API v1 balance:', v1BalanceRes.status, v1BalanceJson);
+    if (!v1BalanceRes.ok || !v1BalanceJson.success) {
+      failures.push(`API v1 balance endpoint failed with status ${v1BalanceRes.status}`);
+    }
+  } catch (error) {
+    failures.push(`API v1 balance request error: ${error.message}`);
+  }
+
   if (DUMMY_SIGNED_TX) {
     try {
       const relayRes = await fetch(`${BASE_URL}/relay`, {
@@ -1,8 +1,10 @@
 const DEFAULT_RELAYER_BASE_URL = 'https://acronychous-frederick-hyperconservatively.ngrok-free.dev';
+const DEFAULT_CHAIN_ID = 545; // Flow EVM testnet
 
 const configuredBase = process.env.EXPO_PUBLIC_RELAYER_BASE_URL || DEFAULT_RELAYER_BASE_URL;
 const RELAYER_BASE_URL = configuredBase.replace(/\/$/, '');
 const RELAYER_HEALTHCHECK_URL = (process.env.EXPO_PUBLIC_RELAYER_HEALTHCHECK_URL || `${RELAYER_BASE_URL}/health`).replace(/\/$/, '');
+const CHAIN_ID = Number(process.env.EXPO_PUBLIC_CHAIN_ID || DEFAULT_CHAIN_ID);
 
-export { RELAYER_HEALTHCHECK_URL, RELAYER_BASE_URL };
+export { RELAYER_HEALTHCHECK_URL, RELAYER_BASE_URL, CHAIN_ID };
 
@@ -0,0 +1,32 @@
+import { CHAIN_ID } from './env';
+
+/**
+ * Networks the wallet can be set up on. Each wallet stores its chain ID; the relayer
+ * routes broadcasts and balance lookups to the matching network (see relayer/networks.example.json).
+ */
+const KNOWN_NETWORKS = [
+  { chainId: 545, name: 'Flow EVM Testnet', symbol: 'FLOW' },
+  { chainId: 747, name: 'Flow EVM Mainnet', symbol: 'FLOW' },
+];
+
+// EXPO_PUBLIC_CHAIN_ID may point at a local or custom chain
+export const NETWORKS = KNOWN_NETWORKS.some((network) => network.chainId === CHAIN_ID)
+  ? KNOWN_NETWORKS
+  : [...KNOWN_NETWORKS, { chainId: CHAIN_ID, name: `Chain ${CHAIN_ID}`, symbol: 'ETH' }];
+
+export const DEFAULT_NETWORK_CHAIN_ID = CHAIN_ID;
+
+export function getNetwork(chainId) {
+  return NETWORKS.find((network) => network.chainId === Number(chainId)) || null;
+}
+
+export function isSupportedChainId(chainId) {
+  return getNetwork(chainId) !== null;
+}
+
+/**
+ * Chain a stored wallet signs for; wallets saved before network selection existed use the default.
+ */
+export function getWalletChainId(wallet) {
+  return wallet?.chainId ? Number(wallet.chainId) : DEFAULT_NETWORK_CHAIN_ID;
+}
@@ -4,9 +4,10 @@
  */
 
 import { useCallback, useEffect, useRef, useState } from 'react';
-import BleRelayerService from '../services/BleRelayerService';
+import BleRelayerService, { DEVICE_ROLES } from '../services/BleRelayerService';
 import { useConnectivity } from '../context/ConnectivityContext';
 import { fetchWallet } from '../utils/db';
+import { getWalletChainId } from '../config/networks';
 
 export default function useBleRelay(options = {}) {
   const { autoStart = true, logger = console } = options;
@@ -40,6 +41,7 @@ export default function useBleRelay(options = {}) {
       const service = new BleRelayerService({
         walletAddress: wallet?.address || null,
         walletPrivateKey: wallet?.privateKey || null,
+        walletChainId: getWalletChainId(wallet),
         logger,
       });
 
@@ -129,10 +131,10 @@ export default function useBleRelay(options = {}) {
     try {
       await service.updateRole(isOnline, canRelay);
       
-      // Start/stop advertising based on role
+      // Start/stop advertising based on role; a device carrying mesh payloads keeps advertising offline
       if (canRelay && !service.isAdvertising) {
         await service.startAdvertising();
-      } else if (!canRelay && service.isAdvertising) {
+      } else if (!canRelay && service.isAdvertising && !service.hasMeshPayloads()) {
         await service.stopAdvertising();
       }
 
@@ -260,6 +262,7 @@ export default function useBleRelay(options = {}) {
       service.updateWalletCredentials({
         walletAddress: wallet.address,
         walletPrivateKey: wallet.privateKey,
+        walletChainId: getWalletChainId(wallet),
       });
     }
   }, [wallet, initializeService]);
@@ -289,7 +292,12 @@ export default function useBleRelay(options = {}) {
 
   // Get relayer peers (devices capable of relaying)
   const getRelayerPeers = useCallback(() => {
-    return peers.filter(peer => peer.role & 0x04); // RELAY_CAPABLE flag
+    return peers.filter(peer => peer.role & DEVICE_ROLES.RELAY_CAPABLE);
+  }, [peers]);
+
+  // Peers that carry transactions on towards a relayer (multi-hop gossip)
+  const getMeshPeers = useCallback(() => {
+    return peers.filter(peer => (peer.role & DEVICE_ROLES.MESH_RELAY) && !(peer.role & DEVICE_ROLES.RELAY_CAPABLE));
   }, [peers]);
 
   return {
@@ -298,6 +306,7 @@ export default function useBleRelay(options = {}) {
     error,
     peers,
     relayerPeers: getRelayerPeers(),
+    meshPeers: getMeshPeers(),
     relayerRole,
     selectedRelayer,
     isScanning,
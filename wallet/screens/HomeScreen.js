@@ -6,6 +6,9 @@ import { ethers } from 'ethers';
 import { useConnectivity } from '../context/ConnectivityContext';
 import useBleRelay from '../hooks/useBleRelay';
 import { RELAYER_BASE_URL } from '../config/env';
+import { DEFAULT_NETWORK_CHAIN_ID, getNetwork, getWalletChainId } from '../config/networks';
+import { verifyBalanceSnapshot } from '../utils/balanceSnapshot';
+import { getTrustedRelayers, isTrustedRelayer, seedTrustedRelayerFromHealth } from '../utils/trustedRelayers';
 import CustomCard from '../components/CustomCard';
 import CustomButton from '../components/CustomButton';
 import { theme } from '../theme';
@@ -141,7 +144,9 @@ export default function HomeScreen({ navigation }) {
   const [lastBalanceUpdatedAt, setLastBalanceUpdatedAt] = useState(null);
   const [tokenSymbol, setTokenSymbol] = useState('FLOW');
   const [flowDeposit, setFlowDeposit] = useState(null);
+  const [snapshotWarning, setSnapshotWarning] = useState(null);
   const [acks, setAcks] = useState([]);
+  const [trustedRelayers, setTrustedRelayers] = useState([]);
   const [loading, setLoading] = useState(true);
   const connectivity = useConnectivity();
   const bleRelay = useBleRelay({ autoStart: true });
@@ -166,27 +171,59 @@ export default function HomeScreen({ navigation }) {
     setFlowDeposit(parsed.flowDeposit);
   }, []);
 
-  const tryLoadCachedSnapshot = useCallback(async (address) => {
+  const tryLoadCachedSnapshot = useCallback(async (address, chainId) => {
     try {
-      const snapshot = await fetchLatestBalanceSnapshot(address);
-      if (snapshot) {
-        applySnapshotToState(snapshot, snapshot.dataSource || 'relayer-cache');
+      const cached = await fetchLatestBalanceSnapshot(address);
+      if (!cached) {
+        return;
       }
+
+      const verification = verifyBalanceSnapshot(cached.snapshot, {
+        walletAddress: address,
+        chainId,
+        trustedRelayers: await getTrustedRelayers(),
+      });
+      if (!verification.valid) {
+        console.warn('Ignoring cached balance snapshot:', verification.error);
+        return;
+      }
+      if (!verification.trusted) {
+        setSnapshotWarning(`Cached balance was signed by untrusted relayer ${verification.signer} and is hidden.`);
+        return;
+      }
+
+      applySnapshotToState(cached.snapshot, cached.dataSource || 'relayer-cache');
+      setSnapshotWarning(verification.fresh ? null : 'Balance snapshot has expired and may be outdated.');
     } catch (error) {
       console.warn('Failed to load cached balance snapshot:', error);
     }
   }, [applySnapshotToState]);
 
-  const fetchBalanceFromBackend = useCallback(async (address) => {
+  const fetchBalanceFromBackend = useCallback(async (address, chainId) => {
     try {
-      const url = `${RELAYER_BASE_URL}/balance?walletAddress=${address}`;
+      const url = `${RELAYER_BASE_URL}/balance?walletAddress=${address}&chainId=${chainId}`;
       const response = await fetch(url, { method: 'GET' });
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}`);
       }
 
       const snapshot = await response.json();
+      const verification = verifyBalanceSnapshot(snapshot, {
+        walletAddress: address,
+        chainId,
+        trustedRelayers: await getTrustedRelayers(),
+      });
+      if (verification.valid && !verification.trusted) {
+        await tryLoadCachedSnapshot(address, chainId);
+        setSnapshotWarning(`Relayer balance was signed by untrusted relayer ${verification.signer} and is hidden.`);
+        return;
+      }
+      if (!verification.valid || !verification.fresh) {
+        throw new Error(`Relayer snapshot rejected: ${verification.error}`);
+      }
+
       applySnapshotToState(snapshot, 'relayer');
+      setSnapshotWarning(null);
 
       try {
         await upsertBalanceSnapshot(snapshot);
@@ -196,34 +233,44 @@ export default function HomeScreen({ navigation }) {
       }
     } catch (error) {
       console.error('Failed to fetch balance from relayer:', error);
-      await tryLoadCachedSnapshot(address);
+      await tryLoadCachedSnapshot(address, chainId);
     }
-  }, [tryLoadCachedSnapshot]);
+  }, [applySnapshotToState, tryLoadCachedSnapshot]);
 
-  const refreshBalance = useCallback(async (address, acknowledgements = []) => {
+  const refreshBalance = useCallback(async (address, acknowledgements = [], chainId = DEFAULT_NETWORK_CHAIN_ID) => {
     if (!address) return;
 
     const isOnline = connectivity.isConnected && connectivity.isInternetReachable;
 
     if (isOnline) {
-      await fetchBalanceFromBackend(address);
+      try {
+        await seedTrustedRelayerFromHealth({ chainId });
+      } catch (error) {
+        console.warn('Failed to seed trusted relayer registry:', error);
+      }
+      await fetchBalanceFromBackend(address, chainId);
       return;
     }
 
-    if (acknowledgements.length > 0) {
-      const latestAck = acknowledgements[0]; // Already sorted desc
+    const registry = await getTrustedRelayers();
+    // Already sorted desc; unversioned acks name no chain and predate other networks
+    const latestAck = acknowledgements.find((ack) => (ack.chainId ?? DEFAULT_NETWORK_CHAIN_ID) === chainId);
+    if (latestAck && isTrustedRelayer(latestAck.relayerAddress, chainId, registry)) {
       const newBalances = JSON.parse(latestAck.newBalances);
       const userBalance = newBalances[address];
       if (userBalance) {
-        setBalance(userBalance);
+        // Relayer acks carry account snapshots (native and protocol balances after the transaction);
+        // early acks carried the balance string
+        const parsed = typeof userBalance === 'object' ? extractBalanceFromSnapshot(userBalance) : null;
+        setBalance(parsed ? parsed.amount : userBalance);
         setBalanceSource('acknowledgement');
         setTokenSymbol('FLOW');
-        setFlowDeposit(null);
+        setFlowDeposit(parsed ? parsed.flowDeposit : null);
         setLastBalanceUpdatedAt(Date.now());
       }
     }
 
-    await tryLoadCachedSnapshot(address);
+    await tryLoadCachedSnapshot(address, chainId);
   }, [connectivity.isConnected, connectivity.isInternetReachable, fetchBalanceFromBackend, tryLoadCachedSnapshot]);
 
   const loadData = useCallback(async () => {
@@ -235,7 +282,8 @@ export default function HomeScreen({ navigation }) {
         const fetchedAcks = await fetchAcks()
         setAcks(fetchedAcks)
 
-        await refreshBalance(fetchedWallet.address, fetchedAcks);
+        await refreshBalance(fetchedWallet.address, fetchedAcks, getWalletChainId(fetchedWallet));
+        setTrustedRelayers(await getTrustedRelayers());
       }
     } catch (error) {
       console.error("Failed to load data:", error)
@@ -252,13 +300,13 @@ export default function HomeScreen({ navigation }) {
 
   useEffect(() => {
     if (!wallet?.address) return;
-    refreshBalance(wallet.address, acks);
-  }, [acks, wallet?.address, refreshBalance]);
+    refreshBalance(wallet.address, acks, getWalletChainId(wallet));
+  }, [acks, wallet?.address, wallet?.chainId, refreshBalance]);
 
   useEffect(() => {
     if (!wallet?.address) return;
-    refreshBalance(wallet.address, acks);
-  }, [connectivity.isConnected, connectivity.isInternetReachable, wallet?.address, acks, refreshBalance]);
+    refreshBalance(wallet.address, acks, getWalletChainId(wallet));
+  }, [connectivity.isConnected, connectivity.isInternetReachable, wallet?.address, wallet?.chainId, acks, refreshBalance]);
 
   const renderTxItem = ({ item }) => {
     const isSender = item.fromAddress.toLowerCase() === wallet.address.toLowerCase()
@@ -287,6 +335,11 @@ export default function HomeScreen({ navigation }) {
           </Text>
           <Text style={styles.txDetailText}>Block: {item.blockNumber}</Text>
         </View>
+        {!isTrustedRelayer(item.relayerAddress, item.chainId ?? DEFAULT_NETWORK_CHAIN_ID, trustedRelayers) ? (
+          <Text style={styles.txUntrusted}>
+            Signed by untrusted relayer {item.relayerAddress.substring(0, 10)}...
+          </Text>
+        ) : null}
       </View>
     )
   }
@@ -307,6 +360,9 @@ export default function HomeScreen({ navigation }) {
         <Text style={styles.balanceLabel}>Balance:</Text>
         <Text style={styles.balance}>{balance} {tokenSymbol}</Text>
         <Text style={styles.balanceMeta}>Source: {formatBalanceSource(balanceSource)}</Text>
+        <Text style={styles.balanceMeta}>
+          Network: {getNetwork(getWalletChainId(wallet))?.name || `Chain ${getWalletChainId(wallet)}`}
+        </Text>
         <Text style={styles.balanceMeta}>
           Last update: {lastBalanceUpdatedAt ? new Date(lastBalanceUpdatedAt).toLocaleString() : '—'}
         </Text>
@@ -315,6 +371,9 @@ export default function HomeScreen({ navigation }) {
             Protocol deposit: {flowDeposit} {tokenSymbol}
           </Text>
         ) : null}
+        {snapshotWarning ? (
+          <Text style={styles.balanceWarning}>{snapshotWarning}</Text>
+        ) : null}
       </View>
 
       <View style={styles.actions}>
@@ -462,6 +521,7 @@ const styles = StyleSheet.create({
   balanceLabel: { fontSize: 20, color: '#333' },
   balance: { fontSize: 36, fontWeight: 'bold', color: theme.colors.success },
   balanceMeta: { fontSize: 12, color: '#4b5563', marginTop: 4 },
+  balanceWarning: { fontSize: 12, color: '#b45309', marginTop: 4 },
   actions: { flexDirection: 'row', justifyContent: 'space-around', marginVertical: 20 },
   connectivityCard: {
     backgroundColor: '#1e293b',
@@ -571,6 +631,11 @@ const styles = StyleSheet.create({
     fontSize: theme.typography.small.fontSize,
     color: theme.colors.textSecondary,
   },
+  txUntrusted: {
+    fontSize: theme.typography.small.fontSize,
+    color: theme.colors.error,
+    marginTop: theme.spacing.xs,
+  },
   noTxText: {
     textAlign: "center",
     color: theme.colors.textSecondary,
@@ -38,10 +38,10 @@ export default function ScanScreen({ navigation }) {
         throw new Error("Missing acknowledgement payload fields.")
       }
 
-      // 1. Verify the signature
-      const isVerified = verifyAck(ack)
+      // 1. Verify the signature and that the signer is a trusted relayer
+      const verification = await verifyAck(ack)
 
-      if (isVerified) {
+      if (verification.valid && verification.trusted) {
         // 2. Save the valid ack to the database
         await saveAck(ack)
         Alert.alert(
@@ -49,10 +49,16 @@ export default function ScanScreen({ navigation }) {
           "Transaction acknowledgement received and verified. Your balance has been updated.",
           [{ text: "OK", onPress: () => navigation.goBack() }]
         )
+      } else if (verification.valid) {
+        Alert.alert(
+          "Untrusted Relayer",
+          `This acknowledgement was signed by ${verification.signer}, which is not in your trusted relayer list. Discarding.`,
+          [{ text: "OK", onPress: () => setScanned(false) }]
+        )
       } else {
         Alert.alert(
           "Invalid Signature",
-          "This acknowledgement is not from the trusted relayer. Discarding.",
+          "This acknowledgement's signature could not be verified. Discarding.",
           [{ text: "OK", onPress: () => setScanned(false) }]
         )
       }
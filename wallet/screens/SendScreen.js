@@ -2,12 +2,24 @@ import React, { useState, useEffect } from "react"
 import { View, Text, StyleSheet, Alert, ActivityIndicator, ScrollView } from "react-native"
 import { ethers } from "ethers"
 import QRCode from "react-native-qrcode-svg"
-import { fetchWallet, fetchAcks, saveAck, saveBleTransaction } from "../utils/db"
+import { fetchWallet, saveBleTransaction, saveQrTransaction } from "../utils/db"
 import CustomButton from "../components/CustomButton"
 import CustomCard from "../components/CustomCard"
 import CustomInput from "../components/CustomInput"
 import { theme } from "../theme"
 import useBleRelay from "../hooks/useBleRelay"
+import { getWalletChainId } from "../config/networks"
+import { getNonceState, getReplacementFees, markReplaced, settleTransactions, NONCE_CONFLICTS } from "../utils/nonceManager"
+import { getFeeQuote, describeFees } from "../utils/feeQuote"
+import { loadCachedSnapshot } from "../utils/balanceSnapshot"
+import { SEND_ACTIONS, actionNeedsRecipient, buildSendTransaction, describeSendTransaction } from "../utils/protocolCalls"
+
+const ACTION_LABELS = {
+  [SEND_ACTIONS.NATIVE_TRANSFER]: { button: "Send", amount: "Amount (ETH)", recipient: "Recipient Address" },
+  [SEND_ACTIONS.DEPOSIT]: { button: "Deposit", amount: "Amount to deposit (ETH)" },
+  [SEND_ACTIONS.WITHDRAW]: { button: "Withdraw", amount: "Amount to withdraw (ETH)" },
+  [SEND_ACTIONS.PROTOCOL_TRANSFER]: { button: "Protocol", amount: "Protocol balance to send (ETH)", recipient: "Protocol Recipient Address" },
+}
 
 export default function SendScreen({ navigation }) {
   const [recipient, setRecipient] = useState("")
@@ -17,9 +29,16 @@ export default function SendScreen({ navigation }) {
   const [sendMethod, setSendMethod] = useState('auto') // 'auto', 'ble', 'qr'
   const [bleStatus, setBleStatus] = useState('idle') // 'idle', 'scanning', 'connecting', 'sending', 'success', 'error'
   const [bleProgress, setBleProgress] = useState('')
+  const [nonceState, setNonceState] = useState(null)
+  const [replacing, setReplacing] = useState(null) // { nonce, transactions } being replaced
+  const [feeQuote, setFeeQuote] = useState(null)
+  const [action, setAction] = useState(SEND_ACTIONS.NATIVE_TRANSFER)
+  const [contractAddress, setContractAddress] = useState(null)
   
   // BLE integration
   const bleRelay = useBleRelay({ logger: console })
+  // With no relayer in range, a mesh peer can carry the transaction towards one
+  const hasBleRoute = bleRelay.relayerPeers.length > 0 || bleRelay.meshPeers.length > 0
 
   // Auto-detect best send method based on available relayers
   useEffect(() => {
@@ -29,16 +48,83 @@ export default function SendScreen({ navigation }) {
       }
       
       // Auto-select method based on available relayers
-      if (bleRelay.relayerPeers.length > 0 && sendMethod === 'auto') {
+      if (hasBleRoute && sendMethod === 'auto') {
         setSendMethod('ble');
-      } else if (bleRelay.relayerPeers.length === 0 && sendMethod === 'auto') {
+      } else if (!hasBleRoute && sendMethod === 'auto') {
         setSendMethod('qr');
       }
     }
-  }, [bleRelay.isInitialized, bleRelay.relayerPeers.length, bleRelay.isScanning, sendMethod]);
+  }, [bleRelay.isInitialized, hasBleRoute, bleRelay.isScanning, sendMethod]);
+
+  useEffect(() => {
+    refreshNonceState()
+    refreshFeeQuote()
+    loadContractAddress()
+  }, [])
+
+  const refreshNonceState = async () => {
+    try {
+      const walletData = await fetchWallet()
+      if (!walletData) {
+        return null
+      }
+      const state = await getNonceState({ address: walletData.address, chainId: getWalletChainId(walletData) })
+      setNonceState(state)
+      return state
+    } catch (error) {
+      console.error("Failed to load nonce state:", error)
+      return null
+    }
+  }
+
+  // Fees come from the relayer-signed quote in the cached balance snapshot, so they work offline
+  const refreshFeeQuote = async () => {
+    try {
+      const walletData = await fetchWallet()
+      if (!walletData) {
+        return null
+      }
+      const quote = await getFeeQuote({ address: walletData.address, chainId: getWalletChainId(walletData) })
+      setFeeQuote(quote)
+      return quote
+    } catch (error) {
+      console.error("Failed to load fee quote:", error)
+      return null
+    }
+  }
+
+  // Protocol calls go to the contract named in the relayer-signed snapshot for this network
+  const loadContractAddress = async () => {
+    try {
+      const walletData = await fetchWallet()
+      if (!walletData) {
+        return
+      }
+      const cached = await loadCachedSnapshot({ address: walletData.address, chainId: getWalletChainId(walletData) })
+      setContractAddress(cached ? cached.snapshot.contractAddress : null)
+    } catch (error) {
+      console.error("Failed to load protocol contract address:", error)
+    }
+  }
+
+  const handleReplace = (tx) => {
+    let sent
+    try {
+      sent = describeSendTransaction({ to: tx.to, value: tx.valueWei, data: tx.data })
+    } catch (error) {
+      Alert.alert("Cannot Replace", "This transaction calls a contract method this wallet cannot rebuild.")
+      return
+    }
+
+    const transactions = nonceState.pending.filter((entry) => entry.nonce === tx.nonce)
+    setReplacing({ nonce: tx.nonce, transactions })
+    setAction(sent.action)
+    setRecipient(sent.recipient || "")
+    setAmount(sent.amount)
+  }
 
   const handleGenerateTransaction = async () => {
-    if (!ethers.utils.isAddress(recipient)) {
+    if (actionNeedsRecipient(action) && !ethers.utils.isAddress(recipient)) {
       Alert.alert("Invalid Address", "Please enter a valid Ethereum recipient address.")
       return
     }
@@ -46,44 +132,99 @@ export default function SendScreen({ navigation }) {
       Alert.alert("Invalid Amount", "Please enter a valid amount.")
       return
     }
+    if (action !== SEND_ACTIONS.NATIVE_TRANSFER && !contractAddress) {
+      Alert.alert("Protocol Unavailable", "Refresh your balance while online to load the protocol contract for this network.")
+      return
+    }
 
+    const walletData = await fetchWallet()
+    if (!walletData) {
+      Alert.alert("Wallet Missing", "Create or import a wallet before sending transactions.")
+      return
+    }
+
+    const state = await refreshNonceState()
+    if (!state) {
+      Alert.alert("Transaction Error", "Could not determine the next nonce.")
+      return
+    }
+
+    // A replacement resolves the conflicts at its own nonce; anything else needs the user's attention first
+    const conflicts = state.conflicts.filter((conflict) => !replacing || conflict.nonce !== replacing.nonce)
+    if (conflicts.length > 0) {
+      const usedNonceTransactions = conflicts
+        .filter((conflict) => conflict.type === NONCE_CONFLICTS.NONCE_USED)
+        .flatMap((conflict) => conflict.transactions)
+
+      Alert.alert(
+        "Nonce Conflict",
+        `${conflicts.map((conflict) => conflict.message).join("\n\n")}\n\nUse "Replace" on a pending transaction to rebuild it with higher fees.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Continue",
+            onPress: async () => {
+              await settleTransactions(usedNonceTransactions)
+              const settledState = await refreshNonceState()
+              if (settledState) {
+                await createTransaction(walletData, settledState)
+              }
+            },
+          },
+        ]
+      )
+      return
+    }
+
+    await createTransaction(walletData, state)
+  }
+
+  const createTransaction = async (walletData, state) => {
     setLoading(true)
     setQrData(null)
 
     try {
-      // 1. Fetch wallet and determine nonce
-      const walletData = await fetchWallet()
-      if (!walletData) {
-        Alert.alert("Wallet Missing", "Create or import a wallet before sending transactions.")
-        return
+      // 1. Determine nonce and fees: a replacement reuses the nonce it replaces with bumped fees
+      const quote = await refreshFeeQuote()
+      if (!quote) {
+        throw new Error("Fee quote unavailable")
       }
-      const acks = await fetchAcks()
-      const nonce = acks.length // Use the number of past successful txs as nonce
+      const nonce = replacing ? replacing.nonce : state.nextNonce
+      const fees = replacing ? getReplacementFees(replacing.transactions, quote.fees) : quote.fees
 
       const wallet = new ethers.Wallet(walletData.privateKey)
 
-      // 2. Create transaction object (offline)
+      // 2. Create transaction object (offline): a native transfer or a protocol contract call
       const tx = {
-        to: recipient,
-        value: ethers.utils.parseEther(amount),
+        ...buildSendTransaction(action, { amount, recipient, contractAddress }),
         nonce: nonce,
-        gasLimit: 21000, // Standard for ETH transfer
-        gasPrice: ethers.utils.parseUnits("10", "gwei"), // Hardcoded gas price for MVP
+        ...fees,
+        chainId: getWalletChainId(walletData), // Replay protection; the relayer routes by chain
       }
 
       // 3. Sign the transaction
       const signedTxHex = await wallet.signTransaction(tx)
+      const txHash = ethers.utils.keccak256(signedTxHex)
       const payload = {
         version: 1,
         type: "offline-signed-transaction",
         signedTx: signedTxHex,
         metadata: {
           from: wallet.address,
-          to: recipient,
+          to: tx.to,
+          action,
+          recipient: actionNeedsRecipient(action) ? recipient : null,
           amountEth: amount,
           nonce,
+          nonceVerified: state.verified,
+          replaces: replacing ? replacing.transactions.map((entry) => entry.txHash) : [],
           gasLimit: String(tx.gasLimit),
-          gasPriceGwei: ethers.utils.formatUnits(tx.gasPrice, "gwei"),
+          type: tx.type || 0,
+          gasPrice: tx.gasPrice ? tx.gasPrice.toString() : null,
+          maxFeePerGas: tx.maxFeePerGas ? tx.maxFeePerGas.toString() : null,
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : null,
+          fees: describeFees(tx),
+          feeQuoteStale: quote.stale,
           createdAt: new Date().toISOString(),
         },
         // Phase 2: Add originator signature for BLE (FR-9)
@@ -91,7 +232,8 @@ export default function SendScreen({ navigation }) {
           signedTx: signedTxHex,
           metadata: {
             from: wallet.address,
-            to: recipient,
+            to: tx.to,
+            action,
             amountEth: amount,
             nonce,
             createdAt: new Date().toISOString(),
@@ -100,11 +242,19 @@ export default function SendScreen({ navigation }) {
       }
 
       setQrData(payload)
-      
+
+      if (replacing) {
+        await markReplaced(replacing.transactions, txHash)
+        setReplacing(null)
+      }
+
       // If BLE method is selected and relayer available, automatically send via BLE
       if (sendMethod === 'ble' && bleRelay.selectedRelayer) {
         await handleBleSend(payload)
+      } else {
+        await recordQrSend(payload)
       }
+      await refreshNonceState()
     } catch (error) {
       Alert.alert("Transaction Error", "Could not create signed transaction.")
       console.error(error)
@@ -113,6 +263,22 @@ export default function SendScreen({ navigation }) {
     }
   }
 
+  // QR sends hold their nonce until the nonce manager sees them mined
+  const recordQrSend = async (payload) => {
+    try {
+      await saveQrTransaction({
+        txHash: ethers.utils.keccak256(payload.signedTx),
+        fromAddress: payload.metadata.from,
+        toAddress: payload.metadata.to,
+        value: payload.metadata.amountEth,
+        nonce: payload.metadata.nonce,
+        signedTx: payload.signedTx,
+      })
+    } catch (error) {
+      console.error("Failed to record QR transaction:", error)
+    }
+  }
+
   const handleBleSend = async (payload) => {
     if (!bleRelay.selectedRelayer) {
       Alert.alert('No Relayer', 'No BLE relayer found. Switching to QR code method.')
@@ -168,7 +334,13 @@ export default function SendScreen({ navigation }) {
         'BLE Send Failed',
         `Could not send via BLE: ${error.message}. You can try QR code instead.`,
         [
-          { text: 'Use QR Code', onPress: () => setSendMethod('qr') },
+          {
+            text: 'Use QR Code',
+            onPress: () => {
+              setSendMethod('qr')
+              recordQrSend(payload)
+            },
+          },
           { text: 'Retry', onPress: () => handleBleSend(payload) },
         ]
       )
@@ -205,6 +377,10 @@ export default function SendScreen({ navigation }) {
               </Text>
             )}
           </View>
+        ) : bleRelay.selectedRelayer?.meshHop ? (
+          <Text style={styles.statusSelected}>
+            No relayer in range. The transaction will hop through {bleRelay.selectedRelayer.name} and nearby phones until one is online.
+          </Text>
         ) : (
           <Text style={styles.statusNotFound}>
             No relayers found. QR code will be used.
@@ -223,6 +399,97 @@ export default function SendScreen({ navigation }) {
     )
   }
 
+  const renderActionSelector = () => {
+    return (
+      <View>
+        <View style={styles.methodButtons}>
+          {Object.values(SEND_ACTIONS).map((value) => (
+            <CustomButton
+              key={value}
+              title={ACTION_LABELS[value].button}
+              variant={action === value ? 'solid' : 'outline'}
+              onPress={() => setAction(value)}
+              style={styles.sendActionButton}
+              disabled={Boolean(replacing)}
+            />
+          ))}
+        </View>
+        {action !== SEND_ACTIONS.NATIVE_TRANSFER && (
+          <Text style={contractAddress ? styles.nonceText : styles.statusNotFound}>
+            {contractAddress
+              ? `Protocol contract: ${contractAddress}`
+              : 'Protocol contract unknown. Refresh your balance while online first.'}
+          </Text>
+        )}
+      </View>
+    )
+  }
+
+  const renderFeeQuote = () => {
+    if (!feeQuote) {
+      return null
+    }
+
+    return (
+      <CustomCard style={styles.statusCard}>
+        <Text style={styles.statusTitle}>Network Fees</Text>
+        <Text style={styles.nonceText}>
+          {describeFees(feeQuote.fees)}
+          {feeQuote.ageSeconds !== null ? ` · quoted ${Math.round(feeQuote.ageSeconds / 60)} min ago` : ''}
+        </Text>
+        {feeQuote.warning && <Text style={styles.statusNotFound}>{feeQuote.warning}</Text>}
+      </CustomCard>
+    )
+  }
+
+  const renderPendingTransactions = () => {
+    if (!nonceState) {
+      return null
+    }
+
+    return (
+      <CustomCard style={styles.statusCard}>
+        <Text style={styles.statusTitle}>Nonce</Text>
+        <Text style={styles.nonceText}>
+          Next nonce: {replacing ? `${replacing.nonce} (replacement)` : nonceState.nextNonce}
+        </Text>
+        {!nonceState.verified && (
+          <Text style={styles.statusNotFound}>
+            No trusted balance snapshot with an on-chain nonce yet. Only transactions sent from this device are counted.
+          </Text>
+        )}
+        {nonceState.conflicts.map((conflict) => (
+          <Text key={`${conflict.type}-${conflict.nonce}`} style={styles.statusError}>
+            {conflict.message}
+          </Text>
+        ))}
+        {nonceState.pending.map((tx) => (
+          <View key={tx.txHash} style={styles.pendingItem}>
+            <Text style={styles.pendingText}>
+              #{tx.nonce} · {tx.value} ETH to {tx.to.slice(0, 10)}... · {tx.type.toUpperCase()} {tx.status}
+            </Text>
+            {!tx.confirmed && (
+              <CustomButton
+                title={replacing?.nonce === tx.nonce ? 'Replacing' : 'Replace'}
+                variant="outline"
+                onPress={() => handleReplace(tx)}
+                style={styles.pendingButton}
+              />
+            )}
+          </View>
+        ))}
+        {replacing && (
+          <CustomButton
+            title="Cancel Replacement"
+            variant="outline"
+            onPress={() => setReplacing(null)}
+            style={styles.pendingButton}
+          />
+        )}
+      </CustomCard>
+    )
+  }
+
   const renderMethodSelector = () => {
     return (
       <CustomCard style={styles.methodCard}>
@@ -239,7 +506,7 @@ export default function SendScreen({ navigation }) {
             variant={sendMethod === 'ble' ? 'solid' : 'outline'}
             onPress={() => setSendMethod('ble')}
             style={styles.methodButton}
-            disabled={bleRelay.relayerPeers.length === 0}
+            disabled={!hasBleRoute}
           />
           <CustomButton
             title="QR Code"
@@ -257,14 +524,19 @@ export default function SendScreen({ navigation }) {
       {!qrData ? (
         <CustomCard>
           <Text style={styles.title}>Send Transaction</Text>
-          <Text style={styles.label}>Recipient Address</Text>
-          <CustomInput
-            value={recipient}
-            onChangeText={setRecipient}
-            placeholder="0x..."
-            style={styles.input}
-          />
-          <Text style={styles.label}>Amount (ETH)</Text>
+          {renderActionSelector()}
+          {actionNeedsRecipient(action) && (
+            <>
+              <Text style={styles.label}>{ACTION_LABELS[action].recipient}</Text>
+              <CustomInput
+                value={recipient}
+                onChangeText={setRecipient}
+                placeholder="0x..."
+                style={styles.input}
+              />
+            </>
+          )}
+          <Text style={styles.label}>{ACTION_LABELS[action].amount}</Text>
           <CustomInput
             value={amount}
             onChangeText={setAmount}
@@ -273,6 +545,8 @@ export default function SendScreen({ navigation }) {
             style={styles.input}
           />
           
+          {renderFeeQuote()}
+          {renderPendingTransactions()}
           {renderRelayerStatus()}
           {renderMethodSelector()}
 
@@ -329,18 +603,35 @@ export default function SendScreen({ navigation }) {
                 {qrData.metadata.to}
               </Text>
             </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Action:</Text>
+              <Text style={styles.summaryValue}>{ACTION_LABELS[qrData.metadata.action].button}</Text>
+            </View>
+            {qrData.metadata.recipient && qrData.metadata.recipient !== qrData.metadata.to && (
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Recipient:</Text>
+                <Text selectable style={styles.summaryValue}>
+                  {qrData.metadata.recipient}
+                </Text>
+              </View>
+            )}
             <View style={styles.summaryItem}>
               <Text style={styles.summaryLabel}>Amount:</Text>
               <Text style={styles.summaryValue}>{qrData.metadata.amountEth} ETH</Text>
             </View>
             <View style={styles.summaryItem}>
               <Text style={styles.summaryLabel}>Nonce:</Text>
-              <Text style={styles.summaryValue}>{qrData.metadata.nonce}</Text>
+              <Text style={styles.summaryValue}>
+                {qrData.metadata.nonce}
+                {qrData.metadata.replaces.length > 0 ? ' (replacement)' : ''}
+                {qrData.metadata.nonceVerified ? '' : ' (unverified)'}
+              </Text>
             </View>
             <View style={styles.summaryItem}>
               <Text style={styles.summaryLabel}>Gas:</Text>
               <Text style={styles.summaryValue}>
-                {qrData.metadata.gasLimit} @ {qrData.metadata.gasPriceGwei} gwei
+                {qrData.metadata.gasLimit} @ {qrData.metadata.fees}
+                {qrData.metadata.feeQuoteStale ? ' (stale quote)' : ''}
               </Text>
             </View>
             {qrData.originatorSignature && (
@@ -366,6 +657,8 @@ export default function SendScreen({ navigation }) {
                 setBleStatus('idle')
                 setBleProgress('')
                 setSendMethod('auto')
+                setReplacing(null)
+                setAction(SEND_ACTIONS.NATIVE_TRANSFER)
               }}
               variant="outline"
               style={styles.actionButton}
@@ -501,6 +794,21 @@ const styles = StyleSheet.create({
     fontSize: theme.typography.caption.fontSize,
     color: theme.colors.warning,
   },
+  nonceText: {
+    fontSize: theme.typography.caption.fontSize,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  pendingItem: {
+    marginTop: theme.spacing.sm,
+  },
+  pendingText: {
+    fontSize: theme.typography.caption.fontSize,
+    color: theme.colors.textSecondary,
+  },
+  pendingButton: {
+    marginTop: theme.spacing.xs,
+  },
   progressContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -533,6 +841,10 @@ const styles = StyleSheet.create({
   methodButton: {
     flex: 0.32,
   },
+  sendActionButton: {
+    flex: 0.24,
+    marginBottom: theme.spacing.sm,
+  },
   successContainer: {
     alignItems: 'center',
     padding: theme.spacing.xl,
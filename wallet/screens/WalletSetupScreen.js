@@ -2,6 +2,7 @@ import React, { useState } from "react"
 import { View, Text, StyleSheet, Alert, ScrollView } from "react-native"
 import { ethers } from "ethers"
 import { saveWallet } from "../utils/db"
+import { NETWORKS, DEFAULT_NETWORK_CHAIN_ID } from "../config/networks"
 import CustomButton from "../components/CustomButton"
 import CustomCard from "../components/CustomCard"
 import CustomInput from "../components/CustomInput"
@@ -10,6 +11,7 @@ import { theme } from "../theme"
 export default function WalletSetupScreen({ navigation }) {
   const [privateKeyInput, setPrivateKeyInput] = useState("")
   const [newWallet, setNewWallet] = useState(null)
+  const [chainId, setChainId] = useState(DEFAULT_NETWORK_CHAIN_ID)
 
   const handleCreateWallet = async () => {
     try {
@@ -40,7 +42,7 @@ export default function WalletSetupScreen({ navigation }) {
 
   const saveAndNavigate = async (pk, addr) => {
     try {
-      await saveWallet(pk, addr)
+      await saveWallet(pk, addr, chainId)
       Alert.alert("Wallet Saved!", `Your address: ${addr}`)
       navigation.replace("Home")
     } catch (error) {
@@ -54,6 +56,20 @@ export default function WalletSetupScreen({ navigation }) {
       <Text style={styles.title}>Wallet Setup</Text>
       <Text style={styles.subtitle}>Create a new wallet or import an existing one</Text>
 
+      <CustomCard style={styles.sectionCard}>
+        <Text style={styles.sectionTitle}>Network</Text>
+        <Text style={styles.infoText}>Transactions from this wallet are signed for the selected network</Text>
+        {NETWORKS.map((network) => (
+          <CustomButton
+            key={network.chainId}
+            title={`${network.name} (${network.chainId})`}
+            variant={network.chainId === chainId ? "primary" : "outline"}
+            onPress={() => setChainId(network.chainId)}
+            style={styles.button}
+          />
+        ))}
+      </CustomCard>
+
       <CustomCard style={styles.sectionCard}>
         <Text style={styles.sectionTitle}>Create a New Wallet</Text>
         <CustomButton
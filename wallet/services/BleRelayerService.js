@@ -13,20 +13,55 @@ import {
   processHandshakeInit,
   completeHandshake,
   establishSession,
+  encryptPayload,
+  decryptPayload,
+  MAX_PAYLOAD_COUNTER,
 } from '../utils/cryptoHandshake';
 import { 
   generateSessionId, 
   chunkPayload, 
   parseChunk, 
+  parseChunkHeader,
+  selectChunkFraming,
+  createControlFrame,
+  parseControlFrame,
   PayloadAssembler,
   createTransactionPayload,
   createAckPayload,
   createBalanceRequestPayload,
   createBalanceResponsePayload,
-  PAYLOAD_TYPES 
+  createMeshOfferPayload,
+  createMeshRequestPayload,
+  createMeshForwardPayload,
+  selectPayloadFormat,
+  supportsPayloadCompression,
+  MESH_MAX_HOPS,
+  MESH_TTL_MS,
+  CHUNK_HEADER_SIZE,
+  CONTROL_FRAME_TYPES,
+  MAX_NACK_BITMAP_BYTES,
+  PAYLOAD_TYPES
 } from '../utils/payloadSerializer';
 import { relayerApi } from './RelayerApiService';
-import { saveBleAck, saveBleTransaction } from '../utils/db';
+import {
+  countAwaitingOutbox,
+  countQueuedOutbox,
+  fetchAwaitingOutbox,
+  fetchQueuedOutbox,
+  fetchUndeliveredOutboxAcks,
+  getPendingBleTransactions,
+  markOutboxAckDelivered,
+  markOutboxAttemptFailed,
+  markOutboxAwaitingJob,
+  markOutboxForwarded,
+  saveBleAck,
+  saveBleTransaction,
+  saveOutboxEntry,
+} from '../utils/db';
+import { getWalletChainId, isSupportedChainId } from '../config/networks';
+import { verifyBalanceSnapshot } from '../utils/balanceSnapshot';
+import { getTrustedRelayers } from '../utils/trustedRelayers';
+import { verifyAck } from '../utils/verifyAck';
 
 let BlePlx;
 try {
@@ -46,17 +81,36 @@ export const DEVICE_ROLES = {
   OFFLINE: 0x01,
   ONLINE: 0x02,
   RELAY_CAPABLE: 0x04,
+  MESH_RELAY: 0x08, // carries transactions for other peers (multi-hop gossip)
+  MESH_CARRYING: 0x10, // holds transactions still looking for a path to an online peer
 };
 
 const DEFAULT_PEER_STALE_MS = 15000;
 const PEER_MAINTENANCE_INTERVAL_MS = 5000;
 const HANDSHAKE_TIMEOUT_MS = 20000;
+const FORWARD_FLUSH_INTERVAL_MS = 30000;
+// Matches the relayer's default RELAY_BATCH_MAX_SIZE
+const FORWARD_BATCH_MAX_SIZE = 100;
+const MESH_OFFER_INTERVAL_MS = 15000;
+const MESH_SEEN_MAX_ENTRIES = 1000;
+// Reliable chunk transfer: unacknowledged chunks in flight, and retransmit timing
+const CHUNK_WINDOW_SIZE = 4;
+const CHUNK_ACK_TIMEOUT_MS = 1000;
+const CHUNK_ACK_MAX_TIMEOUT_MS = 8000;
+const CHUNK_MAX_RETRANSMITS = 5;
+// GATT connection pool
+const BLE_REQUESTED_MTU = 517; // largest ATT MTU; the peer may settle on less
+const BLE_DEFAULT_MTU = 23;
+const BLE_CONNECT_TIMEOUT_MS = 10000;
+const CONNECTION_IDLE_TIMEOUT_MS = 60000;
+const CONNECTION_IDLE_CHECK_INTERVAL_MS = 15000;
 
 export class BleRelayerService {
   constructor(options = {}) {
     this.logger = options.logger || createEnhancedLogger('BLE-RELAY');
     this.walletAddress = options.walletAddress || null;
     this.walletPrivateKey = options.walletPrivateKey || null;
+    this.walletChainId = options.walletChainId || getWalletChainId(null);
     this.peerStaleMs = options.peerStaleMs || DEFAULT_PEER_STALE_MS;
     this.handshakeTimeoutMs = options.handshakeTimeoutMs || HANDSHAKE_TIMEOUT_MS;
     this.manager = null;
@@ -68,8 +122,20 @@ export class BleRelayerService {
     this.handshakeContexts = new Map(); // contextId -> handshake state
     this.peerMaintenanceTimer = null;
     this.selectedRelayerId = null;
+    this.selectedRelayerIsMeshHop = false;
     this.payloadAssemblers = new Map(); // sessionId -> PayloadAssembler
     this.activeTransmissions = new Map(); // transmissionId -> transmission state
+    this.forwardFlushTimer = null;
+    this.forwardFlushInProgress = false;
+    this.meshStore = new Map(); // txHash -> { payload, mesh, receivedFrom, offeredTo, carriedAt }
+    this.meshSeen = new Map(); // txHash -> expiresAt; stops gossip loops
+    this.meshOfferTimer = null;
+    this.deviceSendChains = new Map(); // deviceId -> promise of the payload being sent
+    this.outgoingTransfers = new Map(); // `${deviceId}:${sessionId}` -> chunk transfer waiting for ACKs
+    this.completedTransfers = new Map(); // sessionId -> transferId of the last payload received
+    this.connections = new Map(); // deviceId -> { device, characteristics, mtu, lastUsedAt, disconnectSubscription }
+    this.pendingConnections = new Map(); // deviceId -> promise of the connection being set up
+    this.connectionIdleTimer = null;
     
     this.subscribers = {
       peerDiscovered: [],
@@ -85,18 +151,23 @@ export class BleRelayerService {
       receiptAckReceived: [],
       broadcastAckReceived: [],
       transactionBroadcast: [],
+      meshPayloadReceived: [],
+      meshPayloadCarried: [],
       balanceRequestServed: [],
       balanceResponseReceived: [],
     };
   }
 
-  updateWalletCredentials({ walletAddress, walletPrivateKey }) {
+  updateWalletCredentials({ walletAddress, walletPrivateKey, walletChainId }) {
     if (walletAddress) {
       this.walletAddress = walletAddress;
     }
     if (walletPrivateKey) {
       this.walletPrivateKey = walletPrivateKey;
     }
+    if (walletChainId) {
+      this.walletChainId = walletChainId;
+    }
   }
 
   async initialize() {
@@ -272,6 +343,13 @@ export class BleRelayerService {
         await this.stopAdvertising();
         await this.startAdvertising();
       }
+
+      // Internet is back: forward what the outbox collected while offline or while the relayer was unreachable
+      if (canRelay) {
+        this.flushForwardQueue().catch((error) => {
+          this.logger.error('[ble-relay] forward queue flush failed:', error);
+        });
+      }
     }
   }
 
@@ -396,6 +474,7 @@ export class BleRelayerService {
   async destroy() {
     await this.stopAdvertising();
     await this.stopScanning();
+    await Promise.all(Array.from(this.connections.keys()).map((deviceId) => this._closeConnection(deviceId)));
     
     if (this.manager) {
       this.manager.destroy();
@@ -406,12 +485,22 @@ export class BleRelayerService {
       clearInterval(this.peerMaintenanceTimer);
       this.peerMaintenanceTimer = null;
     }
+    this._stopForwardFlushTimer();
+    this._stopMeshOfferTimer();
+    this._stopConnectionIdleTimer();
 
     this.nearbyPeers.clear();
     this.sessions.clear();
     this.handshakeContexts.clear();
     this.payloadAssemblers.clear();
     this.activeTransmissions.clear();
+    for (const transfer of this.outgoingTransfers.values()) {
+      this._signalTransfer(transfer, { error: new Error('BLE service destroyed') });
+    }
+    this.outgoingTransfers.clear();
+    this.completedTransfers.clear();
+    this.meshStore.clear();
+    this.meshSeen.clear();
     this.logger.info('[ble-relay] service destroyed');
   }
 
@@ -419,7 +508,8 @@ export class BleRelayerService {
 
   _buildAdvertisementData() {
     // Phase 0: Simple role + truncated wallet address
-    const roleBytes = new Uint8Array([this.deviceRole]);
+    const meshFlags = DEVICE_ROLES.MESH_RELAY | (this.meshStore.size > 0 ? DEVICE_ROLES.MESH_CARRYING : 0);
+    const roleBytes = new Uint8Array([this.deviceRole | meshFlags]);
     const addressBytes = this.walletAddress ? 
       new Uint8Array(Buffer.from(this.walletAddress.slice(2, 10), 'hex')) : 
       new Uint8Array(4);
@@ -488,6 +578,7 @@ export class BleRelayerService {
     for (const [id, peerInfo] of this.nearbyPeers.entries()) {
       if (peerInfo.lastSeen < cutoff) {
         this.nearbyPeers.delete(id);
+        this._closeConnection(id);
         this._notifySubscribers('peerLost', peerInfo);
         this.logger.info('[ble-relay] peer lost:', {
           id: peerInfo.id.slice(0, 8),
@@ -507,10 +598,18 @@ export class BleRelayerService {
     this._evaluateRelayerSelection();
   }
 
+  /**
+   * Pick the peer to send transactions to: the best RELAY_CAPABLE peer, or, with none in range,
+   * the best MESH_RELAY peer as the first hop towards one (the selected peer then has `meshHop: true`).
+   */
   _evaluateRelayerSelection() {
-    const candidates = Array.from(this.nearbyPeers.values()).filter(
+    const peers = Array.from(this.nearbyPeers.values());
+    const relayers = peers.filter(
       (peer) => (peer.role & DEVICE_ROLES.RELAY_CAPABLE) === DEVICE_ROLES.RELAY_CAPABLE
     );
+    const candidates = relayers.length
+      ? relayers
+      : peers.filter((peer) => (peer.role & DEVICE_ROLES.MESH_RELAY) === DEVICE_ROLES.MESH_RELAY);
 
     if (!candidates.length) {
       if (this.selectedRelayerId) {
@@ -545,12 +644,15 @@ export class BleRelayerService {
       return;
     }
 
-    if (this.selectedRelayerId !== bestPeer.id) {
+    const meshHop = relayers.length === 0;
+    if (this.selectedRelayerId !== bestPeer.id || this.selectedRelayerIsMeshHop !== meshHop) {
       this.selectedRelayerId = bestPeer.id;
-      this._notifySubscribers('relayerSelected', bestPeer);
+      this.selectedRelayerIsMeshHop = meshHop;
+      this._notifySubscribers('relayerSelected', { ...bestPeer, meshHop });
       this.logger.info('[ble-relay] relayer selected:', {
         id: bestPeer.id.slice(0, 8),
         rssi: bestPeer.rssi,
+        meshHop,
       });
     }
   }
@@ -617,25 +719,46 @@ export class BleRelayerService {
     }
 
     try {
-      const { sharedSecret, peerAddress, peerRole } = completeHandshake(
+      const { sharedSecret, peerAddress, peerRole, peerCapabilities, sessionId } = completeHandshake(
         responseMessage,
         context.ephemeralPrivateKey,
         context.message.challenge,
       );
 
-      const session = establishSession(sharedSecret, context.handshakeSessionId, {
+      // Without a common encrypted framing payloads would go out in plaintext, so refuse the peer
+      const chunkFraming = selectChunkFraming(peerCapabilities.chunkFraming);
+      if (chunkFraming === null) {
+        throw new Error('Peer does not support encrypted chunk framing');
+      }
+
+      // Both peers tag chunks with the session id the responder chose; older responders send none
+      const agreedSessionId = sessionId ?? context.handshakeSessionId;
+      const existing = this.sessions.get(agreedSessionId);
+      if (existing && existing.peerId !== peerId) {
+        throw new Error('Session id already in use with another peer');
+      }
+
+      const session = establishSession(sharedSecret, agreedSessionId, {
         peerId,
         peerAddress,
         peerRole,
         role: 'initiator',
+      }, {
+        initiatorChallenge: context.message.challenge,
+        responderChallenge: responseMessage.responseChallenge,
       });
 
-      this.sessions.set(session.sessionId, {
+      this._storeSession({
         ...session,
         peerId,
         peerAddress,
         peerRole,
         role: 'initiator',
+        chunkFraming,
+        payloadFormat: selectPayloadFormat(peerCapabilities.payloadFormats),
+        compressPayloads: supportsPayloadCompression(peerCapabilities.payloadCompression),
+        sendCounter: 0,
+        receiveCounter: 0,
       });
 
       this._clearHandshakeContext(contextId);
@@ -645,6 +768,7 @@ export class BleRelayerService {
         role: 'initiator',
         contextId,
       });
+      this._offerMeshPayloads([peerId]);
 
       return { session: this.sessions.get(session.sessionId), peerAddress };
     } catch (error) {
@@ -661,27 +785,40 @@ export class BleRelayerService {
     }
 
     try {
-      const { response, sharedSecret, peerAddress, ephemeralPrivateKey } = await processHandshakeInit(
+      const handshakeSessionId = this._generateUnusedSessionId();
+      const { response, sharedSecret, peerAddress, peerCapabilities, ephemeralPrivateKey } = await processHandshakeInit(
         initMessage,
         this.walletPrivateKey,
         this.deviceRole,
+        handshakeSessionId,
       );
 
-      const handshakeSessionId = generateSessionId();
+      const chunkFraming = selectChunkFraming(peerCapabilities.chunkFraming);
+      if (chunkFraming === null) {
+        throw new Error('Peer does not support encrypted chunk framing');
+      }
 
       const session = establishSession(sharedSecret, handshakeSessionId, {
         peerId,
         peerAddress,
         peerRole: initMessage.deviceRole,
         role: 'responder',
+      }, {
+        initiatorChallenge: initMessage.challenge,
+        responderChallenge: response.responseChallenge,
       });
 
-      this.sessions.set(session.sessionId, {
+      this._storeSession({
         ...session,
         peerId,
         peerAddress,
         peerRole: initMessage.deviceRole,
         role: 'responder',
+        chunkFraming,
+        payloadFormat: selectPayloadFormat(peerCapabilities.payloadFormats),
+        compressPayloads: supportsPayloadCompression(peerCapabilities.payloadCompression),
+        sendCounter: 0,
+        receiveCounter: 0,
         ephemeralPrivateKey,
       });
 
@@ -723,6 +860,45 @@ export class BleRelayerService {
     return Array.from(this.sessions.values()).find((session) => session.peerId === peerId) || null;
   }
 
+  /**
+   * Store a new session, dropping the peer's older ones: after a re-handshake both sides must
+   * encrypt with the new keys, and a payload still reassembling under the old session is resent
+   * by its sender.
+   */
+  _storeSession(session) {
+    for (const [sessionId, previous] of this.sessions.entries()) {
+      if (previous.peerId !== session.peerId || sessionId === session.sessionId) {
+        continue;
+      }
+
+      this.sessions.delete(sessionId);
+      this.payloadAssemblers.delete(sessionId);
+      this.completedTransfers.delete(sessionId);
+      const transfer = this.outgoingTransfers.get(`${session.peerId}:${sessionId}`);
+      if (transfer) {
+        this._signalTransfer(transfer, { error: new Error('Session replaced by a new handshake') });
+      }
+    }
+
+    this.sessions.set(session.sessionId, session);
+  }
+
+  /**
+   * Session a chunk from a device belongs to, by the session id it carries
+   */
+  _getReceivingSession(deviceId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.peerId === deviceId ? session : null;
+  }
+
+  _generateUnusedSessionId() {
+    let sessionId = generateSessionId();
+    while (this.sessions.has(sessionId)) {
+      sessionId = generateSessionId();
+    }
+    return sessionId;
+  }
+
   _expireHandshake(contextId) {
     const context = this.handshakeContexts.get(contextId);
     if (!context) {
@@ -773,42 +949,33 @@ export class BleRelayerService {
     });
 
     const transmissionId = generateSessionId().toString();
-    const chunks = chunkPayload(payload, session.sessionId);
 
     this.activeTransmissions.set(transmissionId, {
       id: transmissionId,
       peerId: relayerPeerId,
       sessionId: session.sessionId,
       payload,
-      chunks,
+      totalChunks: null,
       sentChunks: 0,
       status: 'sending',
       startedAt: Date.now(),
     });
 
     try {
-      // Send chunks sequentially with acknowledgement (FR-10)
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        await this._sendChunkToDevice(relayerPeerId, chunk);
-        
-        // Update progress
+      // Send chunks with per-chunk acknowledgement and retransmission (FR-10)
+      const totalChunks = await this._sendPayloadToDevice(relayerPeerId, payload, (ackedChunks, chunkCount) => {
         const transmission = this.activeTransmissions.get(transmissionId);
         if (transmission) {
-          transmission.sentChunks = i + 1;
+          transmission.sentChunks = ackedChunks;
+          transmission.totalChunks = chunkCount;
           this._notifySubscribers('transmissionProgress', {
             transmissionId,
-            progress: (i + 1) / chunks.length,
-            chunk: i + 1,
-            totalChunks: chunks.length,
+            progress: ackedChunks / chunkCount,
+            chunk: ackedChunks,
+            totalChunks: chunkCount,
           });
         }
-
-        // Wait for chunk acknowledgement if not last chunk
-        if (i < chunks.length - 1) {
-          await this._waitForChunkAck(chunk.sequence, 5000);
-        }
-      }
+      });
 
       // Mark transmission complete
       const transmission = this.activeTransmissions.get(transmissionId);
@@ -819,7 +986,7 @@ export class BleRelayerService {
 
       this.logger.info('[ble-relay] payload transmission completed', {
         transmissionId,
-        chunks: chunks.length,
+        chunks: totalChunks,
       });
 
       return transmissionId;
@@ -840,43 +1007,182 @@ export class BleRelayerService {
    * Handle incoming payload chunks from devices
    */
   async handleIncomingChunk(deviceId, chunkData) {
+    let chunk;
     try {
-      const chunk = parseChunk(chunkData);
-      
-      // Get or create payload assembler for session
-      let assembler = this.payloadAssemblers.get(chunk.sessionId);
+      chunk = parseChunk(chunkData);
+    } catch (error) {
+      // The header of a corrupted chunk still names its sequence: ask for that chunk again
+      this.logger.warn('[ble-relay] chunk rejected:', error.message);
+      if (chunkData.length >= CHUNK_HEADER_SIZE) {
+        const header = parseChunkHeader(chunkData);
+        const headerAssembler = this._getReceivingSession(deviceId, header.sessionId) ? this._getPayloadAssembler(deviceId, header) : null;
+        if (headerAssembler) {
+          headerAssembler.nackedSequences.add(header.sequence);
+          await this._sendChunkNack(deviceId, header, [header.sequence]);
+        }
+      }
+      return;
+    }
+
+    let assembler;
+    try {
+      assembler = this._getPayloadAssembler(deviceId, chunk);
       if (!assembler) {
-        assembler = new PayloadAssembler(chunk.sessionId);
-        this.payloadAssemblers.set(chunk.sessionId, assembler);
+        // A chunk of the payload we delivered last: the sender missed our ACK and retransmitted
+        await this._sendChunkAck(deviceId, chunk, chunk.sequence + 1);
+        return;
       }
 
       const wasAdded = assembler.addChunk(chunk);
       if (!wasAdded) {
         this.logger.warn('[ble-relay] duplicate chunk ignored', { sequence: chunk.sequence });
+      }
+
+      // Every chunk passed its checksum but the reassembled payload failed its digest: request all of it again
+      if (assembler.digestMismatch) {
+        assembler.digestMismatch = false;
+        this.logger.warn('[ble-relay] payload digest mismatch, requesting retransmission', {
+          deviceId: deviceId.slice(0, 8),
+          totalChunks: assembler.totalChunks,
+        });
+        const sequences = Array.from({ length: assembler.totalChunks }, (_, sequence) => sequence);
+        sequences.forEach((sequence) => assembler.nackedSequences.add(sequence));
+        await this._sendChunkNack(deviceId, chunk, sequences);
         return;
       }
 
-      // Send chunk acknowledgement
-      await this._sendChunkAck(deviceId, chunk.sequence);
+      // Acknowledge the chunk, and NACK gaps it reveals (each gap once; timeouts cover lost retransmissions)
+      await this._sendChunkAck(deviceId, chunk, assembler.getNextExpectedSequence());
+      const missing = assembler.getMissingSequences().filter((sequence) => !assembler.nackedSequences.has(sequence));
+      if (missing.length > 0) {
+        missing.forEach((sequence) => assembler.nackedSequences.add(sequence));
+        await this._sendChunkNack(deviceId, chunk, missing);
+      }
 
-      // Check if payload is complete
-      if (assembler.isComplete) {
-        await this._handleCompletePayload(deviceId, assembler.payload, chunk.sessionId);
-        this.payloadAssemblers.delete(chunk.sessionId);
-      } else {
-        // Notify progress
-        const progress = assembler.getProgress();
-        this._notifySubscribers('payloadReceiveProgress', {
-          deviceId,
-          sessionId: chunk.sessionId,
-          progress: progress.completionPercentage,
-          receivedChunks: progress.receivedChunks,
-        });
+      if (!wasAdded) {
+        return;
       }
     } catch (error) {
       this.logger.error('[ble-relay] chunk handling failed:', error);
+      this.payloadAssemblers.delete(chunk.sessionId);
       // Send error acknowledgement
-      await this._sendChunkError(deviceId, error.message);
+      await this._sendChunkError(deviceId, chunk, error.message);
+      return;
+    }
+
+    // Check if payload is complete
+    if (assembler.isComplete) {
+      this.payloadAssemblers.delete(chunk.sessionId);
+      this.completedTransfers.set(chunk.sessionId, chunk.transferId);
+      try {
+        await this._handleCompletePayload(deviceId, assembler.payload, chunk.sessionId);
+      } catch (error) {
+        this.logger.error('[ble-relay] payload handling failed:', error);
+      }
+    } else {
+      // Notify progress
+      const progress = assembler.getProgress();
+      this._notifySubscribers('payloadReceiveProgress', {
+        deviceId,
+        sessionId: chunk.sessionId,
+        progress: progress.completionPercentage,
+        receivedChunks: progress.receivedChunks,
+      });
+    }
+  }
+
+  /**
+   * Get or create the payload assembler for a chunk's session. A new transfer replaces one the
+   * sender gave up on; returns null for the transfer delivered last. Only peers we hold a session
+   * with can send payloads, since every payload is encrypted with the session keys.
+   */
+  _getPayloadAssembler(deviceId, { sessionId, transferId }) {
+    const session = this._getReceivingSession(deviceId, sessionId);
+    if (!session) {
+      throw new Error('No session with device');
+    }
+
+    if (this.completedTransfers.get(sessionId) === transferId) {
+      return null;
+    }
+
+    let assembler = this.payloadAssemblers.get(sessionId);
+    if (!assembler || assembler.transferId !== transferId) {
+      assembler = new PayloadAssembler(sessionId, transferId, {
+        decrypt: (bytes) => this._decryptSessionPayload(session, bytes),
+      });
+      this.payloadAssemblers.set(sessionId, assembler);
+    }
+    return assembler;
+  }
+
+  /**
+   * Encrypt serialized payload bytes with our direction's session keys and the next message counter
+   */
+  _encryptSessionPayload(session, bytes) {
+    const counter = (session.sendCounter || 0) + 1;
+    if (counter > MAX_PAYLOAD_COUNTER) {
+      throw new Error('Session message counter exhausted, handshake again');
+    }
+
+    session.sendCounter = counter;
+    return encryptPayload(bytes, session.sessionKeys[session.role], counter);
+  }
+
+  /**
+   * Decrypt payload bytes with the peer's direction of the session keys. Payloads from a peer
+   * arrive in the order it sent them, so a counter not above the last accepted one is a replay.
+   */
+  _decryptSessionPayload(session, bytes) {
+    const peerDirection = session.role === 'initiator' ? 'responder' : 'initiator';
+    const { data, counter } = decryptPayload(bytes, session.sessionKeys[peerDirection]);
+
+    if (counter <= (session.receiveCounter || 0)) {
+      throw new Error(`Replayed payload rejected (counter ${counter})`);
+    }
+    session.receiveCounter = counter;
+    return data;
+  }
+
+  /**
+   * Handle a control frame (chunk ACK, NACK or error) written by a peer receiving our chunks
+   */
+  async handleControlFrame(deviceId, frameData) {
+    let frame;
+    try {
+      frame = parseControlFrame(frameData);
+    } catch (error) {
+      this.logger.warn('[ble-relay] control frame rejected:', error.message);
+      return;
+    }
+
+    const transfer = this.outgoingTransfers.get(`${deviceId}:${frame.sessionId}`);
+    if (!transfer || transfer.transferId !== frame.transferId) {
+      this.logger.debug('[ble-relay] control frame for no active transfer', {
+        deviceId: deviceId.slice(0, 8),
+        type: frame.type,
+      });
+      return;
+    }
+
+    switch (frame.type) {
+      case CONTROL_FRAME_TYPES.CHUNK_ACK: {
+        const acked = [frame.sequence];
+        for (let sequence = 0; sequence < frame.nextExpected; sequence++) {
+          acked.push(sequence);
+        }
+        this._signalTransfer(transfer, { acked });
+        break;
+      }
+      case CONTROL_FRAME_TYPES.CHUNK_NACK:
+        this.logger.info('[ble-relay] chunks NACKed', { deviceId: deviceId.slice(0, 8), missing: frame.missing });
+        this._signalTransfer(transfer, { missing: frame.missing });
+        break;
+      case CONTROL_FRAME_TYPES.CHUNK_ERROR:
+        this._signalTransfer(transfer, { error: new Error(`Peer rejected payload: ${frame.reason}`) });
+        break;
+      default:
+        break;
     }
   }
 
@@ -905,9 +1211,26 @@ export class BleRelayerService {
       case PAYLOAD_TYPES.BALANCE_RESPONSE:
         await this._handleBalanceResponse(deviceId, payload);
         break;
+      case PAYLOAD_TYPES.MESH_OFFER:
+        await this._handleMeshOffer(deviceId, payload);
+        break;
+      case PAYLOAD_TYPES.MESH_REQUEST:
+        await this._handleMeshRequest(deviceId, payload);
+        break;
+      case PAYLOAD_TYPES.MESH_FORWARD:
+        await this._handleMeshForward(deviceId, payload);
+        break;
       default:
         this.logger.warn('[ble-relay] unknown payload type:', payload.type);
     }
+
+    // The peer is in range again: hand over broadcast ACKs stored while it was away
+    if (payload.type === PAYLOAD_TYPES.SIGNED_TRANSACTION || payload.type === PAYLOAD_TYPES.BALANCE_REQUEST) {
+      await this.deliverStoredAcks(deviceId).catch((error) => {
+        this.logger.error('[ble-relay] stored ACK delivery failed:', error);
+      });
+      await this._offerMeshPayloads([deviceId]);
+    }
   }
 
   /**
@@ -917,24 +1240,31 @@ export class BleRelayerService {
     try {
       // Validate transaction payload
       const validationResult = await this._validateTransaction(payload);
-      
-      // Send Receipt ACK (T2.3 - FR-12)
+
+      // Offline relayer: keep the transaction in the outbox until we get internet, and gossip it
+      // on so it can reach an online peer through other phones in the meantime
+      const storeOffline = validationResult.success && !(this.deviceRole & DEVICE_ROLES.ONLINE);
+      if (storeOffline) {
+        await this._queueForward(payload, deviceId);
+        this._carryMeshPayload(payload, nextMeshHop(payload.mesh), deviceId);
+      } else if (validationResult.success) {
+        this._markMeshSeen(ethers.utils.keccak256(payload.signedTx), payload.mesh?.expiresAt);
+      }
+
+      // Send Receipt ACK (T2.3 - FR-12); "queued" tells the originator its broadcast ACK will come later
+      const receiptResult = storeOffline ? { ...validationResult, status: 'queued', queued: true } : validationResult;
       const receiptAck = createAckPayload(
         PAYLOAD_TYPES.RECEIPT_ACK,
         payload.metadata.expectedTxHash || 'pending',
-        validationResult,
-        await this._signAck(validationResult)
+        receiptResult,
+        await this._signAck(receiptResult)
       );
 
       await this._sendAckToDevice(deviceId, receiptAck);
 
-      if (validationResult.success) {
-        // If we're online, forward to Node.js relayer (T2.4)
-        if (this.deviceRole & DEVICE_ROLES.ONLINE) {
-          await this._forwardToNodejsRelayer(payload, deviceId);
-        } else {
-          this.logger.warn('[ble-relay] offline relayer cannot broadcast transaction');
-        }
+      // If we're online, forward to Node.js relayer (T2.4)
+      if (validationResult.success && !storeOffline) {
+        await this._forwardToNodejsRelayer(payload, deviceId);
       }
 
       this._notifySubscribers('transactionReceived', {
@@ -959,59 +1289,77 @@ export class BleRelayerService {
 
   /**
    * Validate transaction (T2.2 - FR-11)
+   * Failures carry a `code` (e.g. INVALID_SIGNATURE, NONCE_TOO_LOW, INSUFFICIENT_FUNDS, WRONG_CHAIN)
+   * so the originator can show a precise reason.
    */
   async _validateTransaction(payload) {
     try {
       const { signedTx, metadata } = payload;
       
       // Parse and validate transaction using ethers.js
-      const parsedTx = ethers.utils.parseTransaction(signedTx);
+      let parsedTx;
+      try {
+        parsedTx = ethers.utils.parseTransaction(signedTx);
+      } catch (parseError) {
+        throw createValidationError('INVALID_TRANSACTION', 'Transaction could not be decoded');
+      }
       
-      // Verify signature
-      const recoveredAddress = ethers.utils.recoverAddress(
-        ethers.utils.keccak256(signedTx),
-        {
-          r: parsedTx.r,
-          s: parsedTx.s,
-          v: parsedTx.v
-        }
-      );
-
-      if (recoveredAddress.toLowerCase() !== metadata.from.toLowerCase()) {
-        throw new Error('Transaction signature invalid');
+      // Verify signature (ethers recovers the sender while parsing)
+      if (!parsedTx.from || parsedTx.from.toLowerCase() !== metadata.from.toLowerCase()) {
+        throw createValidationError('INVALID_SIGNATURE', 'Transaction signature invalid');
       }
 
       // Validate nonce freshness (basic check)
       if (typeof parsedTx.nonce !== 'number' || parsedTx.nonce < 0) {
-        throw new Error('Invalid nonce');
+        throw createValidationError('INVALID_NONCE', 'Invalid nonce');
       }
 
       // Validate gas limits
       if (parsedTx.gasLimit.lt(21000)) {
-        throw new Error('Gas limit too low');
+        throw createValidationError('GAS_LIMIT_TOO_LOW', 'Gas limit too low');
       }
 
-      // Validate chain ID (if specified)
-      if (parsedTx.chainId && parsedTx.chainId !== 545) { // FlowEVM testnet
-        throw new Error('Invalid chain ID');
+      // Validate fees for the transaction type and that the metadata reports them truthfully
+      validateTransactionFees(parsedTx, metadata);
+
+      // Validate chain ID; the Node.js relayer routes the broadcast to the matching network
+      if (!isSupportedChainId(parsedTx.chainId)) {
+        throw createValidationError('WRONG_CHAIN', `Unsupported chain ID ${parsedTx.chainId}`);
       }
 
       // Validate amount
       if (parsedTx.value.lt(0)) {
-        throw new Error('Invalid transaction value');
+        throw createValidationError('INVALID_VALUE', 'Invalid transaction value');
+      }
+
+      // Online relayers can check nonce, balance and chain against live chain state
+      if (this.deviceRole & DEVICE_ROLES.ONLINE) {
+        const remoteResult = await relayerApi.validateTransaction(signedTx);
+        if (remoteResult.success && !remoteResult.valid) {
+          throw createValidationError(remoteResult.code, remoteResult.error);
+        }
+        if (!remoteResult.success) {
+          this.logger.warn('[ble-relay] relayer validation unavailable, relying on local checks', {
+            error: remoteResult.error,
+          });
+        }
       }
 
       return {
         success: true,
         validatedAt: Date.now(),
         gasLimit: parsedTx.gasLimit.toString(),
-        gasPrice: parsedTx.gasPrice?.toString(),
+        type: parsedTx.type || 0,
+        gasPrice: parsedTx.type === 2 ? null : parsedTx.gasPrice?.toString(),
+        maxFeePerGas: parsedTx.maxFeePerGas?.toString() ?? null,
+        maxPriorityFeePerGas: parsedTx.maxPriorityFeePerGas?.toString() ?? null,
         chainId: parsedTx.chainId,
       };
     } catch (error) {
       return {
         success: false,
         error: error.message,
+        code: error.code || 'INVALID_TRANSACTION',
         validatedAt: Date.now(),
       };
     }
@@ -1019,8 +1367,14 @@ export class BleRelayerService {
 
   /**
    * Forward transaction to Node.js relayer (T2.4 - FR-13, FR-14)
+   * While the relayer is unreachable, or earlier transactions are still queued, the payload joins
+   * the outbox instead and goes out with the next batch flush (see flushForwardQueue).
    */
   async _forwardToNodejsRelayer(payload, originatorDeviceId) {
+    if ((await countQueuedOutbox()) > 0) {
+      return this._queueForward(payload, originatorDeviceId);
+    }
+
     try {
       this.logger.info('[ble-relay] forwarding to nodejs relayer', {
         from: payload.metadata.from,
@@ -1030,36 +1384,11 @@ export class BleRelayerService {
       // Broadcast transaction via HTTP API
       const broadcastResult = await relayerApi.broadcastTransaction(payload, this.walletAddress);
 
-      // Generate Broadcast ACK (T2.5 - FR-15)
-      const broadcastAck = createAckPayload(
-        PAYLOAD_TYPES.BROADCAST_ACK,
-        broadcastResult.success ? broadcastResult.txHash : 'failed',
-        broadcastResult,
-        await this._signAck(broadcastResult)
-      );
-
-      // Send Broadcast ACK back to originator via BLE (T2.5 - FR-15)
-      if (originatorDeviceId) {
-        try {
-          await this._sendAckToDevice(originatorDeviceId, broadcastAck);
-          this.logger.info('[ble-relay] broadcast ACK sent to originator', {
-            deviceId: originatorDeviceId.slice(0, 8),
-            success: broadcastResult.success,
-            txHash: broadcastResult.txHash,
-          });
-        } catch (ackError) {
-          this.logger.error('[ble-relay] failed to send broadcast ACK:', ackError);
-        }
+      if (!broadcastResult.success && broadcastResult.unreachable) {
+        return this._queueForward(payload, originatorDeviceId);
       }
 
-      // Notify subscribers
-      this._notifySubscribers('transactionBroadcast', {
-        payload,
-        broadcastResult,
-        broadcastAck,
-      });
-
-      return broadcastResult;
+      return await this._deliverBroadcastResult(payload, originatorDeviceId, broadcastResult);
     } catch (error) {
       this.logger.error('[ble-relay] nodejs relayer forward failed:', error);
       
@@ -1088,150 +1417,768 @@ export class BleRelayerService {
   }
 
   /**
-   * Send acknowledgement to device via BLE
+   * Send the outbox to the Node.js relayer in batches (`POST /relay/batch`), oldest first.
+   * Each originator gets its Broadcast ACK as its result comes back, or later if it is out of range
+   * (see deliverStoredAcks). If the relayer cannot be reached the entries stay queued for the next flush.
+   * @returns {Promise<number>} - Number of transactions the relayer answered for
    */
-  async _sendAckToDevice(deviceId, ackPayload) {
-    const session = this.getSessionByPeer(deviceId);
-    if (!session) {
-      throw new Error('No session for ACK delivery');
+  async flushForwardQueue() {
+    if (this.forwardFlushInProgress) {
+      return 0;
     }
 
-    const chunks = chunkPayload(ackPayload, session.sessionId);
-    
-    for (const chunk of chunks) {
-      await this._sendChunkToDevice(deviceId, chunk);
+    this.forwardFlushInProgress = true;
+    let forwarded = 0;
+
+    try {
+      let entries = await fetchQueuedOutbox(FORWARD_BATCH_MAX_SIZE);
+      while (entries.length > 0) {
+        const batchResult = await relayerApi.broadcastBatch(
+          entries.map((entry) => entry.payload),
+          this.walletAddress
+        );
+
+        if (!batchResult.success) {
+          for (const entry of entries) {
+            await markOutboxAttemptFailed(entry.id, batchResult.error);
+          }
+          this.logger.warn('[ble-relay] batch flush failed, keeping transactions queued', {
+            queued: entries.length,
+            error: batchResult.error,
+          });
+          break;
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+          await this._deliverBroadcastResult(entries[i].payload, entries[i].originatorDeviceId, batchResult.results[i], entries[i].id);
+        }
+        forwarded += entries.length;
+        entries = await fetchQueuedOutbox(FORWARD_BATCH_MAX_SIZE);
+      }
+    } finally {
+      this.forwardFlushInProgress = false;
     }
 
-    this.logger.info('[ble-relay] ACK sent to device', { 
-      deviceId: deviceId.slice(0, 8),
-      type: ackPayload.type 
-    });
+    const queued = await countQueuedOutbox();
+    await this._stopForwardFlushTimerWhenIdle(queued);
+
+    if (forwarded > 0) {
+      this.logger.info('[ble-relay] forward queue flushed', { forwarded, queued });
+    }
+    return forwarded;
+  }
+
+  getForwardQueueSize() {
+    return countQueuedOutbox();
   }
 
   /**
-   * Send chunk to specific device (low-level BLE transmission)
+   * Ask the Node.js relayer about transactions it held or had yet to mine, and send the Broadcast ACK
+   * of each one whose relay job settled. Jobs still running stay in the outbox for the next poll.
+   * @returns {Promise<number>} - Number of jobs that settled
    */
-  async _sendChunkToDevice(deviceId, chunk) {
-    if (!this.manager) {
-      throw new Error('BLE manager not initialized');
-    }
+  async pollRelayJobs() {
+    const entries = await fetchAwaitingOutbox(FORWARD_BATCH_MAX_SIZE);
+    let settled = 0;
 
-    try {
-      // Connect to device if not already connected
-      let device = await this.manager.connectToDevice(deviceId);
-      if (!device.isConnected()) {
-        device = await device.connect();
+    for (const entry of entries) {
+      const jobResult = await relayerApi.getRelayJob(entry.broadcastResult.jobId);
+      if (jobResult.code === 'RELAY_JOB_UNAVAILABLE') {
+        break;
+      }
+      if (isAwaitingRelayJob(jobResult)) {
+        continue;
       }
 
-      // Discover services and characteristics
-      await device.discoverAllServicesAndCharacteristics();
-
-      // Write chunk to payload characteristic
-      await device.writeCharacteristicWithResponseForService(
-        OFFLINEPAY_SERVICE_UUID,
-        PAYLOAD_CHARACTERISTIC_UUID,
-        chunk.raw.toString('base64')
-      );
-
-      this.logger.debug('[ble-relay] chunk sent', {
-        deviceId: deviceId.slice(0, 8),
-        sequence: chunk.sequence,
-        size: chunk.raw.length,
-      });
-    } catch (error) {
-      this.logger.error('[ble-relay] chunk transmission failed:', error);
-      throw error;
+      await this._deliverBroadcastResult(entry.payload, entry.originatorDeviceId, jobResult, entry.id);
+      settled += 1;
     }
-  }
 
-  /**
-   * Send chunk acknowledgement
-   */
-  async _sendChunkAck(deviceId, sequence) {
-    // TODO: Implement chunk-level ACK via control characteristic
-    this.logger.debug('[ble-relay] chunk ACK sent', { deviceId: deviceId.slice(0, 8), sequence });
+    await this._stopForwardFlushTimerWhenIdle(await countQueuedOutbox());
+    return settled;
   }
 
   /**
-   * Send chunk error notification
+   * Send an originator the broadcast ACKs stored while it was out of range
+   * @returns {Promise<number>} - Number of ACKs delivered
    */
-  async _sendChunkError(deviceId, errorMessage) {
-    // TODO: Implement error notification via control characteristic
-    this.logger.debug('[ble-relay] chunk error sent', { deviceId: deviceId.slice(0, 8), errorMessage });
+  async deliverStoredAcks(deviceId) {
+    const session = this.getSessionByPeer(deviceId);
+    if (!session?.peerAddress) {
+      return 0;
+    }
+
+    const entries = await fetchUndeliveredOutboxAcks(session.peerAddress);
+    let delivered = 0;
+
+    for (const entry of entries) {
+      try {
+        await this._sendAckToDevice(deviceId, entry.broadcastAck);
+        await markOutboxAckDelivered(entry.id);
+        delivered += 1;
+      } catch (error) {
+        this.logger.warn('[ble-relay] stored broadcast ACK delivery failed:', error.message);
+        break;
+      }
+    }
+
+    if (delivered > 0) {
+      this.logger.info('[ble-relay] stored broadcast ACKs delivered', { deviceId: deviceId.slice(0, 8), delivered });
+    }
+    return delivered;
   }
 
-  /**
-   * Wait for chunk acknowledgement
-   */
-  async _waitForChunkAck(sequence, timeoutMs = 5000) {
-    // TODO: Implement chunk ACK waiting logic
-    return new Promise((resolve) => {
-      setTimeout(resolve, 100); // Simulate ACK for now
+  async _queueForward(payload, originatorDeviceId) {
+    const session = originatorDeviceId ? this.getSessionByPeer(originatorDeviceId) : null;
+    await saveOutboxEntry({
+      txHash: ethers.utils.keccak256(payload.signedTx),
+      originatorDeviceId,
+      originatorAddress: session?.peerAddress || payload.metadata.from,
+      payload,
+    });
+
+    const queueSize = await countQueuedOutbox();
+    this.logger.info('[ble-relay] transaction stored in outbox', {
+      from: payload.metadata.from,
+      queued: queueSize,
     });
+
+    this._startForwardFlushTimer();
+    return { success: false, queued: true, queueSize };
   }
 
   /**
-   * Sign acknowledgement with relayer private key (T2.3)
+   * Flush the outbox and poll awaited relay jobs every FORWARD_FLUSH_INTERVAL_MS while online
    */
-  async _signAck(ackData) {
-    if (!this.walletPrivateKey) {
-      throw new Error('Relayer private key not available');
+  _startForwardFlushTimer() {
+    if (this.forwardFlushTimer) {
+      return;
     }
 
-    try {
-      const wallet = new ethers.Wallet(this.walletPrivateKey);
-      const message = JSON.stringify(ackData);
-      const signature = await wallet.signMessage(message);
-      return signature;
-    } catch (error) {
-      this.logger.error('[ble-relay] ACK signing failed:', error);
-      throw error;
+    this.forwardFlushTimer = setInterval(() => {
+      if (this.deviceRole & DEVICE_ROLES.ONLINE) {
+        this.flushForwardQueue()
+          .then(() => this.pollRelayJobs())
+          .catch((error) => {
+            this.logger.error('[ble-relay] forward queue flush failed:', error);
+          });
+      }
+    }, FORWARD_FLUSH_INTERVAL_MS);
+  }
+
+  async _stopForwardFlushTimerWhenIdle(queued) {
+    if (queued === 0 && (await countAwaitingOutbox()) === 0) {
+      this._stopForwardFlushTimer();
+    }
+  }
+
+  _stopForwardFlushTimer() {
+    if (this.forwardFlushTimer) {
+      clearInterval(this.forwardFlushTimer);
+      this.forwardFlushTimer = null;
     }
   }
 
   /**
-   * Handle received acknowledgements (T2.6 - FR-16)
+   * Send the Broadcast ACK for a relayer result to the originator and notify subscribers.
+   * An ACK the originator cannot receive right now is kept in the outbox for deliverStoredAcks.
+   * A transaction the relayer holds or has yet to mine has no ack to send: it waits in the outbox
+   * until its relay job settles (see pollRelayJobs).
    */
-  async _handleReceiptAck(deviceId, ackPayload) {
-    try {
-      // Save Receipt ACK to database
-      await saveBleAck({
-        transmissionId: this._findTransmissionIdForDevice(deviceId),
-        ackType: 1, // Receipt ACK
-        txHash: ackPayload.txHash,
-        deviceId,
-        payload: ackPayload,
-        signature: ackPayload.relayerSignature,
-        timestamp: ackPayload.timestamp,
-        status: 'received',
-      });
-
-      this.logger.info('[ble-relay] receipt ACK saved to database', {
-        deviceId: deviceId.slice(0, 8),
-        success: ackPayload.result?.success
-      });
-    } catch (error) {
-      this.logger.error('[ble-relay] failed to save receipt ACK:', error);
+  async _deliverBroadcastResult(payload, originatorDeviceId, broadcastResult, outboxId = null) {
+    if (isAwaitingRelayJob(broadcastResult)) {
+      await this._awaitRelayJob(payload, originatorDeviceId, broadcastResult, outboxId);
+      return broadcastResult;
     }
 
-    this._notifySubscribers('receiptAckReceived', {
-      deviceId,
+    // Generate Broadcast ACK (T2.5 - FR-15)
+    const broadcastAck = createAckPayload(
+      PAYLOAD_TYPES.BROADCAST_ACK,
+      broadcastResult.success ? broadcastResult.txHash : 'failed',
+      broadcastResult,
+      await this._signAck(broadcastResult)
+    );
+
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    if (outboxId) {
+      await markOutboxForwarded(outboxId, broadcastResult, broadcastAck);
+    }
+    if (broadcastResult.success) {
+      this._dropMeshPayload(txHash);
+    }
+
+    // Send Broadcast ACK back to originator via BLE (T2.5 - FR-15)
+    let delivered = false;
+    if (originatorDeviceId) {
+      try {
+        await this._sendAckToDevice(originatorDeviceId, broadcastAck);
+        delivered = true;
+        if (outboxId) {
+          await markOutboxAckDelivered(outboxId);
+        }
+        this.logger.info('[ble-relay] broadcast ACK sent to originator', {
+          deviceId: originatorDeviceId.slice(0, 8),
+          success: broadcastResult.success,
+          txHash: broadcastResult.txHash,
+        });
+      } catch (ackError) {
+        this.logger.warn('[ble-relay] originator unreachable, storing broadcast ACK for pickup:', ackError.message);
+      }
+    }
+
+    // Originator out of range, or several mesh hops away: keep the ACK until it connects to us
+    if (!delivered && !outboxId) {
+      await saveOutboxEntry({
+        txHash,
+        originatorDeviceId,
+        originatorAddress: payload.metadata.from,
+        payload,
+        status: broadcastResult.success ? 'forwarded' : 'failed',
+        broadcastResult,
+        broadcastAck,
+      });
+    }
+
+    // Notify subscribers
+    this._notifySubscribers('transactionBroadcast', {
+      payload,
+      broadcastResult,
+      broadcastAck,
+    });
+
+    return broadcastResult;
+  }
+
+  async _awaitRelayJob(payload, originatorDeviceId, broadcastResult, outboxId) {
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    if (outboxId) {
+      await markOutboxAwaitingJob(outboxId, broadcastResult);
+    } else {
+      const session = originatorDeviceId ? this.getSessionByPeer(originatorDeviceId) : null;
+      await saveOutboxEntry({
+        txHash,
+        originatorDeviceId,
+        originatorAddress: session?.peerAddress || payload.metadata.from,
+        payload,
+        status: 'awaiting',
+        broadcastResult,
+      });
+    }
+
+    // The relayer has it now, so there is nothing left to gossip
+    this._dropMeshPayload(txHash);
+    this.logger.info('[ble-relay] relayer has not mined transaction yet, polling its job', {
+      txHash,
+      jobId: broadcastResult.jobId,
+      held: broadcastResult.held,
+    });
+    this._startForwardFlushTimer();
+  }
+
+  /**
+   * Send acknowledgement to device via BLE
+   */
+  async _sendAckToDevice(deviceId, ackPayload) {
+    await this._sendPayloadToDevice(deviceId, ackPayload);
+
+    this.logger.info('[ble-relay] ACK sent to device', { 
+      deviceId: deviceId.slice(0, 8),
+      type: ackPayload.type 
+    });
+  }
+
+  /**
+   * Send a payload to a device over its session. Payloads to one device go out one after another,
+   * since the receiver reassembles a single payload per session at a time.
+   * @param {Function} [onProgress] - Called with (ackedChunks, totalChunks) as the peer acknowledges chunks
+   * @returns {Promise<number>} - Number of chunks, once the peer acknowledged all of them
+   */
+  async _sendPayloadToDevice(deviceId, payload, onProgress = null) {
+    const session = this.getSessionByPeer(deviceId);
+    if (!session) {
+      throw new Error('No session with device');
+    }
+
+    const previous = this.deviceSendChains.get(deviceId) || Promise.resolve();
+    const send = previous.catch(() => {}).then(async () => {
+      // Chunks fit the MTU negotiated on the connection they go out on (20 bytes for BLE 4.0 peers)
+      const { mtu } = await this._getConnection(deviceId);
+      session.mtu = mtu;
+
+      const transferId = session.nextTransferId || 0;
+      session.nextTransferId = (transferId + 1) & 0xFF;
+
+      const chunks = chunkPayload(payload, session.sessionId, {
+        transferId,
+        mtu,
+        format: session.payloadFormat,
+        compress: session.compressPayloads,
+        encrypt: (bytes) => this._encryptSessionPayload(session, bytes),
+      });
+      await this._sendChunksReliably(deviceId, session.sessionId, transferId, chunks, onProgress);
+      return chunks.length;
+    });
+
+    this.deviceSendChains.set(deviceId, send);
+    try {
+      return await send;
+    } finally {
+      if (this.deviceSendChains.get(deviceId) === send) {
+        this.deviceSendChains.delete(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Send chunk to specific device (low-level BLE transmission)
+   */
+  async _sendChunkToDevice(deviceId, chunk) {
+    try {
+      // Write chunk to payload characteristic
+      await this._writeToDevice(deviceId, PAYLOAD_CHARACTERISTIC_UUID, chunk.raw, true);
+
+      this.logger.debug('[ble-relay] chunk sent', {
+        deviceId: deviceId.slice(0, 8),
+        sequence: chunk.sequence,
+        size: chunk.raw.length,
+      });
+    } catch (error) {
+      this.logger.error('[ble-relay] chunk transmission failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write to one of the peer's OfflinePay characteristics over its pooled connection
+   */
+  async _writeToDevice(deviceId, characteristicUuid, data, withResponse) {
+    const connection = await this._getConnection(deviceId);
+    const characteristic = connection.characteristics.get(characteristicUuid.toLowerCase());
+    if (!characteristic) {
+      throw new Error(`Peer does not expose characteristic ${characteristicUuid}`);
+    }
+
+    const value = Buffer.from(data).toString('base64');
+    try {
+      if (withResponse) {
+        await characteristic.writeWithResponse(value);
+      } else {
+        await characteristic.writeWithoutResponse(value);
+      }
+      connection.lastUsedAt = Date.now();
+    } catch (error) {
+      // The link may be gone without a disconnect event yet: reconnect on the next write
+      await this._closeConnection(deviceId);
+      throw error;
+    }
+  }
+
+  // GATT connection pool
+  //
+  // One connection per peer, kept with its discovered characteristics and negotiated MTU for as long
+  // as it is used. Connections close after CONNECTION_IDLE_TIMEOUT_MS without writes, when the peer
+  // is lost, or when the peer disconnects; the next write reconnects.
+
+  /**
+   * Pooled connection to a device, connecting, raising the MTU and discovering characteristics
+   * the first time
+   */
+  async _getConnection(deviceId) {
+    const existing = this.connections.get(deviceId);
+    if (existing) {
+      existing.lastUsedAt = Date.now();
+      return existing;
+    }
+
+    if (!this.pendingConnections.has(deviceId)) {
+      const pending = this._openConnection(deviceId).finally(() => {
+        this.pendingConnections.delete(deviceId);
+      });
+      this.pendingConnections.set(deviceId, pending);
+    }
+    return this.pendingConnections.get(deviceId);
+  }
+
+  async _openConnection(deviceId) {
+    if (!this.manager) {
+      throw new Error('BLE manager not initialized');
+    }
+
+    const alreadyConnected = await this.manager.isDeviceConnected(deviceId);
+    let device = alreadyConnected
+      ? (await this.manager.devices([deviceId]))[0]
+      : await this.manager.connectToDevice(deviceId, {
+          requestMTU: BLE_REQUESTED_MTU,
+          timeout: BLE_CONNECT_TIMEOUT_MS,
+        });
+
+    // Android negotiates the MTU on request (iOS does it by itself); some peers refuse a larger one
+    if (alreadyConnected && Platform.OS === 'android') {
+      device = await device.requestMTU(BLE_REQUESTED_MTU).catch((error) => {
+        this.logger.warn('[ble-relay] MTU request refused:', error.message);
+        return device;
+      });
+    }
+
+    try {
+      await device.discoverAllServicesAndCharacteristics();
+      const characteristics = await device.characteristicsForService(OFFLINEPAY_SERVICE_UUID);
+
+      const connection = {
+        device,
+        characteristics: new Map(characteristics.map((characteristic) => [characteristic.uuid.toLowerCase(), characteristic])),
+        mtu: device.mtu || BLE_DEFAULT_MTU,
+        connectedAt: Date.now(),
+        lastUsedAt: Date.now(),
+        disconnectSubscription: this.manager.onDeviceDisconnected(deviceId, (error) => {
+          this._handleDeviceDisconnected(deviceId, error);
+        }),
+      };
+
+      this.connections.set(deviceId, connection);
+      this._startConnectionIdleTimer();
+      this.logger.info('[ble-relay] connected to peer', { deviceId: deviceId.slice(0, 8), mtu: connection.mtu });
+      return connection;
+    } catch (error) {
+      await this.manager.cancelDeviceConnection(deviceId).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Negotiated ATT MTU of the pooled connection to a device, or null while not connected
+   */
+  getConnectionMtu(deviceId) {
+    return this.connections.get(deviceId)?.mtu ?? null;
+  }
+
+  _handleDeviceDisconnected(deviceId, error) {
+    const connection = this.connections.get(deviceId);
+    if (!connection) {
+      return;
+    }
+
+    connection.disconnectSubscription?.remove();
+    this.connections.delete(deviceId);
+    this.logger.info('[ble-relay] peer disconnected', {
+      deviceId: deviceId.slice(0, 8),
+      error: error?.message || null,
+    });
+
+    if (this.connections.size === 0) {
+      this._stopConnectionIdleTimer();
+    }
+  }
+
+  async _closeConnection(deviceId) {
+    const connection = this.connections.get(deviceId);
+    if (!connection) {
+      return;
+    }
+
+    connection.disconnectSubscription?.remove();
+    this.connections.delete(deviceId);
+    if (this.connections.size === 0) {
+      this._stopConnectionIdleTimer();
+    }
+
+    try {
+      await this.manager?.cancelDeviceConnection(deviceId);
+    } catch (error) {
+      this.logger.warn('[ble-relay] disconnect failed:', error.message);
+    }
+  }
+
+  /**
+   * Close connections without writes for CONNECTION_IDLE_TIMEOUT_MS, unless a payload is still being sent
+   */
+  _closeIdleConnections() {
+    const cutoff = Date.now() - CONNECTION_IDLE_TIMEOUT_MS;
+    for (const [deviceId, connection] of this.connections.entries()) {
+      if (connection.lastUsedAt < cutoff && !this.deviceSendChains.has(deviceId)) {
+        this.logger.info('[ble-relay] closing idle connection', { deviceId: deviceId.slice(0, 8) });
+        this._closeConnection(deviceId);
+      }
+    }
+  }
+
+  _startConnectionIdleTimer() {
+    if (!this.connectionIdleTimer) {
+      this.connectionIdleTimer = setInterval(() => this._closeIdleConnections(), CONNECTION_IDLE_CHECK_INTERVAL_MS);
+    }
+  }
+
+  _stopConnectionIdleTimer() {
+    if (this.connectionIdleTimer) {
+      clearInterval(this.connectionIdleTimer);
+      this.connectionIdleTimer = null;
+    }
+  }
+
+  /**
+   * Send a chunked payload over a sliding window of CHUNK_WINDOW_SIZE unacknowledged chunks.
+   * NACKed chunks are retransmitted right away; when ACKs stop coming, the unacknowledged chunks
+   * are retransmitted with an exponentially growing timeout. Throws when a chunk is still
+   * unacknowledged after CHUNK_MAX_RETRANSMITS retransmissions, or when the peer sends an error.
+   */
+  async _sendChunksReliably(deviceId, sessionId, transferId, chunks, onProgress = null) {
+    const key = `${deviceId}:${sessionId}`;
+    const transfer = {
+      transferId,
+      totalChunks: chunks.length,
+      acked: new Set(),
+      retransmitQueue: [],
+      retransmits: new Map(), // sequence -> retransmission count
+      error: null,
+      signalled: false,
+      wake: null,
+    };
+    this.outgoingTransfers.set(key, transfer);
+
+    let nextSequence = 0;
+    let timeoutMs = CHUNK_ACK_TIMEOUT_MS;
+    let reportedAcks = 0;
+
+    try {
+      while (transfer.acked.size < chunks.length) {
+        if (transfer.error) {
+          throw transfer.error;
+        }
+
+        // Chunks the receiver found missing or corrupted go first, then new chunks fill the window
+        while (transfer.retransmitQueue.length > 0) {
+          const sequence = transfer.retransmitQueue.shift();
+          if (sequence < nextSequence && !transfer.acked.has(sequence)) {
+            await this._retransmitChunk(deviceId, transfer, chunks[sequence]);
+          }
+        }
+        while (nextSequence < chunks.length && nextSequence - transfer.acked.size < CHUNK_WINDOW_SIZE) {
+          await this._sendChunkToDevice(deviceId, chunks[nextSequence]);
+          nextSequence++;
+        }
+
+        if (transfer.acked.size === chunks.length) {
+          break;
+        }
+
+        const ackedBefore = transfer.acked.size;
+        const signalled = await this._waitForChunkAck(transfer, timeoutMs);
+
+        if (transfer.acked.size > ackedBefore) {
+          timeoutMs = CHUNK_ACK_TIMEOUT_MS;
+        } else if (!signalled) {
+          // No word from the receiver: resend what it has not acknowledged and back off
+          this.logger.warn('[ble-relay] chunk ACK timeout', { deviceId: deviceId.slice(0, 8), timeoutMs });
+          for (let sequence = 0; sequence < nextSequence; sequence++) {
+            if (!transfer.acked.has(sequence)) {
+              await this._retransmitChunk(deviceId, transfer, chunks[sequence]);
+            }
+          }
+          timeoutMs = Math.min(timeoutMs * 2, CHUNK_ACK_MAX_TIMEOUT_MS);
+        }
+
+        if (onProgress && transfer.acked.size > reportedAcks) {
+          reportedAcks = transfer.acked.size;
+          onProgress(reportedAcks, chunks.length);
+        }
+      }
+
+      if (onProgress && reportedAcks < chunks.length) {
+        onProgress(chunks.length, chunks.length);
+      }
+    } finally {
+      if (this.outgoingTransfers.get(key) === transfer) {
+        this.outgoingTransfers.delete(key);
+      }
+    }
+  }
+
+  async _retransmitChunk(deviceId, transfer, chunk) {
+    const count = (transfer.retransmits.get(chunk.sequence) || 0) + 1;
+    if (count > CHUNK_MAX_RETRANSMITS) {
+      throw new Error(`Chunk ${chunk.sequence} not acknowledged after ${CHUNK_MAX_RETRANSMITS} retransmissions`);
+    }
+
+    transfer.retransmits.set(chunk.sequence, count);
+    this.logger.info('[ble-relay] retransmitting chunk', { deviceId: deviceId.slice(0, 8), sequence: chunk.sequence, attempt: count });
+    await this._sendChunkToDevice(deviceId, chunk);
+  }
+
+  /**
+   * Record a control frame's effect on an outgoing transfer and wake its sender
+   */
+  _signalTransfer(transfer, { acked = [], missing = [], error = null }) {
+    acked.filter((sequence) => sequence < transfer.totalChunks).forEach((sequence) => transfer.acked.add(sequence));
+    // A NACK overrides earlier ACKs: after a failed payload digest the receiver drops chunks it acknowledged
+    for (const sequence of missing.filter((value) => value < transfer.totalChunks)) {
+      transfer.acked.delete(sequence);
+      transfer.retransmitQueue.push(sequence);
+    }
+    transfer.error = transfer.error || error;
+    transfer.signalled = true;
+    transfer.wake?.();
+  }
+
+  /**
+   * Send chunk acknowledgement: `nextExpected` tells the sender every earlier chunk arrived too
+   */
+  async _sendChunkAck(deviceId, chunk, nextExpected) {
+    await this._sendControlFrame(deviceId, createControlFrame(CONTROL_FRAME_TYPES.CHUNK_ACK, {
+      sessionId: chunk.sessionId,
+      transferId: chunk.transferId,
+      sequence: chunk.sequence,
+      nextExpected,
+    }));
+    this.logger.debug('[ble-relay] chunk ACK sent', { deviceId: deviceId.slice(0, 8), sequence: chunk.sequence });
+  }
+
+  /**
+   * Ask the sender to retransmit missing or corrupted chunks
+   */
+  async _sendChunkNack(deviceId, chunk, missing) {
+    // One NACK bitmap covers MAX_NACK_BITMAP_BYTES * 8 sequences from its first one
+    const sorted = [...missing].sort((a, b) => a - b);
+    while (sorted.length > 0) {
+      const base = sorted[0];
+      const frameMissing = sorted.filter((sequence) => sequence - base < MAX_NACK_BITMAP_BYTES * 8);
+      sorted.splice(0, frameMissing.length);
+
+      await this._sendControlFrame(deviceId, createControlFrame(CONTROL_FRAME_TYPES.CHUNK_NACK, {
+        sessionId: chunk.sessionId,
+        transferId: chunk.transferId,
+        missing: frameMissing,
+      }));
+    }
+    this.logger.debug('[ble-relay] chunk NACK sent', { deviceId: deviceId.slice(0, 8), missing });
+  }
+
+  /**
+   * Send chunk error notification: the sender stops retransmitting the payload
+   */
+  async _sendChunkError(deviceId, chunk, errorMessage) {
+    await this._sendControlFrame(deviceId, createControlFrame(CONTROL_FRAME_TYPES.CHUNK_ERROR, {
+      sessionId: chunk.sessionId,
+      transferId: chunk.transferId,
+      sequence: chunk.sequence,
+      reason: errorMessage,
+    }));
+    this.logger.debug('[ble-relay] chunk error sent', { deviceId: deviceId.slice(0, 8), errorMessage });
+  }
+
+  /**
+   * Write a control frame to the peer's control characteristic. Control frames are best effort:
+   * the sender's retransmit timeout covers a lost one.
+   */
+  async _sendControlFrame(deviceId, frame) {
+    try {
+      await this._writeToDevice(deviceId, CONTROL_CHARACTERISTIC_UUID, frame, false);
+    } catch (error) {
+      this.logger.warn('[ble-relay] control frame not sent:', error.message);
+    }
+  }
+
+  /**
+   * Wait for chunk acknowledgement: resolves true once a control frame for the transfer arrives,
+   * false after `timeoutMs`
+   */
+  _waitForChunkAck(transfer, timeoutMs) {
+    if (transfer.signalled) {
+      transfer.signalled = false;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        transfer.wake = null;
+        resolve(false);
+      }, timeoutMs);
+
+      transfer.wake = () => {
+        clearTimeout(timer);
+        transfer.wake = null;
+        transfer.signalled = false;
+        resolve(true);
+      };
+    });
+  }
+
+  /**
+   * Sign acknowledgement with relayer private key (T2.3)
+   */
+  async _signAck(ackData) {
+    if (!this.walletPrivateKey) {
+      throw new Error('Relayer private key not available');
+    }
+
+    try {
+      const wallet = new ethers.Wallet(this.walletPrivateKey);
+      const message = JSON.stringify(ackData);
+      const signature = await wallet.signMessage(message);
+      return signature;
+    } catch (error) {
+      this.logger.error('[ble-relay] ACK signing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle received acknowledgements (T2.6 - FR-16)
+   */
+  async _handleReceiptAck(deviceId, ackPayload) {
+    try {
+      // Save Receipt ACK to database
+      await saveBleAck({
+        transmissionId: this._findTransmissionIdForDevice(deviceId),
+        ackType: 1, // Receipt ACK
+        txHash: ackPayload.txHash,
+        deviceId,
+        payload: ackPayload,
+        signature: ackPayload.relayerSignature,
+        timestamp: ackPayload.timestamp,
+        status: 'received',
+      });
+
+      this.logger.info('[ble-relay] receipt ACK saved to database', {
+        deviceId: deviceId.slice(0, 8),
+        success: ackPayload.result?.success,
+        queued: Boolean(ackPayload.result?.queued)
+      });
+    } catch (error) {
+      this.logger.error('[ble-relay] failed to save receipt ACK:', error);
+    }
+
+    this._notifySubscribers('receiptAckReceived', {
+      deviceId,
       ackPayload,
     });
   }
 
   async _handleBroadcastAck(deviceId, ackPayload) {
+    // The relayer's own ack travels inside the broadcast result; flag it if its signer is not trusted
+    const relayerAck = ackPayload.result?.ack;
+    const ackVerification = relayerAck ? await verifyAck(relayerAck) : null;
+    if (ackVerification && !ackVerification.trusted) {
+      this.logger.warn('[ble-relay] broadcast ACK carries an untrusted relayer signature', {
+        deviceId: deviceId.slice(0, 8),
+        txHash: ackPayload.txHash,
+        error: ackVerification.error,
+      });
+    }
+
     try {
       // Save Broadcast ACK to database
+      // Broadcast ACKs can arrive long after the transmission (relayer outbox), so match on the hash first
+      const transmissionId =
+        (await this._findTransmissionIdForTxHash(ackPayload.txHash)) || this._findTransmissionIdForDevice(deviceId);
       await saveBleAck({
-        transmissionId: this._findTransmissionIdForDevice(deviceId),
+        transmissionId,
         ackType: 2, // Broadcast ACK
         txHash: ackPayload.txHash,
         deviceId,
         payload: ackPayload,
         signature: ackPayload.relayerSignature,
         timestamp: ackPayload.timestamp,
-        status: 'received',
+        status: ackVerification && !ackVerification.trusted ? 'untrusted' : 'received',
       });
 
       this.logger.info('[ble-relay] broadcast ACK saved to database', {
@@ -1246,19 +2193,21 @@ export class BleRelayerService {
     this._notifySubscribers('broadcastAckReceived', {
       deviceId,
       ackPayload,
+      trusted: ackVerification ? ackVerification.trusted : null,
+      signer: ackVerification?.signer || null,
     });
   }
 
   /**
    * Request balance from online relayer via BLE (T2.7 - FR-31)
    */
-  async requestBalanceFromRelayer(walletAddress, relayerPeerId) {
+  async requestBalanceFromRelayer(walletAddress, relayerPeerId, chainId = this.walletChainId) {
     const session = this.getSessionByPeer(relayerPeerId);
     if (!session) {
       throw new Error('No session established with relayer for balance request');
     }
 
-    const balanceRequest = createBalanceRequestPayload(walletAddress);
+    const balanceRequest = createBalanceRequestPayload(walletAddress, null, chainId);
     
     try {
       this.logger.info('[ble-relay] requesting balance from relayer', {
@@ -1266,11 +2215,7 @@ export class BleRelayerService {
         relayer: relayerPeerId.slice(0, 8),
       });
 
-      const chunks = chunkPayload(balanceRequest, session.sessionId);
-      
-      for (const chunk of chunks) {
-        await this._sendChunkToDevice(relayerPeerId, chunk);
-      }
+      await this._sendPayloadToDevice(relayerPeerId, balanceRequest);
 
       return balanceRequest.requestId;
     } catch (error) {
@@ -1295,18 +2240,18 @@ export class BleRelayerService {
       }
 
       // Fetch balance from Node.js relayer API
-      const balanceData = await relayerApi.getBalance(payload.walletAddress);
+      const balanceData = await relayerApi.getBalance(payload.walletAddress, payload.chainId);
       
       if (!balanceData.success) {
         throw new Error(balanceData.error || 'Balance fetch failed');
       }
 
-      // Create signed balance response
-      const balanceResponse = createBalanceResponsePayload(
-        payload,
-        balanceData,
-        await this._signBalanceData(balanceData)
-      );
+      if (!balanceData.snapshot) {
+        throw new Error('Relayer returned an unsigned balance snapshot');
+      }
+
+      // Forward the relayer-signed snapshot; the requester verifies it end to end
+      const balanceResponse = createBalanceResponsePayload(payload, balanceData);
 
       // Send response back to requesting device
       await this._sendAckToDevice(deviceId, balanceResponse);
@@ -1325,11 +2270,7 @@ export class BleRelayerService {
       this.logger.error('[ble-relay] balance request handling failed:', error);
       
       // Send error response
-      const errorResponse = createBalanceResponsePayload(
-        payload,
-        { error: error.message },
-        null
-      );
+      const errorResponse = createBalanceResponsePayload(payload, { error: error.message });
       
       try {
         await this._sendAckToDevice(deviceId, errorResponse);
@@ -1350,29 +2291,34 @@ export class BleRelayerService {
         nativeBalance: payload.balances?.native,
       });
 
-      // Verify balance signature if provided
-      if (payload.signature) {
-        const isValid = await this._verifyBalanceSignature(payload);
-        if (!isValid) {
-          this.logger.warn('[ble-relay] balance response signature invalid');
-          return;
-        }
+      if (!payload.snapshot) {
+        this.logger.warn('[ble-relay] balance response carries no signed snapshot', {
+          requestId: payload.requestId,
+          error: payload.error,
+        });
+        return;
+      }
+
+      // Verify the relayer's BalanceSnapshot signature and freshness window
+      const verification = verifyBalanceSnapshot(payload.snapshot, {
+        walletAddress: payload.walletAddress,
+        chainId: this.walletChainId,
+        trustedRelayers: await getTrustedRelayers(),
+      });
+      if (!verification.valid || !verification.trusted || !verification.fresh) {
+        this.logger.warn('[ble-relay] balance snapshot rejected', {
+          requestId: payload.requestId,
+          error: verification.error,
+        });
+        return;
       }
 
       // Save balance snapshot to database (T2.7 - FR-32)
       try {
         const { upsertBalanceSnapshot } = await import('../utils/db');
         await upsertBalanceSnapshot({
-          walletAddress: payload.walletAddress,
-          nativeBalance: {
-            wei: payload.balances.native,
-            ether: ethers.utils.formatEther(payload.balances.native || '0'),
-          },
-          protocolAccount: payload.balances.protocol,
-          timestamp: payload.timestamp,
+          ...payload.snapshot,
           dataSource: payload.dataSource,
-          signature: payload.signature || '',
-          digest: JSON.stringify(payload.balances),
         });
       } catch (dbError) {
         this.logger.error('[ble-relay] failed to save balance snapshot:', dbError);
@@ -1388,52 +2334,209 @@ export class BleRelayerService {
     }
   }
 
+  // Multi-hop mesh gossip
+  //
+  // A peer that cannot reach the Node.js relayer carries validated transactions and offers them, by
+  // hash, to every peer it holds a session with (MESH_OFFER). Peers request the hashes they have not
+  // seen (MESH_REQUEST) and get the transaction one hop further (MESH_FORWARD). The first online peer
+  // forwards it to the Node.js relayer; its broadcast ACK waits in that peer's outbox for the originator.
+
   /**
-   * Sign balance data with relayer private key (T2.7)
+   * Offer carried transactions to peers that have not been offered them yet (default: every session)
    */
-  async _signBalanceData(balanceData) {
-    if (!this.walletPrivateKey) {
-      throw new Error('Relayer private key not available for balance signing');
+  async _offerMeshPayloads(peerIds = null) {
+    this._pruneMesh();
+    if (this.meshStore.size === 0) {
+      return;
     }
 
-    try {
-      const wallet = new ethers.Wallet(this.walletPrivateKey);
-      const message = JSON.stringify({
-        address: balanceData.address,
-        nativeBalance: balanceData.nativeBalance,
-        protocolBalance: balanceData.protocolBalance,
-        nonce: balanceData.nonce,
-        timestamp: balanceData.timestamp,
+    const targets = peerIds || [...new Set(Array.from(this.sessions.values()).map((session) => session.peerId))];
+    for (const peerId of targets) {
+      const entries = Array.from(this.meshStore.entries()).filter(
+        ([, entry]) => !entry.offeredTo.has(peerId) && entry.mesh.hopCount < entry.mesh.maxHops
+      );
+      if (!entries.length || !this.getSessionByPeer(peerId)) {
+        continue;
+      }
+
+      try {
+        await this._sendPayloadToDevice(peerId, createMeshOfferPayload(
+          entries.map(([txHash, entry]) => ({ txHash, hopCount: entry.mesh.hopCount, expiresAt: entry.mesh.expiresAt }))
+        ));
+        entries.forEach(([, entry]) => entry.offeredTo.add(peerId));
+        this.logger.info('[ble-relay] mesh offer sent', { deviceId: peerId.slice(0, 8), count: entries.length });
+      } catch (error) {
+        this.logger.warn('[ble-relay] mesh offer failed:', error.message);
+      }
+    }
+  }
+
+  async _handleMeshOffer(deviceId, offerPayload) {
+    const now = Date.now();
+    const wanted = (offerPayload.offers || [])
+      .filter((offer) => offer.expiresAt > now && !this._hasSeenMeshPayload(offer.txHash))
+      .map((offer) => offer.txHash);
+
+    if (wanted.length > 0) {
+      await this._sendPayloadToDevice(deviceId, createMeshRequestPayload(wanted));
+    }
+  }
+
+  async _handleMeshRequest(deviceId, requestPayload) {
+    for (const txHash of requestPayload.txHashes || []) {
+      const entry = this.meshStore.get(txHash);
+      if (!entry || entry.mesh.expiresAt <= Date.now()) {
+        continue;
+      }
+
+      await this._sendPayloadToDevice(deviceId, createMeshForwardPayload(entry.payload, entry.mesh));
+      this.logger.info('[ble-relay] mesh payload forwarded', {
+        deviceId: deviceId.slice(0, 8),
+        txHash,
+        hopCount: entry.mesh.hopCount,
       });
-      return await wallet.signMessage(message);
-    } catch (error) {
-      this.logger.error('[ble-relay] balance data signing failed:', error);
-      throw error;
+    }
+  }
+
+  async _handleMeshForward(deviceId, forwardPayload) {
+    const { payload } = forwardPayload;
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+
+    if (txHash !== forwardPayload.txHash || this._hasSeenMeshPayload(txHash)) {
+      return;
+    }
+
+    const mesh = nextMeshHop(forwardPayload.mesh);
+    if (mesh.expiresAt <= Date.now() || mesh.hopCount > mesh.maxHops) {
+      this.logger.warn('[ble-relay] dropping mesh payload past its TTL or hop limit', { txHash, hopCount: mesh.hopCount });
+      this._markMeshSeen(txHash, mesh.expiresAt);
+      return;
+    }
+
+    const validationResult = await this._validateTransaction(payload);
+    this._markMeshSeen(txHash, mesh.expiresAt);
+    if (!validationResult.success) {
+      this.logger.warn('[ble-relay] dropping invalid mesh payload', { txHash, code: validationResult.code });
+      return;
+    }
+
+    this._notifySubscribers('meshPayloadReceived', { deviceId, txHash, hopCount: mesh.hopCount });
+
+    if (this.deviceRole & DEVICE_ROLES.ONLINE) {
+      await this._forwardToNodejsRelayer(payload, null);
+    } else {
+      await this._queueForward(payload, null);
+      this._carryMeshPayload(payload, mesh, deviceId);
     }
   }
 
   /**
-   * Verify balance response signature
+   * Start carrying a transaction for other peers. Returns false for transactions already carried,
+   * expired, or at their hop limit (those are only remembered as seen).
    */
-  async _verifyBalanceSignature(balanceResponse) {
-    try {
-      const message = JSON.stringify({
-        address: balanceResponse.walletAddress,
-        nativeBalance: balanceResponse.balances.native,
-        protocolBalance: balanceResponse.balances.protocol,
-        nonce: balanceResponse.balances.nonce,
-        timestamp: balanceResponse.timestamp,
-      });
+  _carryMeshPayload(payload, mesh, receivedFrom = null) {
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    this._markMeshSeen(txHash, mesh.expiresAt);
 
-      const recoveredAddress = ethers.utils.verifyMessage(message, balanceResponse.signature);
-      
-      // TODO: Verify that recoveredAddress matches expected relayer address
-      // For now, just check that signature is valid
-      return recoveredAddress && recoveredAddress.length === 42;
-    } catch (error) {
-      this.logger.error('[ble-relay] balance signature verification failed:', error);
+    if (this.meshStore.has(txHash) || mesh.expiresAt <= Date.now() || mesh.hopCount >= mesh.maxHops) {
       return false;
     }
+
+    const wasCarrying = this.meshStore.size > 0;
+    this.meshStore.set(txHash, {
+      payload: { ...payload, mesh },
+      mesh,
+      receivedFrom,
+      offeredTo: new Set(receivedFrom ? [receivedFrom] : []),
+      carriedAt: Date.now(),
+    });
+
+    this.logger.info('[ble-relay] carrying mesh payload', { txHash, hopCount: mesh.hopCount, carried: this.meshStore.size });
+    this._notifySubscribers('meshPayloadCarried', { txHash, hopCount: mesh.hopCount, carried: this.meshStore.size });
+
+    if (!wasCarrying) {
+      this._refreshAdvertisement();
+      this._startMeshOfferTimer();
+    }
+    this._offerMeshPayloads().catch((error) => {
+      this.logger.error('[ble-relay] mesh offer round failed:', error);
+    });
+    return true;
+  }
+
+  _dropMeshPayload(txHash) {
+    if (this.meshStore.delete(txHash) && this.meshStore.size === 0) {
+      this._stopMeshOfferTimer();
+      this._refreshAdvertisement();
+    }
+  }
+
+  hasMeshPayloads() {
+    return this.meshStore.size > 0;
+  }
+
+  _hasSeenMeshPayload(txHash) {
+    const expiresAt = this.meshSeen.get(txHash);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  _markMeshSeen(txHash, expiresAt = Date.now() + MESH_TTL_MS) {
+    this.meshSeen.delete(txHash);
+    this.meshSeen.set(txHash, expiresAt);
+
+    // Map iteration follows insertion order, so the first key is the oldest entry
+    while (this.meshSeen.size > MESH_SEEN_MAX_ENTRIES) {
+      this.meshSeen.delete(this.meshSeen.keys().next().value);
+    }
+  }
+
+  _pruneMesh() {
+    const now = Date.now();
+    for (const [txHash, expiresAt] of this.meshSeen.entries()) {
+      if (expiresAt <= now) {
+        this.meshSeen.delete(txHash);
+      }
+    }
+    for (const [txHash, entry] of this.meshStore.entries()) {
+      if (entry.mesh.expiresAt <= now) {
+        this.logger.info('[ble-relay] mesh payload expired', { txHash });
+        this._dropMeshPayload(txHash);
+      }
+    }
+  }
+
+  _startMeshOfferTimer() {
+    if (!this.meshOfferTimer) {
+      this.meshOfferTimer = setInterval(() => {
+        this._offerMeshPayloads().catch((error) => {
+          this.logger.error('[ble-relay] mesh offer round failed:', error);
+        });
+      }, MESH_OFFER_INTERVAL_MS);
+    }
+  }
+
+  _stopMeshOfferTimer() {
+    if (this.meshOfferTimer) {
+      clearInterval(this.meshOfferTimer);
+      this.meshOfferTimer = null;
+    }
+  }
+
+  /**
+   * Restart advertising so the MESH_CARRYING flag follows the mesh store. A carrier advertises
+   * even while offline, so peers can find it.
+   */
+  async _refreshAdvertisement() {
+    if (!this.manager || (!this.isAdvertising && this.meshStore.size === 0)) {
+      return;
+    }
+
+    try {
+      await this.stopAdvertising();
+      await this.startAdvertising();
+    } catch (error) {
+      this.logger.warn('[ble-relay] advertisement refresh failed:', error.message);
+    }
   }
 
   /**
@@ -1448,6 +2551,22 @@ export class BleRelayerService {
     return null;
   }
 
+  /**
+   * Find the pending sent transmission carrying a transaction hash
+   */
+  async _findTransmissionIdForTxHash(txHash) {
+    if (!txHash || !ethers.utils.isHexString(txHash, 32)) {
+      return null;
+    }
+
+    const pending = await getPendingBleTransactions();
+    const match = pending.find(
+      (transaction) => transaction.direction === 'sent' &&
+        ethers.utils.keccak256(transaction.signedTx).toLowerCase() === txHash.toLowerCase()
+    );
+    return match ? match.transmissionId : null;
+  }
+
   // Cleanup payload assemblers and transmissions
   _cleanupStaleTransmissions() {
     const staleTimeout = 5 * 60 * 1000; // 5 minutes
@@ -1467,4 +2586,61 @@ export class BleRelayerService {
 
 }
 
+/**
+ * Gossip state of a payload once it has travelled one more hop
+ */
+function nextMeshHop(mesh) {
+  const current = mesh || { hopCount: 0, maxHops: MESH_MAX_HOPS, expiresAt: Date.now() + MESH_TTL_MS };
+  return {
+    hopCount: current.hopCount + 1,
+    maxHops: Math.min(current.maxHops, MESH_MAX_HOPS),
+    expiresAt: Math.min(current.expiresAt, Date.now() + MESH_TTL_MS),
+  };
+}
+
+/**
+ * Relayer results accepted without an ack: held in the nonce-gap queue, or broadcast but not mined
+ */
+function isAwaitingRelayJob(broadcastResult) {
+  return broadcastResult.success && !broadcastResult.ack && Boolean(broadcastResult.jobId);
+}
+
+function createValidationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * EIP-1559 (type 2) transactions need a non-zero maxFeePerGas covering the tip; legacy and
+ * access-list transactions a non-zero gasPrice. Fee fields in the metadata must match the signed values.
+ */
+function validateTransactionFees(parsedTx, metadata) {
+  const type = parsedTx.type || 0;
+  let feeFields;
+
+  if (type === 2) {
+    if (!parsedTx.maxFeePerGas || parsedTx.maxFeePerGas.isZero()) {
+      throw createValidationError('INVALID_FEES', 'maxFeePerGas must be greater than zero');
+    }
+    if (parsedTx.maxPriorityFeePerGas.gt(parsedTx.maxFeePerGas)) {
+      throw createValidationError('INVALID_FEES', 'maxPriorityFeePerGas exceeds maxFeePerGas');
+    }
+    feeFields = ['maxFeePerGas', 'maxPriorityFeePerGas'];
+  } else if (type === 0 || type === 1) {
+    if (!parsedTx.gasPrice || parsedTx.gasPrice.isZero()) {
+      throw createValidationError('INVALID_FEES', 'gasPrice must be greater than zero');
+    }
+    feeFields = ['gasPrice'];
+  } else {
+    throw createValidationError('UNSUPPORTED_TX_TYPE', `Unsupported transaction type ${type}`);
+  }
+
+  for (const field of feeFields) {
+    if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== parsedTx[field].toString()) {
+      throw createValidationError('INVALID_METADATA', `Metadata ${field} does not match the signed transaction`);
+    }
+  }
+}
+
 export default BleRelayerService;
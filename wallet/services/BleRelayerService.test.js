@@ -0,0 +1,622 @@
+import { ethers } from 'ethers';
+import { Platform } from 'react-native';
+import { BleRelayerService, CONTROL_CHARACTERISTIC_UUID, PAYLOAD_CHARACTERISTIC_UUID } from './BleRelayerService';
+import { relayerApi } from './RelayerApiService';
+import {
+  CHUNK_FRAMING_VERSION,
+  MESH_MAX_HOPS,
+  MESH_TTL_MS,
+  PAYLOAD_TYPES,
+  createMeshForwardPayload,
+  createMeshOfferPayload,
+  createTransactionPayload,
+} from '../utils/payloadSerializer';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytesAsync: async (length) => require('crypto').randomBytes(length),
+}));
+// ECDH and message signatures cost over a second per handshake in pure JS, and cryptoHandshake.test.js
+// covers them. Here both phones agree on a fixed secret and skip signatures; capabilities, session
+// ids and session keys still follow the real handshake.
+jest.mock('../utils/cryptoHandshake', () => {
+  const actual = jest.requireActual('../utils/cryptoHandshake');
+  const serializer = jest.requireActual('../utils/payloadSerializer');
+  const { randomBytes } = require('crypto');
+  const { utils } = require('ethers');
+  const sharedSecret = 'ab'.repeat(32);
+  const capabilities = {
+    chunkFraming: serializer.CHUNK_FRAMING_VERSION,
+    payloadFormats: serializer.SUPPORTED_PAYLOAD_FORMATS,
+    payloadCompression: serializer.SUPPORTED_PAYLOAD_COMPRESSION,
+  };
+  // Stands in for the signer's address, which would cost a key derivation
+  const addressOf = (walletPrivateKey) => utils.getAddress(utils.hexDataSlice(utils.keccak256(walletPrivateKey), 12));
+
+  return {
+    ...actual,
+    createHandshakeInit: async (walletPrivateKey, deviceRole) => ({
+      message: {
+        type: 'HANDSHAKE_INIT',
+        deviceRole,
+        challenge: randomBytes(16).toString('hex'),
+        signer: addressOf(walletPrivateKey),
+        ...capabilities,
+      },
+      ephemeralPrivateKey: null,
+    }),
+    processHandshakeInit: async (initMessage, myWalletPrivateKey, myDeviceRole, sessionId = null) => {
+      const peerCapabilities = actual.getSignedCapabilities(initMessage);
+      const announced = Object.values(peerCapabilities).some((value) => value !== null);
+      const response = {
+        type: 'HANDSHAKE_RESPONSE',
+        deviceRole: myDeviceRole,
+        originalChallenge: initMessage.challenge,
+        responseChallenge: randomBytes(16).toString('hex'),
+        signer: addressOf(myWalletPrivateKey),
+        ...(announced ? capabilities : {}),
+        ...(announced && sessionId !== null ? { sessionId } : {}),
+      };
+      return { response, sharedSecret, peerAddress: initMessage.signer, peerCapabilities, ephemeralPrivateKey: null };
+    },
+    completeHandshake: (responseMessage) => ({
+      sharedSecret,
+      peerAddress: responseMessage.signer,
+      peerRole: responseMessage.deviceRole,
+      peerCapabilities: actual.getSignedCapabilities(responseMessage),
+      sessionId: responseMessage.sessionId ?? null,
+    }),
+  };
+});
+// The relay outbox in memory, one entry per txHash like the SQLite table
+const mockOutbox = new Map();
+jest.mock('../utils/db', () => {
+  let nextId = 1;
+  const withStatus = (status) => [...mockOutbox.values()].filter((entry) => entry.status === status);
+  const update = (id, changes) => {
+    const entry = [...mockOutbox.values()].find((candidate) => candidate.id === id);
+    Object.assign(entry, typeof changes === 'function' ? changes(entry) : changes);
+    return true;
+  };
+
+  return {
+    saveOutboxEntry: async (entry) => {
+      if (mockOutbox.has(entry.txHash)) {
+        return 0;
+      }
+      const id = nextId++;
+      mockOutbox.set(entry.txHash, { id, status: 'queued', attempts: 0, broadcastResult: null, broadcastAck: null, ackDelivered: false, ...entry });
+      return id;
+    },
+    fetchQueuedOutbox: async (limit) => withStatus('queued').slice(0, limit),
+    countQueuedOutbox: async () => withStatus('queued').length,
+    fetchAwaitingOutbox: async (limit) => withStatus('awaiting').slice(0, limit),
+    countAwaitingOutbox: async () => withStatus('awaiting').length,
+    markOutboxForwarded: async (id, broadcastResult, broadcastAck) =>
+      update(id, (entry) => ({ status: broadcastResult.success ? 'forwarded' : 'failed', broadcastResult, broadcastAck, attempts: entry.attempts + 1 })),
+    markOutboxAwaitingJob: async (id, broadcastResult) =>
+      update(id, (entry) => ({ status: 'awaiting', broadcastResult, attempts: entry.attempts + 1 })),
+    markOutboxAttemptFailed: async (id, lastError) => update(id, (entry) => ({ attempts: entry.attempts + 1, lastError })),
+    markOutboxAckDelivered: async (id) => update(id, { ackDelivered: true }),
+    fetchUndeliveredOutboxAcks: async (address) => [...mockOutbox.values()].filter((entry) =>
+      entry.broadcastAck && !entry.ackDelivered && entry.originatorAddress.toLowerCase() === address.toLowerCase()),
+  };
+});
+jest.mock('./RelayerApiService', () => ({ relayerApi: {} }));
+
+// Payloads only reach the stubbed _handleCompletePayload, so any type will do
+const notePayload = (note) => ({ type: PAYLOAD_TYPES.BALANCE_REQUEST, note });
+// The relayer only hashes signedTx, so any bytes will do
+const txPayload = (nonce) => ({
+  type: PAYLOAD_TYPES.SIGNED_TRANSACTION,
+  signedTx: ethers.utils.hexlify(ethers.utils.toUtf8Bytes(`signed tx ${nonce}`)),
+  metadata: { from: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC', to: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC', value: '1', nonce },
+});
+const minedResult = (payload, blockNumber) => ({
+  success: true,
+  txHash: ethers.utils.keccak256(payload.signedTx),
+  blockNumber,
+  held: false,
+  jobId: null,
+  ack: { relayerSig: '0x01' },
+});
+const quietLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// A BleManager whose devices are the other phones: characteristic writes land on their handlers.
+// `mtu` is what peers settle on when asked for a larger one; `dropLink` plays a peer disconnecting.
+function createBleManager(phones, name, { mtu = 185, alreadyConnected = false, refuseMtuRequest = false } = {}) {
+  const disconnectListeners = new Map();
+  const characteristic = (uuid, deliver) => {
+    const write = async (value) => {
+      const bytes = Buffer.from(value, 'base64');
+      phones[name].writes.push({ uuid, bytes });
+      setImmediate(() => deliver(bytes));
+    };
+    return { uuid, writeWithResponse: write, writeWithoutResponse: write };
+  };
+  const device = (deviceId) => ({
+    id: deviceId,
+    mtu,
+    requestMTU: jest.fn(async () => {
+      if (refuseMtuRequest) {
+        throw new Error('MTU request rejected');
+      }
+      return device(deviceId);
+    }),
+    discoverAllServicesAndCharacteristics: async () => {},
+    characteristicsForService: async () => [
+      characteristic(PAYLOAD_CHARACTERISTIC_UUID, (bytes) => phones[deviceId].service.handleIncomingChunk(name, bytes)),
+      characteristic(CONTROL_CHARACTERISTIC_UUID, (bytes) => phones[deviceId].service.handleControlFrame(name, bytes)),
+    ],
+  });
+
+  return {
+    isDeviceConnected: jest.fn(async () => alreadyConnected),
+    devices: jest.fn(async (deviceIds) => deviceIds.map(device)),
+    connectToDevice: jest.fn(async (deviceId) => device(deviceId)),
+    cancelDeviceConnection: jest.fn(async () => {}),
+    onDeviceDisconnected: jest.fn((deviceId, listener) => {
+      disconnectListeners.set(deviceId, listener);
+      return { remove: () => disconnectListeners.delete(deviceId) };
+    }),
+    dropLink: (deviceId) => disconnectListeners.get(deviceId)?.(new Error('Device disconnected')),
+  };
+}
+
+// Two phones whose GATT writes land on each other's handlers. With `gatt` the writes go through the
+// connection pool over a createBleManager manager; without it the pool is bypassed.
+function createPhones({ gatt = null } = {}) {
+  const phones = {};
+  for (const name of ['alice', 'bob']) {
+    const service = new BleRelayerService({ walletPrivateKey: ethers.utils.id(name), logger: quietLogger });
+    const phone = { service, sentChunks: [], writes: [], received: [] };
+    if (gatt) {
+      service.manager = createBleManager(phones, name, gatt);
+    } else {
+      service._getConnection = async () => ({ mtu: 185 });
+      service._sendChunkToDevice = async (deviceId, chunk) => {
+        phone.sentChunks.push(chunk);
+        setImmediate(() => phones[deviceId].service.handleIncomingChunk(name, chunk.raw));
+      };
+      service._sendControlFrame = async (deviceId, frame) => {
+        setImmediate(() => phones[deviceId]?.service.handleControlFrame(name, frame));
+      };
+    }
+    service._handleCompletePayload = async (deviceId, payload, sessionId) => {
+      phone.received.push({ deviceId, payload, sessionId });
+    };
+    jest.spyOn(service, '_sendChunkError');
+    phones[name] = phone;
+  }
+  return phones;
+}
+
+// `editInit` and `editResponse` rewrite the handshake messages in transit, as a man in the middle could
+async function handshake(phones, initiator, responder, { editInit = (message) => message, editResponse = (message) => message } = {}) {
+  phones[initiator].service.nearbyPeers.set(responder, { id: responder, lastSeen: Date.now() });
+  const { contextId, message } = await phones[initiator].service.initiateHandshake(responder);
+  try {
+    const { response } = await phones[responder].service.processIncomingHandshake(initiator, editInit(message));
+    await phones[initiator].service.completeHandshake(responder, editResponse(response), contextId);
+  } finally {
+    phones[initiator].service._clearHandshakeContext(contextId);
+  }
+}
+
+// Resolves with the next payload of `type` a phone receives; gossip rounds run in the background
+async function nextPayload(phone, type) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const index = phone.received.findIndex(({ payload }) => payload.type === type);
+    if (index !== -1) {
+      return phone.received.splice(index, 1)[0].payload;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error(`No payload of type ${type} received`);
+}
+
+const withoutCapabilities = ({ chunkFraming, payloadFormats, payloadCompression, ...message }) => message;
+
+describe('session payloads', () => {
+  test('both peers tag the session with the id the responder signed', async () => {
+    const phones = createPhones();
+    await handshake(phones, 'alice', 'bob');
+
+    const aliceSession = phones.alice.service.getSessionByPeer('bob');
+    expect(aliceSession.sessionId).toBe(phones.bob.service.getSessionByPeer('alice').sessionId);
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+    expect(phones.bob.received).toEqual([
+      { deviceId: 'alice', payload: notePayload('hello'), sessionId: aliceSession.sessionId },
+    ]);
+  });
+
+  test('a replayed payload is rejected after its MAC checks out', async () => {
+    const phones = createPhones();
+    await handshake(phones, 'alice', 'bob');
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('first'));
+    const firstChunks = [...phones.alice.sentChunks];
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('second'));
+
+    for (const chunk of firstChunks) {
+      await phones.bob.service.handleIncomingChunk('alice', chunk.raw);
+    }
+
+    expect(phones.bob.received.map(({ payload }) => payload.note)).toEqual(['first', 'second']);
+    expect(phones.bob.service._sendChunkError).toHaveBeenCalledWith(
+      'alice',
+      expect.anything(),
+      expect.stringContaining('Replayed payload rejected (counter 1)'),
+    );
+  });
+
+  test('a re-handshake replaces the old session on both sides', async () => {
+    const phones = createPhones();
+    await handshake(phones, 'alice', 'bob');
+    const oldSessionId = phones.alice.service.getSessionByPeer('bob').sessionId;
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('old session'));
+    const oldChunks = [...phones.alice.sentChunks];
+
+    await handshake(phones, 'bob', 'alice');
+
+    const [aliceSession] = phones.alice.service.getActiveSessions();
+    const [bobSession] = phones.bob.service.getActiveSessions();
+    expect(phones.alice.service.sessions.size).toBe(1);
+    expect(phones.bob.service.sessions.size).toBe(1);
+    expect(aliceSession.sessionId).not.toBe(oldSessionId);
+    expect(aliceSession.sessionId).toBe(bobSession.sessionId);
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('to bob'));
+    await phones.bob.service._sendPayloadToDevice('alice', notePayload('to alice'));
+    expect(phones.bob.received.map(({ payload }) => payload.note)).toEqual(['old session', 'to bob']);
+    expect(phones.alice.received.map(({ payload }) => payload.note)).toEqual(['to alice']);
+
+    // Chunks of the replaced session no longer find a session to decrypt with
+    await phones.bob.service.handleIncomingChunk('alice', oldChunks[0].raw);
+    expect(phones.bob.service._sendChunkError).toHaveBeenLastCalledWith('alice', expect.anything(), 'No session with device');
+  });
+
+  test('chunks are only accepted from the peer that holds the session', async () => {
+    const phones = createPhones();
+    await handshake(phones, 'alice', 'bob');
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+
+    await phones.bob.service.handleIncomingChunk('mallory', phones.alice.sentChunks[0].raw);
+
+    expect(phones.bob.service._sendChunkError).toHaveBeenLastCalledWith('mallory', expect.anything(), 'No session with device');
+  });
+
+  test('a handshake stripped of its capabilities is refused instead of falling back to plaintext', async () => {
+    const phones = createPhones();
+
+    await expect(handshake(phones, 'alice', 'bob', { editInit: withoutCapabilities }))
+      .rejects.toThrow('Peer does not support encrypted chunk framing');
+    await expect(handshake(phones, 'alice', 'bob', { editResponse: withoutCapabilities }))
+      .rejects.toThrow('Peer does not support encrypted chunk framing');
+
+    expect(phones.alice.service.sessions.size).toBe(0);
+    expect(phones.bob.service.sessions.size).toBe(1); // bob answered the second init, which alice then refused
+    await expect(phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'))).rejects.toThrow('No session with device');
+  });
+
+  test('peers agree on the highest chunk framing both read and refuse older ones', async () => {
+    const phones = createPhones();
+
+    await expect(handshake(phones, 'alice', 'bob', { editInit: (message) => ({ ...message, chunkFraming: CHUNK_FRAMING_VERSION - 1 }) }))
+      .rejects.toThrow('Peer does not support encrypted chunk framing');
+    expect(phones.bob.service.sessions.size).toBe(0);
+
+    await handshake(phones, 'alice', 'bob', { editInit: (message) => ({ ...message, chunkFraming: CHUNK_FRAMING_VERSION + 1 }) });
+    expect(phones.bob.service.getSessionByPeer('alice').chunkFraming).toBe(CHUNK_FRAMING_VERSION);
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+    expect(phones.bob.received.map(({ payload }) => payload)).toEqual([notePayload('hello')]);
+  });
+});
+
+describe('relayer forwarding', () => {
+  let phones;
+
+  beforeEach(() => {
+    phones = createPhones();
+  });
+
+  afterEach(() => {
+    phones.bob.service._stopForwardFlushTimer();
+    mockOutbox.clear();
+  });
+
+  test('a transaction the relayer holds gets its Broadcast ACK once its job is mined', async () => {
+    await handshake(phones, 'alice', 'bob');
+    const payload = txPayload(7);
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    relayerApi.broadcastTransaction = jest.fn(async () => ({ success: true, txHash, held: true, jobId: 'job-7', ack: null }));
+    relayerApi.getRelayJob = jest.fn(async () => ({ success: true, txHash, held: true, jobId: 'job-7', ack: null }));
+
+    await phones.bob.service._forwardToNodejsRelayer(payload, 'alice');
+
+    expect(phones.alice.received).toEqual([]);
+    expect(mockOutbox.get(txHash).status).toBe('awaiting');
+    expect(await phones.bob.service.pollRelayJobs()).toBe(0);
+    expect(relayerApi.getRelayJob).toHaveBeenCalledWith('job-7');
+
+    relayerApi.getRelayJob.mockResolvedValue(minedResult(payload, 42));
+    expect(await phones.bob.service.pollRelayJobs()).toBe(1);
+
+    const [{ payload: broadcastAck }] = phones.alice.received;
+    expect(broadcastAck.type).toBe(PAYLOAD_TYPES.BROADCAST_ACK);
+    expect(broadcastAck.txHash).toBe(txHash);
+    expect(broadcastAck.result).toMatchObject({ success: true, blockNumber: 42 });
+    expect(mockOutbox.get(txHash)).toMatchObject({ status: 'forwarded', ackDelivered: true });
+    expect(phones.bob.service.forwardFlushTimer).toBeNull();
+  });
+
+  test('transactions wait in the outbox while the relayer is unreachable', async () => {
+    await handshake(phones, 'alice', 'bob');
+    const first = txPayload(1);
+    const second = txPayload(2);
+    relayerApi.broadcastTransaction = jest.fn(async () => ({ success: false, unreachable: true, error: 'Network request failed' }));
+
+    expect(await phones.bob.service._forwardToNodejsRelayer(first, 'alice')).toEqual({ success: false, queued: true, queueSize: 1 });
+    expect(await phones.bob.service._forwardToNodejsRelayer(second, 'alice')).toEqual({ success: false, queued: true, queueSize: 2 });
+
+    // Later transactions queue behind the first instead of overtaking it
+    expect(relayerApi.broadcastTransaction).toHaveBeenCalledTimes(1);
+    expect([...mockOutbox.values()]).toEqual([
+      expect.objectContaining({ payload: first, status: 'queued', originatorDeviceId: 'alice', originatorAddress: phones.bob.service.getSessionByPeer('alice').peerAddress }),
+      expect.objectContaining({ payload: second, status: 'queued', originatorDeviceId: 'alice' }),
+    ]);
+    expect(await phones.bob.service.getForwardQueueSize()).toBe(2);
+    expect(phones.bob.service.forwardFlushTimer).not.toBeNull();
+    expect(phones.alice.received).toEqual([]);
+  });
+
+  test('a batch flush marks the outbox forwarded and sends each originator its Broadcast ACK', async () => {
+    await handshake(phones, 'alice', 'bob');
+    const payloads = [txPayload(1), txPayload(2)];
+    relayerApi.broadcastTransaction = jest.fn(async () => ({ success: false, unreachable: true, error: 'Network request failed' }));
+    for (const payload of payloads) {
+      await phones.bob.service._forwardToNodejsRelayer(payload, 'alice');
+    }
+    relayerApi.broadcastBatch = jest.fn(async (batch) => ({
+      success: true,
+      results: batch.map((payload, i) => minedResult(payload, 100 + i)),
+    }));
+
+    expect(await phones.bob.service.flushForwardQueue()).toBe(2);
+
+    expect(relayerApi.broadcastBatch).toHaveBeenCalledTimes(1);
+    expect(relayerApi.broadcastBatch).toHaveBeenCalledWith(payloads, phones.bob.service.walletAddress);
+    for (const payload of payloads) {
+      expect(mockOutbox.get(ethers.utils.keccak256(payload.signedTx))).toMatchObject({ status: 'forwarded', attempts: 1, ackDelivered: true });
+    }
+    expect(phones.alice.received.map(({ payload }) => [payload.type, payload.txHash, payload.result.blockNumber])).toEqual([
+      [PAYLOAD_TYPES.BROADCAST_ACK, ethers.utils.keccak256(payloads[0].signedTx), 100],
+      [PAYLOAD_TYPES.BROADCAST_ACK, ethers.utils.keccak256(payloads[1].signedTx), 101],
+    ]);
+    expect(await phones.bob.service.getForwardQueueSize()).toBe(0);
+    expect(phones.bob.service.forwardFlushTimer).toBeNull();
+  });
+
+  test('a failed batch flush keeps the outbox queued for the next one', async () => {
+    await handshake(phones, 'alice', 'bob');
+    const payload = txPayload(1);
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    relayerApi.broadcastTransaction = jest.fn(async () => ({ success: false, unreachable: true, error: 'Network request failed' }));
+    await phones.bob.service._forwardToNodejsRelayer(payload, 'alice');
+    relayerApi.broadcastBatch = jest.fn(async () => ({ success: false, unreachable: true, error: 'Network request failed' }));
+
+    expect(await phones.bob.service.flushForwardQueue()).toBe(0);
+
+    expect(mockOutbox.get(txHash)).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Network request failed', ackDelivered: false });
+    expect(phones.alice.received).toEqual([]);
+    expect(phones.bob.service.forwardFlushTimer).not.toBeNull();
+
+    relayerApi.broadcastBatch.mockResolvedValue({ success: true, results: [minedResult(payload, 7)] });
+    expect(await phones.bob.service.flushForwardQueue()).toBe(1);
+    expect(mockOutbox.get(txHash)).toMatchObject({ status: 'forwarded', attempts: 2, ackDelivered: true });
+  });
+});
+
+describe('mesh gossip', () => {
+  let phones;
+
+  beforeEach(async () => {
+    phones = createPhones();
+    await handshake(phones, 'alice', 'bob');
+    for (const { service } of Object.values(phones)) {
+      service._validateTransaction = jest.fn(async () => ({ success: true }));
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const { service } of Object.values(phones)) {
+      service._stopMeshOfferTimer();
+      service._stopForwardFlushTimer();
+    }
+    mockOutbox.clear();
+  });
+
+  // Mesh forwards go out in the binary format, which reads the metadata back from a real signed transaction
+  const sender = new ethers.Wallet(ethers.utils.id('carol'));
+  const signedTxPayload = async (nonce) => createTransactionPayload(await sender.signTransaction({
+    to: sender.address,
+    value: 1,
+    nonce,
+    gasLimit: 21000,
+    gasPrice: 1000000000,
+    chainId: 545,
+  }));
+  const meshHop = (hopCount, expiresAt = Date.now() + MESH_TTL_MS) => ({ hopCount, maxHops: MESH_MAX_HOPS, expiresAt });
+
+  test('a transaction is carried one hop further and not gossiped again once seen', async () => {
+    const payload = await signedTxPayload(1);
+    const txHash = ethers.utils.keccak256(payload.signedTx);
+    expect(phones.alice.service._carryMeshPayload(payload, meshHop(1))).toBe(true);
+
+    const offer = await nextPayload(phones.bob, PAYLOAD_TYPES.MESH_OFFER);
+    expect(offer.offers).toEqual([expect.objectContaining({ txHash, hopCount: 1 })]);
+    await phones.bob.service._handleMeshOffer('alice', offer);
+    await phones.alice.service._handleMeshRequest('bob', await nextPayload(phones.alice, PAYLOAD_TYPES.MESH_REQUEST));
+    const forward = await nextPayload(phones.bob, PAYLOAD_TYPES.MESH_FORWARD);
+    await phones.bob.service._handleMeshForward('alice', forward);
+
+    expect(phones.bob.service.meshStore.get(txHash)).toMatchObject({ mesh: { hopCount: 2 }, receivedFrom: 'alice' });
+    expect(mockOutbox.get(txHash)).toMatchObject({ status: 'queued', originatorDeviceId: null });
+
+    // Seen on both sides: no new offers, requests or forwards for the same hash
+    const aliceSent = phones.alice.sentChunks.length;
+    const bobSent = phones.bob.sentChunks.length;
+    await phones.alice.service._offerMeshPayloads();
+    await phones.bob.service._offerMeshPayloads();
+    await phones.bob.service._handleMeshOffer('alice', offer);
+    await phones.alice.service._handleMeshOffer('bob', createMeshOfferPayload([{ txHash, hopCount: 2, expiresAt: forward.mesh.expiresAt }]));
+    await phones.bob.service._handleMeshForward('alice', forward);
+
+    expect(phones.alice.sentChunks).toHaveLength(aliceSent);
+    expect(phones.bob.sentChunks).toHaveLength(bobSent);
+    expect(phones.bob.service._validateTransaction).toHaveBeenCalledTimes(1);
+    expect(phones.bob.service.meshStore.get(txHash).mesh.hopCount).toBe(2);
+  });
+
+  test('a transaction is dropped past MESH_MAX_HOPS', async () => {
+    const lastHop = await signedTxPayload(1);
+    const pastLastHop = await signedTxPayload(2);
+
+    // The last hop still reaches the outbox, but is not carried any further
+    await phones.bob.service._handleMeshForward('alice', createMeshForwardPayload(lastHop, meshHop(MESH_MAX_HOPS - 1)));
+    expect(mockOutbox.get(ethers.utils.keccak256(lastHop.signedTx))).toMatchObject({ status: 'queued' });
+    expect(phones.bob.service.hasMeshPayloads()).toBe(false);
+
+    await phones.bob.service._handleMeshForward('alice', createMeshForwardPayload(pastLastHop, meshHop(MESH_MAX_HOPS)));
+    expect(mockOutbox.has(ethers.utils.keccak256(pastLastHop.signedTx))).toBe(false);
+    expect(phones.bob.service._validateTransaction).toHaveBeenCalledTimes(1);
+    expect(phones.bob.service._hasSeenMeshPayload(ethers.utils.keccak256(pastLastHop.signedTx))).toBe(true);
+
+    expect(phones.alice.service._carryMeshPayload(pastLastHop, meshHop(MESH_MAX_HOPS))).toBe(false);
+    expect(phones.alice.service.hasMeshPayloads()).toBe(false);
+  });
+
+  test('a transaction is dropped once its TTL expires', async () => {
+    const expired = await signedTxPayload(1);
+    const expiredHash = ethers.utils.keccak256(expired.signedTx);
+    const sent = phones.bob.sentChunks.length;
+
+    await phones.bob.service._handleMeshOffer('alice', createMeshOfferPayload([{ txHash: expiredHash, hopCount: 1, expiresAt: Date.now() - 1 }]));
+    await phones.bob.service._handleMeshForward('alice', createMeshForwardPayload(expired, meshHop(1, Date.now() - 1)));
+
+    expect(phones.bob.sentChunks).toHaveLength(sent);
+    expect(phones.bob.service._validateTransaction).not.toHaveBeenCalled();
+    expect(mockOutbox.size).toBe(0);
+    expect(phones.bob.service.hasMeshPayloads()).toBe(false);
+
+    // A carried transaction is dropped when its TTL runs out in the store
+    const carried = await signedTxPayload(2);
+    const mesh = meshHop(1);
+    expect(phones.alice.service._carryMeshPayload(carried, mesh)).toBe(true);
+    await nextPayload(phones.bob, PAYLOAD_TYPES.MESH_OFFER);
+    expect(phones.alice.service.meshOfferTimer).not.toBeNull();
+
+    jest.spyOn(Date, 'now').mockReturnValue(mesh.expiresAt);
+    await phones.alice.service._offerMeshPayloads();
+
+    expect(phones.alice.service.hasMeshPayloads()).toBe(false);
+    expect(phones.alice.service.meshOfferTimer).toBeNull();
+    expect(phones.alice.service._hasSeenMeshPayload(ethers.utils.keccak256(carried.signedTx))).toBe(false);
+  });
+});
+
+describe('connection pool', () => {
+  let phones;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const { service } of Object.values(phones)) {
+      service._stopConnectionIdleTimer();
+    }
+  });
+
+  const payloadWrites = (phone) => phone.writes.filter(({ uuid }) => uuid === PAYLOAD_CHARACTERISTIC_UUID);
+
+  test('payloads to a peer share one connection', async () => {
+    phones = createPhones({ gatt: {} });
+    await handshake(phones, 'alice', 'bob');
+
+    await Promise.all([
+      phones.alice.service._sendPayloadToDevice('bob', notePayload('first')),
+      phones.alice.service._sendPayloadToDevice('bob', notePayload('second')),
+    ]);
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('third'));
+
+    expect(phones.bob.received.map(({ payload }) => payload.note)).toEqual(['first', 'second', 'third']);
+    expect(phones.alice.service.manager.connectToDevice).toHaveBeenCalledTimes(1);
+    expect(phones.alice.service.manager.connectToDevice).toHaveBeenCalledWith('bob', expect.objectContaining({ requestMTU: 517 }));
+    expect([...phones.alice.service.connections.keys()]).toEqual(['bob']);
+    expect(phones.alice.service.getConnectionMtu('bob')).toBe(185);
+
+    // Bob's chunk ACKs go back over his own single connection to alice
+    expect(phones.bob.service.manager.connectToDevice).toHaveBeenCalledTimes(1);
+    expect(phones.bob.writes.every(({ uuid }) => uuid === CONTROL_CHARACTERISTIC_UUID)).toBe(true);
+  });
+
+  test('chunks fall back to the 23-byte default MTU when the peer refuses a larger one', async () => {
+    phones = createPhones({ gatt: { mtu: null } });
+    await handshake(phones, 'alice', 'bob');
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+
+    expect(phones.alice.service.getConnectionMtu('bob')).toBe(23);
+    expect(phones.alice.service.getSessionByPeer('bob').mtu).toBe(23);
+    expect(payloadWrites(phones.alice).length).toBeGreaterThan(1);
+    expect(payloadWrites(phones.alice).every(({ bytes }) => bytes.length <= 20)).toBe(true);
+    expect(phones.bob.received.map(({ payload }) => payload)).toEqual([notePayload('hello')]);
+  });
+
+  test('an Android link the peer connected first keeps its MTU when the MTU request is refused', async () => {
+    jest.replaceProperty(Platform, 'OS', 'android');
+    phones = createPhones({ gatt: { mtu: 23, alreadyConnected: true, refuseMtuRequest: true } });
+    await handshake(phones, 'alice', 'bob');
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+
+    expect(phones.alice.service.manager.connectToDevice).not.toHaveBeenCalled();
+    expect(phones.alice.service.connections.get('bob').device.requestMTU).toHaveBeenCalledWith(517);
+    expect(phones.alice.service.getConnectionMtu('bob')).toBe(23);
+    expect(phones.bob.received.map(({ payload }) => payload)).toEqual([notePayload('hello')]);
+  });
+
+  test('a peer that disconnects is evicted and reconnected on the next write', async () => {
+    phones = createPhones({ gatt: {} });
+    await handshake(phones, 'alice', 'bob');
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('before'));
+    expect(phones.alice.service.connectionIdleTimer).not.toBeNull();
+
+    phones.alice.service.manager.dropLink('bob');
+
+    expect(phones.alice.service.connections.has('bob')).toBe(false);
+    expect(phones.alice.service.getConnectionMtu('bob')).toBeNull();
+    expect(phones.alice.service.connectionIdleTimer).toBeNull();
+
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('after'));
+    expect(phones.alice.service.manager.connectToDevice).toHaveBeenCalledTimes(2);
+    expect(phones.bob.received.map(({ payload }) => payload.note)).toEqual(['before', 'after']);
+  });
+
+  test('connections close after CONNECTION_IDLE_TIMEOUT_MS without writes', async () => {
+    phones = createPhones({ gatt: {} });
+    await handshake(phones, 'alice', 'bob');
+    await phones.alice.service._sendPayloadToDevice('bob', notePayload('hello'));
+    const { lastUsedAt } = phones.alice.service.connections.get('bob');
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(lastUsedAt + 60000);
+    phones.alice.service._closeIdleConnections();
+    expect(phones.alice.service.connections.has('bob')).toBe(true);
+
+    now.mockReturnValue(lastUsedAt + 60001);
+    phones.alice.service._closeIdleConnections();
+    expect(phones.alice.service.connections.has('bob')).toBe(false);
+    expect(phones.alice.service.manager.cancelDeviceConnection).toHaveBeenCalledWith('bob');
+    expect(phones.alice.service.connectionIdleTimer).toBeNull();
+  });
+});
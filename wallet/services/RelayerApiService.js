@@ -4,10 +4,11 @@
  */
 
 import { Alert } from 'react-native';
+import { RELAYER_BASE_URL } from '../config/env';
 
 // Default relayer API configuration
 const DEFAULT_CONFIG = {
-  baseUrl: process.env.EXPO_PUBLIC_RELAYER_URL || 'http://localhost:3001',
+  baseUrl: process.env.EXPO_PUBLIC_RELAYER_URL || RELAYER_BASE_URL,
   timeout: 30000, // 30 seconds
   maxRetries: 3,
   retryDelay: 1000, // 1 second
@@ -23,7 +24,8 @@ export class RelayerApiService {
    * Forward signed transaction to Node.js relayer for broadcast (FR-13)
    * @param {Object} payload - Transaction payload from BLE
    * @param {string} relayerAddress - Address of the relayer device
-   * @returns {Promise<Object>} - Broadcast result with tx hash or error
+   * @returns {Promise<Object>} - Broadcast result with tx hash or error. A transaction the relayer holds
+   *   in its nonce-gap queue comes back `held`, with no ack; poll its job (`jobId`) with getRelayJob.
    */
   async broadcastTransaction(payload, relayerAddress) {
     const endpoint = '/api/v1/broadcast';
@@ -44,7 +46,14 @@ export class RelayerApiService {
 
       const response = await this._makeRequest('POST', endpoint, requestBody);
 
-      if (response.success) {
+      if (response.success && response.held) {
+        this.logger.info('[relayer-api] transaction held until earlier nonces arrive', {
+          txHash: response.txHash,
+          jobId: response.jobId,
+        });
+
+        return this._formatRelayResult({ ...response, status: 'held' });
+      } else if (response.success) {
         this.logger.info('[relayer-api] transaction broadcasted successfully', {
           txHash: response.txHash,
           blockNumber: response.blockNumber,
@@ -58,6 +67,10 @@ export class RelayerApiService {
           effectiveGasPrice: response.effectiveGasPrice,
           status: response.status,
           confirmations: response.confirmations || 0,
+          held: false,
+          jobId: null,
+          duplicate: Boolean(response.duplicate),
+          ack: response.ack || null,
           timestamp: Date.now(),
         };
       } else {
@@ -70,18 +83,138 @@ export class RelayerApiService {
         success: false,
         error: error.message,
         code: error.code || 'BROADCAST_ERROR',
+        data: error.data || null,
+        unreachable: error.status === undefined,
         timestamp: Date.now(),
       };
     }
   }
 
+  /**
+   * Forward several BLE transaction payloads in one request (`POST /relay/batch`).
+   * The relayer broadcasts each sender's transactions in nonce order.
+   * @param {Object[]} payloads - Transaction payloads from BLE
+   * @param {string} relayerAddress - Address of the relayer device
+   * @returns {Promise<Object>} - `{ success, results }` with one broadcast result per payload, in order,
+   *   shaped like broadcastTransaction's; or `{ success: false, error, unreachable }` when the request failed
+   */
+  async broadcastBatch(payloads, relayerAddress) {
+    try {
+      this.logger.info('[relayer-api] broadcasting batch', { count: payloads.length });
+
+      const response = await this._makeRequest('POST', '/relay/batch', {
+        signedTxs: payloads.map((payload) => payload.signedTx),
+        relayerAddress,
+      });
+
+      this.logger.info('[relayer-api] batch relayed', response.summary);
+
+      return {
+        success: true,
+        summary: response.summary,
+        results: response.results.map((result) => this._formatRelayResult(result)),
+      };
+    } catch (error) {
+      this.logger.error('[relayer-api] batch broadcast failed:', error);
+
+      return {
+        success: false,
+        error: error.message,
+        code: error.code || 'BROADCAST_ERROR',
+        unreachable: error.status === undefined,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Status of a relay job (`GET /relay/:jobId`), shaped like broadcastTransaction's result.
+   * Held and pending jobs succeed without an ack; mined ones carry the receipt and ack.
+   * @param {string} jobId - Job returned for a held or pending transaction
+   * @returns {Promise<Object>} - The job's result; on failure `code` is RELAY_JOB_NOT_FOUND, or
+   *   RELAY_JOB_UNAVAILABLE when the relayer could not answer and the job is worth asking about again
+   */
+  async getRelayJob(jobId) {
+    try {
+      const job = await this._makeRequest('GET', `/relay/${jobId}`);
+      return this._formatRelayResult(job);
+    } catch (error) {
+      this.logger.warn('[relayer-api] relay job lookup failed:', error.message);
+      return {
+        success: false,
+        jobId,
+        error: error.message,
+        code: error.status === 404 ? 'RELAY_JOB_NOT_FOUND' : 'RELAY_JOB_UNAVAILABLE',
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Map a `/relay/batch` item or a relay job to the broadcastTransaction result shape.
+   * Held and pending transactions succeed without an ack; their job (`jobId`) carries it once mined.
+   * @private
+   */
+  _formatRelayResult(result) {
+    if (result.status === 'rejected' || result.status === 'failed' || result.status === 'replaced') {
+      return {
+        success: false,
+        txHash: result.txHash,
+        error: result.error || `Transaction ${result.status}`,
+        code: result.code || 'BROADCAST_ERROR',
+        timestamp: Date.now(),
+      };
+    }
+
+    return {
+      success: true,
+      txHash: result.txHash,
+      blockNumber: result.receipt?.blockNumber ?? null,
+      gasUsed: result.receipt?.gasUsed ?? null,
+      effectiveGasPrice: result.receipt?.effectiveGasPrice ?? null,
+      status: result.receipt?.status ?? null,
+      confirmations: result.receipt?.confirmations || 0,
+      held: result.status === 'held',
+      jobId: result.jobId ?? null,
+      duplicate: Boolean(result.duplicate),
+      ack: result.ack || null,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Run the relayer's pre-broadcast validation without broadcasting
+   * @param {string} signedTx - Raw signed transaction hex
+   * @returns {Promise<Object>} - `{ success, valid, code, error }`; `code` is e.g. NONCE_TOO_LOW, INSUFFICIENT_FUNDS, WRONG_CHAIN
+   */
+  async validateTransaction(signedTx) {
+    try {
+      const response = await this._makeRequest('POST', '/api/v1/validate', { signedTx });
+      return {
+        success: true,
+        valid: Boolean(response.valid),
+        code: response.code || null,
+        error: response.error || null,
+        data: response.data || null,
+      };
+    } catch (error) {
+      this.logger.warn('[relayer-api] validation request failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code || 'VALIDATION_UNAVAILABLE',
+      };
+    }
+  }
+
   /**
    * Get balance information for an address (T2.7 - FR-30)
    * @param {string} address - Wallet address to check
+   * @param {number} [chainId] - Network to read; the relayer's default network when omitted
    * @returns {Promise<Object>} - Balance information with signature
    */
-  async getBalance(address) {
-    const endpoint = `/api/v1/balance/${address}`;
+  async getBalance(address, chainId = null) {
+    const endpoint = chainId ? `/api/v1/balance/${address}?chainId=${chainId}` : `/api/v1/balance/${address}`;
     
     try {
       this.logger.info('[relayer-api] fetching balance', { address: address.slice(0, 10) });
@@ -95,8 +228,13 @@ export class RelayerApiService {
           nativeBalance: response.nativeBalance,
           protocolBalance: response.protocolBalance,
           nonce: response.nonce,
+          accountNonce: response.accountNonce,
+          fees: response.fees,
+          chainId: response.chainId,
           timestamp: response.timestamp,
+          validUntil: response.validUntil,
           signature: response.signature,
+          snapshot: response.snapshot || null,
           dataSource: 'relayer-api',
         };
       } else {
@@ -207,7 +345,11 @@ export class RelayerApiService {
           errorData = { error: errorText };
         }
 
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        const requestError = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        requestError.code = errorData.code;
+        requestError.data = errorData.data;
+        requestError.status = response.status;
+        throw requestError;
       }
 
       const data = await response.json();
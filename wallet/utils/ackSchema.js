@@ -0,0 +1,187 @@
+import { ethers } from "ethers"
+
+/**
+ * Relay acknowledgement schema, shared with `relayer/lib/ackSchema.js`.
+ * Keep the domain and types in sync on both sides; bump ACK_VERSION on any change.
+ *
+ * Version history:
+ *   1 - personal_sign over solidityKeccak256(txHash, blockNumber, from, to, value)
+ *   2 - EIP-712 typed data (RelayAck) bound to the chain and the relayer address, with a digest of
+ *       the account snapshots (see computeAccountsDigest)
+ *   3 - RelayAck also signs the transaction type, gas used and effective gas price
+ *   4 - RelayAck also signs the decoded protocol call (action, recipient, amount)
+ */
+export const ACK_VERSION = 4
+
+const ACK_DOMAIN_NAME = "OffGridPay Relayer"
+const ACK_DOMAIN_VERSION = "1"
+
+const ACK_FIELDS_V2 = [
+  { name: "txHash", type: "bytes32" },
+  { name: "blockNumber", type: "uint256" },
+  { name: "from", type: "address" },
+  { name: "to", type: "address" },
+  { name: "value", type: "uint256" },
+  { name: "relayer", type: "address" },
+  { name: "accountsDigest", type: "bytes32" },
+]
+
+const ACK_FIELDS_V3 = [
+  ...ACK_FIELDS_V2,
+  { name: "txType", type: "uint8" },
+  { name: "gasUsed", type: "uint256" },
+  { name: "effectiveGasPrice", type: "uint256" },
+]
+
+// Typed-data schemas of every EIP-712 ack version this wallet still verifies
+const ACK_TYPES_BY_VERSION = {
+  2: { RelayAck: ACK_FIELDS_V2 },
+  3: { RelayAck: ACK_FIELDS_V3 },
+  4: {
+    RelayAck: [
+      ...ACK_FIELDS_V3,
+      { name: "protocolAction", type: "string" },
+      { name: "protocolRecipient", type: "address" },
+      { name: "protocolAmount", type: "uint256" },
+    ],
+  },
+}
+
+const ACCOUNT_SNAPSHOT_TUPLE =
+  "tuple(address account, uint256 nativeBalanceWei, bool hasProtocolAccount, uint256 balanceWei, uint256 flowDepositWei, uint256 nonce)[]"
+
+export const ACK_TYPES = ACK_TYPES_BY_VERSION[ACK_VERSION]
+
+export const getAckDomain = (chainId) => ({
+  name: ACK_DOMAIN_NAME,
+  version: ACK_DOMAIN_VERSION,
+  chainId,
+})
+
+export const buildAckMessage = (ack) => {
+  const message = {
+    txHash: ack.txHash,
+    blockNumber: ack.blockNumber,
+    from: ack.from,
+    to: ack.to || ethers.constants.AddressZero,
+    value: ack.value,
+    relayer: ack.relayerAddress,
+    accountsDigest: computeAccountsDigest(ack.accounts),
+  }
+
+  if (ack.version >= 3) {
+    message.txType = ack.txType
+    message.gasUsed = ack.gasUsed
+    message.effectiveGasPrice = ack.effectiveGasPrice
+  }
+
+  // Transactions that don't call the protocol contract sign an empty action, no recipient and a zero amount
+  if (ack.version >= 4) {
+    const call = ack.protocolCall
+    message.protocolAction = call ? call.method : ""
+    message.protocolRecipient = (call && call.recipient) || ethers.constants.AddressZero
+    message.protocolAmount = call ? call.amountWei : 0
+  }
+
+  return message
+}
+
+/**
+ * Digest of the balances in an ack's account snapshots, sorted by address. Formatted copies of the
+ * balances are not covered, so getSignedAccountSnapshots drops them.
+ */
+export const computeAccountsDigest = (accounts = {}) => {
+  const entries = Object.values(accounts || {})
+    .map((snapshot) => ({
+      account: ethers.utils.getAddress(snapshot.address),
+      nativeBalanceWei: snapshot.nativeBalanceWei,
+      hasProtocolAccount: Boolean(snapshot.protocolAccount),
+      balanceWei: snapshot.protocolAccount ? snapshot.protocolAccount.balanceWei : 0,
+      flowDepositWei: snapshot.protocolAccount ? snapshot.protocolAccount.flowDepositWei : 0,
+      nonce: snapshot.protocolAccount ? snapshot.protocolAccount.nonce : 0,
+    }))
+    .sort((a, b) => (a.account.toLowerCase() < b.account.toLowerCase() ? -1 : 1))
+
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([ACCOUNT_SNAPSHOT_TUPLE], [entries]))
+}
+
+/**
+ * Balances of a verified ack that its signature covers, keyed by address: the wei values of
+ * versioned account snapshots, or the balance strings of legacy acks that signed them.
+ * @returns {object|null}
+ */
+export const getSignedAccountSnapshots = (ack) => {
+  if (ack.version === undefined || ack.version === null) {
+    return ack.newBalances || null
+  }
+
+  const snapshots = {}
+  for (const snapshot of Object.values(ack.accounts || {})) {
+    const address = ethers.utils.getAddress(snapshot.address)
+    snapshots[address] = {
+      address,
+      nativeBalanceWei: snapshot.nativeBalanceWei,
+      protocolAccount: snapshot.protocolAccount
+        ? {
+            balanceWei: snapshot.protocolAccount.balanceWei,
+            flowDepositWei: snapshot.protocolAccount.flowDepositWei,
+            nonce: snapshot.protocolAccount.nonce,
+          }
+        : null,
+    }
+  }
+  return snapshots
+}
+
+/**
+ * Recover the address that signed an acknowledgement, whatever schema version it uses.
+ * Unversioned acks are checked against the legacy digests so older QR codes keep verifying.
+ * @param {object} ack - Acknowledgement with `relayerSig`
+ * @returns {string} - Recovered signer address
+ */
+export const recoverAckSigner = (ack) => {
+  if (ack.version === undefined || ack.version === null) {
+    return ethers.utils.verifyMessage(ethers.utils.arrayify(computeLegacyAckHash(ack)), ack.relayerSig)
+  }
+
+  const types = ACK_TYPES_BY_VERSION[ack.version]
+  if (!types) {
+    throw new Error(`Unsupported acknowledgement version ${ack.version}`)
+  }
+
+  const signer = ethers.utils.verifyTypedData(
+    getAckDomain(ack.chainId),
+    types,
+    buildAckMessage(ack),
+    ack.relayerSig
+  )
+
+  if (signer.toLowerCase() !== String(ack.relayerAddress).toLowerCase()) {
+    throw new Error("Acknowledgement relayer field does not match its signer")
+  }
+
+  return signer
+}
+
+function computeLegacyAckHash(ack) {
+  // Early wallet builds expected post-transfer balances inside the signed digest
+  if (ack.newBalances) {
+    return ethers.utils.solidityKeccak256(
+      ["bytes32", "uint256", "address", "address", "uint256", "string", "string"],
+      [
+        ack.txHash,
+        ack.blockNumber,
+        ack.from,
+        ack.to,
+        ack.value,
+        ack.newBalances[ack.from],
+        ack.newBalances[ack.to],
+      ]
+    )
+  }
+
+  return ethers.utils.solidityKeccak256(
+    ["bytes32", "uint256", "address", "address", "uint256"],
+    [ack.txHash, ack.blockNumber, ack.from, ack.to || ethers.constants.AddressZero, ack.value]
+  )
+}
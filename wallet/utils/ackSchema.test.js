@@ -0,0 +1,163 @@
+import { ethers } from "ethers"
+import { computeAccountsDigest, getAckDomain, getSignedAccountSnapshots, recoverAckSigner } from "./ackSchema"
+
+const relayerAckSchema = require("../../relayer/lib/ackSchema")
+
+const relayer = new ethers.Wallet("0x" + "11".repeat(32))
+const sender = "0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b"
+const recipient = "0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC"
+
+const accountSnapshot = (address, nativeBalanceWei, balanceWei) => ({
+  address,
+  nativeBalanceWei,
+  nativeBalance: ethers.utils.formatEther(nativeBalanceWei),
+  protocolAccount: {
+    balanceWei,
+    balanceEther: ethers.utils.formatEther(balanceWei),
+    flowDepositWei: "0",
+    flowDepositEther: "0.0",
+    nonce: "4",
+    lastSyncTime: "0",
+    isActive: true,
+    publicKeyAddress: address,
+  },
+})
+
+const unsignedAck = (version) => ({
+  version,
+  txHash: "0x" + "ab".repeat(32),
+  blockNumber: 120,
+  chainId: 545,
+  from: sender,
+  to: recipient,
+  value: "1000000000000000",
+  txType: 2,
+  gasUsed: "21000",
+  effectiveGasPrice: "1000000000",
+  protocolCall: { method: "transfer", amountWei: "1000000000000000", recipient },
+  accounts: {
+    [sender]: accountSnapshot(sender, "5000000000000000000", "2000000000000000000"),
+    [recipient]: accountSnapshot(recipient, "1000000000000000000", "0"),
+  },
+  relayerAddress: relayer.address,
+})
+
+const signWithRelayer = async (version) => {
+  const ack = unsignedAck(version)
+  return { ...ack, relayerSig: await relayerAckSchema.signAck(relayer, ack) }
+}
+
+describe("recoverAckSigner", () => {
+  test("verifies acks signed by the relayer's schema", async () => {
+    const ack = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    expect(recoverAckSigner(ack)).toBe(relayer.address)
+  })
+
+  test("rejects acks whose signed balances were edited", async () => {
+    const ack = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    ack.accounts[sender].nativeBalanceWei = "9000000000000000000"
+    expect(() => recoverAckSigner(ack)).toThrow("does not match its signer")
+
+    const protocolEdited = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    protocolEdited.accounts[recipient].protocolAccount.balanceWei = "1"
+    expect(() => recoverAckSigner(protocolEdited)).toThrow("does not match its signer")
+  })
+
+  test("rejects acks whose signed protocol call was edited", async () => {
+    const ack = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    ack.protocolCall.recipient = sender
+    expect(() => recoverAckSigner(ack)).toThrow("does not match its signer")
+
+    const amountEdited = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    amountEdited.protocolCall.amountWei = "1"
+    expect(() => recoverAckSigner(amountEdited)).toThrow("does not match its signer")
+
+    const noCall = { ...unsignedAck(relayerAckSchema.ACK_VERSION), protocolCall: null }
+    const signed = { ...noCall, relayerSig: await relayerAckSchema.signAck(relayer, noCall) }
+    expect(recoverAckSigner(signed)).toBe(relayer.address)
+    expect(() => recoverAckSigner({ ...signed, protocolCall: { method: "withdrawFlow", amountWei: "0", recipient: null } })).toThrow(
+      "does not match its signer"
+    )
+  })
+
+  test("still verifies version 2 and 3 acks", async () => {
+    const v2Fields = [
+      { name: "txHash", type: "bytes32" },
+      { name: "blockNumber", type: "uint256" },
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "relayer", type: "address" },
+      { name: "accountsDigest", type: "bytes32" },
+    ]
+    const v2Message = (ack) => ({
+      txHash: ack.txHash,
+      blockNumber: ack.blockNumber,
+      from: ack.from,
+      to: ack.to,
+      value: ack.value,
+      relayer: ack.relayerAddress,
+      accountsDigest: computeAccountsDigest(ack.accounts),
+    })
+
+    const v2 = unsignedAck(2)
+    const v2Sig = await relayer._signTypedData(getAckDomain(v2.chainId), { RelayAck: v2Fields }, v2Message(v2))
+    expect(recoverAckSigner({ ...v2, relayerSig: v2Sig })).toBe(relayer.address)
+
+    const v3 = unsignedAck(3)
+    const v3Sig = await relayer._signTypedData(
+      getAckDomain(v3.chainId),
+      {
+        RelayAck: [
+          ...v2Fields,
+          { name: "txType", type: "uint8" },
+          { name: "gasUsed", type: "uint256" },
+          { name: "effectiveGasPrice", type: "uint256" },
+        ],
+      },
+      { ...v2Message(v3), txType: v3.txType, gasUsed: v3.gasUsed, effectiveGasPrice: v3.effectiveGasPrice }
+    )
+    expect(recoverAckSigner({ ...v3, relayerSig: v3Sig })).toBe(relayer.address)
+    expect(() => recoverAckSigner({ ...v3, version: 4, relayerSig: v3Sig })).toThrow("does not match its signer")
+  })
+
+  test("still verifies unversioned acks", async () => {
+    const ack = { ...unsignedAck(undefined), newBalances: { [sender]: "4.2", [recipient]: "1.0" } }
+    delete ack.version
+    const digest = ethers.utils.solidityKeccak256(
+      ["bytes32", "uint256", "address", "address", "uint256", "string", "string"],
+      [ack.txHash, ack.blockNumber, ack.from, ack.to, ack.value, "4.2", "1.0"]
+    )
+    const relayerSig = await relayer.signMessage(ethers.utils.arrayify(digest))
+
+    expect(recoverAckSigner({ ...ack, relayerSig })).toBe(relayer.address)
+    expect(recoverAckSigner({ ...ack, newBalances: { [sender]: "42", [recipient]: "1.0" }, relayerSig })).not.toBe(relayer.address)
+  })
+
+  test("rejects unknown versions", async () => {
+    const ack = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    expect(() => recoverAckSigner({ ...ack, version: 99 })).toThrow("Unsupported acknowledgement version 99")
+  })
+})
+
+describe("getSignedAccountSnapshots", () => {
+  test("keeps only the signed wei balances of current acks", async () => {
+    const ack = await signWithRelayer(relayerAckSchema.ACK_VERSION)
+    ack.accounts[sender].nativeBalance = "1000000.0"
+    ack.accounts[sender].protocolAccount.balanceEther = "1000000.0"
+
+    expect(getSignedAccountSnapshots(ack)[sender]).toEqual({
+      address: sender,
+      nativeBalanceWei: "5000000000000000000",
+      protocolAccount: { balanceWei: "2000000000000000000", flowDepositWei: "0", nonce: "4" },
+    })
+  })
+
+  test("keeps the signed balance strings of unversioned acks", () => {
+    const ack = { ...unsignedAck(undefined), newBalances: { [sender]: "4.2", [recipient]: "1.0" } }
+    delete ack.version
+
+    expect(getSignedAccountSnapshots(ack)).toEqual({ [sender]: "4.2", [recipient]: "1.0" })
+    expect(getSignedAccountSnapshots({ ...ack, newBalances: undefined })).toBeNull()
+  })
+})
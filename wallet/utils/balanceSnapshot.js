@@ -0,0 +1,161 @@
+import { ethers } from "ethers"
+import { CHAIN_ID } from "../config/env"
+import { fetchLatestBalanceSnapshot } from "./db"
+import { getTrustedRelayers, isTrustedRelayer } from "./trustedRelayers"
+
+/**
+ * Balance snapshot schema and verifier, shared with `relayer/lib/snapshotSchema.js`.
+ * Keep the domain and types in sync on both sides; bump SNAPSHOT_VERSION on any change.
+ * Every consumer of a relayer snapshot (HTTP, BLE, local cache) goes through verifyBalanceSnapshot.
+ * Only the current version verifies: after an upgrade that bumps it, snapshots cached by the older
+ * build are ignored (no cached balance, nonce or fee quote) until the wallet fetches one online.
+ */
+export const SNAPSHOT_VERSION = 4
+
+const SNAPSHOT_DOMAIN_NAME = "OffGridPay Balance Snapshot"
+const SNAPSHOT_DOMAIN_VERSION = "1"
+
+// Tolerated clock drift between the relayer and this device
+const CLOCK_SKEW_SECONDS = 60
+
+export const SNAPSHOT_TYPES = {
+  BalanceSnapshot: [
+    { name: "wallet", type: "address" },
+    { name: "nativeBalance", type: "uint256" },
+    { name: "accountNonce", type: "uint256" },
+    { name: "protocolBalance", type: "uint256" },
+    { name: "protocolDeposit", type: "uint256" },
+    { name: "protocolNonce", type: "uint256" },
+    { name: "isActive", type: "bool" },
+    { name: "lastSyncTime", type: "uint256" },
+    { name: "baseFeePerGas", type: "uint256" },
+    { name: "maxFeePerGas", type: "uint256" },
+    { name: "maxPriorityFeePerGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "feeQuotedAt", type: "uint256" },
+    { name: "chainId", type: "uint256" },
+    { name: "contractAddress", type: "address" },
+    { name: "timestamp", type: "uint256" },
+    { name: "validUntil", type: "uint256" },
+    { name: "signer", type: "address" },
+  ],
+}
+
+export const getSnapshotDomain = (chainId) => ({
+  name: SNAPSHOT_DOMAIN_NAME,
+  version: SNAPSHOT_DOMAIN_VERSION,
+  chainId,
+})
+
+export const buildSnapshotMessage = (snapshot) => {
+  const protocol = snapshot.protocolAccount
+  const fees = snapshot.fees
+
+  return {
+    wallet: snapshot.walletAddress,
+    nativeBalance: snapshot.nativeBalance.wei,
+    accountNonce: snapshot.accountNonce,
+    protocolBalance: protocol ? protocol.balanceWei : "0",
+    protocolDeposit: protocol ? protocol.flowDepositWei : "0",
+    protocolNonce: protocol ? protocol.nonce : "0",
+    isActive: protocol ? Boolean(protocol.isActive) : false,
+    lastSyncTime: protocol ? protocol.lastSyncTime || "0" : "0",
+    baseFeePerGas: fees.baseFeePerGas || "0",
+    maxFeePerGas: fees.maxFeePerGas || "0",
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas || "0",
+    gasPrice: fees.gasPrice,
+    feeQuotedAt: fees.quotedAt,
+    chainId: snapshot.chainId,
+    contractAddress: snapshot.contractAddress,
+    timestamp: snapshot.timestamp,
+    validUntil: snapshot.validUntil,
+    signer: snapshot.signer,
+  }
+}
+
+/**
+ * Verify a relayer-signed balance snapshot.
+ * `valid` covers the signature, schema version, chain and wallet; `fresh` covers the validity window;
+ * `trusted` whether the signer is in the trusted relayer registry.
+ * A snapshot can be valid but stale, e.g. a cached one shown while offline.
+ * @param {object} snapshot - Snapshot as served by the relayer (`/balance`, `/api/v1/balance/:address`)
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in ms
+ * @param {number} [options.chainId] - Expected chain, defaults to the configured CHAIN_ID
+ * @param {string} [options.walletAddress] - Expected wallet the snapshot describes
+ * @param {object[]} [options.trustedRelayers] - Active registry entries (see trustedRelayers.js)
+ * @returns {{ valid: boolean, fresh: boolean, trusted: boolean, signer: string|null, error: string|null }}
+ */
+export const verifyBalanceSnapshot = (snapshot, options = {}) => {
+  const { now = Date.now(), chainId = CHAIN_ID, walletAddress = null, trustedRelayers = [] } = options
+
+  const result = (valid, fresh, signer, error) => ({
+    valid,
+    fresh,
+    trusted: valid && isTrustedRelayer(signer, chainId, trustedRelayers),
+    signer,
+    error,
+  })
+
+  if (!snapshot || !snapshot.signature) {
+    return result(false, false, null, "Snapshot is not signed")
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    return result(false, false, null, `Unsupported snapshot version ${snapshot.version}`)
+  }
+
+  if (Number(snapshot.chainId) !== Number(chainId)) {
+    return result(false, false, null, `Snapshot is for chain ${snapshot.chainId}, expected ${chainId}`)
+  }
+
+  if (walletAddress && snapshot.walletAddress?.toLowerCase() !== walletAddress.toLowerCase()) {
+    return result(false, false, null, "Snapshot describes a different wallet")
+  }
+
+  let signer
+  try {
+    signer = ethers.utils.verifyTypedData(
+      getSnapshotDomain(snapshot.chainId),
+      SNAPSHOT_TYPES,
+      buildSnapshotMessage(snapshot),
+      snapshot.signature
+    )
+  } catch (error) {
+    return result(false, false, null, `Snapshot signature could not be verified: ${error.message}`)
+  }
+
+  if (signer.toLowerCase() !== String(snapshot.signer).toLowerCase()) {
+    return result(false, false, signer, "Snapshot signer field does not match its signature")
+  }
+
+  const nowSeconds = Math.floor(now / 1000)
+  let freshnessError = null
+  if (snapshot.timestamp > nowSeconds + CLOCK_SKEW_SECONDS) {
+    freshnessError = "Snapshot timestamp is in the future"
+  } else if (nowSeconds > snapshot.validUntil) {
+    freshnessError = "Snapshot has expired"
+  }
+
+  const trustError = isTrustedRelayer(signer, chainId, trustedRelayers)
+    ? null
+    : `Snapshot signer ${signer} is not a trusted relayer`
+
+  return result(true, !freshnessError, signer, trustError || freshnessError)
+}
+
+/**
+ * Latest cached snapshot for a wallet, if it verifies and comes from a trusted relayer.
+ * Expired snapshots are returned with `fresh: false`; callers decide whether old data is still useful.
+ * @returns {Promise<{ snapshot: object, fresh: boolean }|null>}
+ */
+export const loadCachedSnapshot = async ({ address, chainId }) => {
+  const [cached, trustedRelayers] = await Promise.all([fetchLatestBalanceSnapshot(address), getTrustedRelayers()])
+  const verification = verifyBalanceSnapshot(cached?.snapshot, { chainId, walletAddress: address, trustedRelayers })
+
+  if (!verification.valid || !verification.trusted) {
+    return null
+  }
+
+  return { snapshot: cached.snapshot, fresh: verification.fresh }
+}
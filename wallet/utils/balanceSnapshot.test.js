@@ -0,0 +1,112 @@
+import { ethers } from "ethers"
+import { fetchLatestBalanceSnapshot, fetchTrustedRelayers } from "./db"
+import { SNAPSHOT_VERSION, loadCachedSnapshot, verifyBalanceSnapshot } from "./balanceSnapshot"
+
+const relayerSnapshotSchema = require("../../relayer/lib/snapshotSchema")
+const { buildFeeQuote } = require("../../relayer/lib/feeQuote")
+
+jest.mock("./db", () => ({
+  fetchLatestBalanceSnapshot: jest.fn(),
+  fetchTrustedRelayers: jest.fn(),
+}))
+
+const chainId = 545
+const relayer = new ethers.Wallet("0x" + "11".repeat(32))
+const impostor = new ethers.Wallet("0x" + "33".repeat(32))
+const walletAddress = "0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b"
+const trustedRelayers = [{ chainId, address: relayer.address.toLowerCase() }]
+const now = 1700000000 * 1000
+
+// Shaped like the relayer's buildBalanceSnapshot output
+const unsignedSnapshot = (signer, overrides = {}) => {
+  const timestamp = Math.floor(now / 1000)
+  return {
+    version: relayerSnapshotSchema.SNAPSHOT_VERSION,
+    walletAddress,
+    nativeBalance: { wei: "5000000000000000000", ether: "5.0" },
+    accountNonce: 3,
+    protocolAccount: null,
+    fees: buildFeeQuote({ baseFeePerGas: "1000000000", gasPrice: "2000000000", quotedAt: timestamp }),
+    chainId,
+    contractAddress: "0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC",
+    timestamp,
+    validUntil: timestamp + 300,
+    signer: signer.address,
+    ...overrides,
+  }
+}
+
+const signWith = async (wallet, snapshot = unsignedSnapshot(wallet)) => {
+  const { digest, signature } = await relayerSnapshotSchema.signSnapshot(wallet, snapshot)
+  return { ...snapshot, digest, signature }
+}
+
+const verify = (snapshot, options = {}) => verifyBalanceSnapshot(snapshot, { now, chainId, walletAddress, trustedRelayers, ...options })
+
+describe("verifyBalanceSnapshot", () => {
+  test("verifies snapshots signed by the relayer's schema", async () => {
+    expect(SNAPSHOT_VERSION).toBe(relayerSnapshotSchema.SNAPSHOT_VERSION)
+    expect(verify(await signWith(relayer))).toEqual({
+      valid: true,
+      fresh: true,
+      trusted: true,
+      signer: relayer.address,
+      error: null,
+    })
+  })
+
+  test("rejects snapshots whose signature does not come from the signer they name", async () => {
+    const forged = await signWith(impostor, unsignedSnapshot(relayer))
+    expect(verify(forged)).toMatchObject({ valid: false, trusted: false, error: "Snapshot signer field does not match its signature" })
+
+    const edited = { ...(await signWith(relayer)), accountNonce: 9 }
+    expect(verify(edited)).toMatchObject({ valid: false, trusted: false })
+  })
+
+  test("reports snapshots from a relayer outside the registry as untrusted", async () => {
+    const result = verify(await signWith(impostor))
+
+    expect(result).toMatchObject({ valid: true, trusted: false, signer: impostor.address })
+    expect(result.error).toBe(`Snapshot signer ${impostor.address} is not a trusted relayer`)
+    expect(verify(await signWith(relayer), { chainId: 747 })).toMatchObject({ valid: false, trusted: false })
+  })
+
+  test("flags snapshots past validUntil as stale", async () => {
+    const snapshot = await signWith(relayer)
+
+    expect(verify(snapshot, { now: snapshot.validUntil * 1000 })).toMatchObject({ valid: true, fresh: true })
+    expect(verify(snapshot, { now: (snapshot.validUntil + 1) * 1000 })).toMatchObject({
+      valid: true,
+      fresh: false,
+      trusted: true,
+      error: "Snapshot has expired",
+    })
+  })
+
+  test("rejects snapshots signed under another schema version", async () => {
+    const older = await signWith(relayer, unsignedSnapshot(relayer, { version: SNAPSHOT_VERSION - 1 }))
+
+    expect(verify(older)).toMatchObject({ valid: false, fresh: false, trusted: false, error: `Unsupported snapshot version ${SNAPSHOT_VERSION - 1}` })
+  })
+})
+
+describe("loadCachedSnapshot", () => {
+  beforeEach(() => {
+    fetchTrustedRelayers.mockResolvedValue([{ chainId, address: relayer.address.toLowerCase(), revoked: 0 }])
+  })
+
+  test("returns a cached snapshot from a trusted relayer, expired or not", async () => {
+    const snapshot = await signWith(relayer, unsignedSnapshot(relayer, { validUntil: Math.floor(now / 1000) - 1 }))
+    fetchLatestBalanceSnapshot.mockResolvedValue({ snapshot })
+
+    expect(await loadCachedSnapshot({ address: walletAddress, chainId })).toEqual({ snapshot, fresh: false })
+  })
+
+  test("ignores a snapshot cached before a SNAPSHOT_VERSION bump", async () => {
+    fetchLatestBalanceSnapshot.mockResolvedValue({
+      snapshot: await signWith(relayer, unsignedSnapshot(relayer, { version: SNAPSHOT_VERSION - 1 })),
+    })
+
+    expect(await loadCachedSnapshot({ address: walletAddress, chainId })).toBeNull()
+  })
+})
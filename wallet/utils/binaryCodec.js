@@ -0,0 +1,239 @@
+import { ethers } from 'ethers';
+
+/**
+ * Compact tag-length-value encoding of JSON values, used for BLE payloads (see payloadSerializer.js).
+ *
+ * Decoding gives back exactly what a JSON round trip would: strings that look like lowercase hex,
+ * checksummed addresses or decimal integers travel as bytes but decode to the same string, so
+ * relayer-signed acks and snapshots still verify. Object keys found in the key dictionary travel
+ * as a one-byte index.
+ */
+
+const TAGS = {
+  NULL: 0x00,
+  FALSE: 0x01,
+  TRUE: 0x02,
+  UINT: 0x03, // varint
+  NEGATIVE_INT: 0x04, // varint of the absolute value
+  FLOAT: 0x05, // float64
+  STRING: 0x06, // varint length + utf8
+  HEX: 0x07, // varint length + bytes, decodes to a lowercase 0x string
+  ADDRESS: 0x08, // 20 bytes, decodes to the checksummed address
+  DECIMAL: 0x09, // varint length + big-endian integer, decodes to a decimal string
+  ARRAY: 0x0a, // varint count + values
+  OBJECT: 0x0b, // varint count + (key, value) pairs; key: varint dictionary index + 1, or 0 + string
+};
+
+// Payloads nest a few levels deep; a peer sending more is hostile and would exhaust the stack
+const MAX_NESTING_DEPTH = 32;
+
+const HEX_PATTERN = /^0x([0-9a-f]{2})*$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const DECIMAL_PATTERN = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * Encode a JSON value
+ * @param {*} value - Anything JSON.stringify accepts
+ * @param {string[]} [keys] - Key dictionary; the decoder needs the same one
+ * @returns {Buffer}
+ */
+export function encodeValue(value, keys = []) {
+  const keyIndexes = new Map(keys.map((key, index) => [key, index]));
+  const parts = [];
+  writeValue(parts, toJsonValue(value), keyIndexes);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a value written by encodeValue. The bytes come from BLE peers, so anything malformed
+ * throws instead of producing a partial value.
+ * @param {Buffer} buffer
+ * @param {string[]} [keys] - The key dictionary used to encode
+ */
+export function decodeValue(buffer, keys = []) {
+  const reader = { buffer, offset: 0, keys };
+  const value = readValue(reader, 0);
+  if (reader.offset !== buffer.length) {
+    throw new Error(`Trailing bytes after value: ${buffer.length - reader.offset}`);
+  }
+  return value;
+}
+
+// Apply toJSON and drop what JSON.stringify drops, so encoding sees the same value JSON would
+function toJsonValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function writeValue(parts, value, keyIndexes) {
+  if (value === null || value === undefined) {
+    parts.push(Buffer.from([TAGS.NULL]));
+  } else if (value === false || value === true) {
+    parts.push(Buffer.from([value ? TAGS.TRUE : TAGS.FALSE]));
+  } else if (typeof value === 'number') {
+    writeNumber(parts, value);
+  } else if (typeof value === 'string') {
+    writeString(parts, value);
+  } else if (Array.isArray(value)) {
+    parts.push(Buffer.from([TAGS.ARRAY]), encodeVarint(value.length));
+    value.forEach((item) => writeValue(parts, item, keyIndexes));
+  } else {
+    const entries = Object.entries(value);
+    parts.push(Buffer.from([TAGS.OBJECT]), encodeVarint(entries.length));
+    for (const [key, item] of entries) {
+      if (keyIndexes.has(key)) {
+        parts.push(encodeVarint(keyIndexes.get(key) + 1));
+      } else {
+        const keyBytes = Buffer.from(key, 'utf8');
+        parts.push(encodeVarint(0), encodeVarint(keyBytes.length), keyBytes);
+      }
+      writeValue(parts, item, keyIndexes);
+    }
+  }
+}
+
+function writeNumber(parts, value) {
+  if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+    parts.push(Buffer.from([value < 0 ? TAGS.NEGATIVE_INT : TAGS.UINT]), encodeVarint(Math.abs(value)));
+    return;
+  }
+
+  const bytes = Buffer.alloc(8);
+  bytes.writeDoubleBE(value, 0);
+  parts.push(Buffer.from([TAGS.FLOAT]), bytes);
+}
+
+function writeString(parts, value) {
+  if (ADDRESS_PATTERN.test(value) && ethers.utils.getAddress(value) === value) {
+    parts.push(Buffer.from([TAGS.ADDRESS]), Buffer.from(value.slice(2), 'hex'));
+    return;
+  }
+
+  if (HEX_PATTERN.test(value)) {
+    const bytes = Buffer.from(value.slice(2), 'hex');
+    parts.push(Buffer.from([TAGS.HEX]), encodeVarint(bytes.length), bytes);
+    return;
+  }
+
+  if (DECIMAL_PATTERN.test(value) && value.length > 2) {
+    const hex = ethers.BigNumber.from(value).toHexString().slice(2);
+    const bytes = Buffer.from(hex, 'hex');
+    parts.push(Buffer.from([TAGS.DECIMAL]), encodeVarint(bytes.length), bytes);
+    return;
+  }
+
+  const bytes = Buffer.from(value, 'utf8');
+  parts.push(Buffer.from([TAGS.STRING]), encodeVarint(bytes.length), bytes);
+}
+
+function readValue(reader, depth) {
+  const tag = readBytes(reader, 1)[0];
+
+  switch (tag) {
+    case TAGS.NULL:
+      return null;
+    case TAGS.FALSE:
+      return false;
+    case TAGS.TRUE:
+      return true;
+    case TAGS.UINT:
+      return readVarint(reader);
+    case TAGS.NEGATIVE_INT:
+      return -readVarint(reader);
+    case TAGS.FLOAT:
+      return readBytes(reader, 8).readDoubleBE(0);
+    case TAGS.STRING:
+      return readBytes(reader, readVarint(reader)).toString('utf8');
+    case TAGS.HEX:
+      return `0x${readBytes(reader, readVarint(reader)).toString('hex')}`;
+    case TAGS.ADDRESS:
+      return ethers.utils.getAddress(`0x${readBytes(reader, 20).toString('hex')}`);
+    case TAGS.DECIMAL: {
+      const bytes = readBytes(reader, readVarint(reader));
+      return ethers.BigNumber.from(bytes.length ? `0x${bytes.toString('hex')}` : 0).toString();
+    }
+    case TAGS.ARRAY: {
+      checkNestingDepth(depth);
+      const count = readVarint(reader);
+      const items = [];
+      for (let index = 0; index < count; index++) {
+        items.push(readValue(reader, depth + 1));
+      }
+      return items;
+    }
+    case TAGS.OBJECT: {
+      checkNestingDepth(depth);
+      const count = readVarint(reader);
+      const object = {};
+      for (let index = 0; index < count; index++) {
+        const key = readKey(reader);
+        // A plain assignment to "__proto__" would replace the object's prototype instead of adding a key
+        Object.defineProperty(object, key, {
+          value: readValue(reader, depth + 1),
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        });
+      }
+      return object;
+    }
+    default:
+      throw new Error(`Unknown value tag: 0x${tag.toString(16)}`);
+  }
+}
+
+function checkNestingDepth(depth) {
+  if (depth >= MAX_NESTING_DEPTH) {
+    throw new Error(`Value nested deeper than ${MAX_NESTING_DEPTH} levels`);
+  }
+}
+
+function readKey(reader) {
+  const index = readVarint(reader);
+  if (index === 0) {
+    return readBytes(reader, readVarint(reader)).toString('utf8');
+  }
+  if (index > reader.keys.length) {
+    throw new Error(`Unknown key index: ${index - 1}`);
+  }
+  return reader.keys[index - 1];
+}
+
+function readBytes(reader, length) {
+  if (reader.offset + length > reader.buffer.length) {
+    throw new Error('Value truncated');
+  }
+  const bytes = reader.buffer.slice(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return bytes;
+}
+
+// Unsigned LEB128; arithmetic rather than bit operations, which would truncate to 32 bits
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) {
+      byte += 128;
+    }
+    bytes.push(byte);
+  } while (remaining > 0);
+  return Buffer.from(bytes);
+}
+
+function readVarint(reader) {
+  let value = 0;
+  let multiplier = 1;
+  for (;;) {
+    const byte = readBytes(reader, 1)[0];
+    value += (byte % 128) * multiplier;
+    if (byte < 128) {
+      return value;
+    }
+    multiplier *= 128;
+    if (multiplier > Number.MAX_SAFE_INTEGER) {
+      throw new Error('Varint too long');
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import { decodeValue, encodeValue } from './binaryCodec';
+
+const KEYS = ['type', 'from', 'value'];
+
+// Hand-built encodings, tags as in binaryCodec.js
+const OBJECT = 0x0b;
+const ARRAY = 0x0a;
+const STRING = 0x06;
+const UINT = 0x03;
+const stringKey = (key) => [0x00, key.length, ...Buffer.from(key, 'utf8')];
+
+describe('binary codec round trip', () => {
+  test('decodes to what a JSON round trip gives', () => {
+    const value = {
+      type: 1,
+      from: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC',
+      lowercaseAddress: '0x0a098eda01ce92ff4a4ccb7a4fffb5a43ebc70dc',
+      txHash: '0x' + 'ab'.repeat(32),
+      value: '1000000000000000000',
+      smallDecimal: '42',
+      leadingZero: '0042',
+      negative: -7,
+      float: 1.5,
+      flags: [true, false, null],
+      nested: { missing: undefined, when: new Date(0) },
+      text: 'héllo',
+    };
+
+    const decoded = decodeValue(encodeValue(value, KEYS), KEYS);
+    expect(decoded).toEqual(JSON.parse(JSON.stringify(value)));
+  });
+
+  test('dictionary keys travel as an index', () => {
+    expect(encodeValue({ type: 1 }, KEYS)).toEqual(Buffer.from([OBJECT, 1, 1, UINT, 1]));
+  });
+});
+
+describe('binary codec on hostile input', () => {
+  test('a __proto__ key becomes an own property and leaves prototypes alone', () => {
+    const payload = Buffer.from([OBJECT, 1, ...stringKey('__proto__'), OBJECT, 1, ...stringKey('polluted'), UINT, 1]);
+
+    const decoded = decodeValue(payload);
+
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(Object.keys(decoded)).toEqual(['__proto__']);
+    expect(decoded.polluted).toBeUndefined();
+    expect({}.polluted).toBeUndefined();
+    expect(decoded).toEqual(JSON.parse('{"__proto__":{"polluted":1}}'));
+  });
+
+  test('rejects truncated values and counts larger than the buffer', () => {
+    expect(() => decodeValue(Buffer.from([]))).toThrow('Value truncated');
+    expect(() => decodeValue(Buffer.from([STRING, 10, 0x61]))).toThrow('Value truncated');
+    expect(() => decodeValue(Buffer.from([ARRAY, 0xff, 0xff, 0xff, 0x7f, UINT, 1]))).toThrow('Value truncated');
+    expect(() => decodeValue(Buffer.from([0x08, 1, 2, 3]))).toThrow('Value truncated');
+  });
+
+  test('rejects unknown tags, unknown key indexes and trailing bytes', () => {
+    expect(() => decodeValue(Buffer.from([0x7f]))).toThrow('Unknown value tag: 0x7f');
+    expect(() => decodeValue(Buffer.from([OBJECT, 1, 9, UINT, 1]), KEYS)).toThrow('Unknown key index: 8');
+    expect(() => decodeValue(Buffer.from([UINT, 1, 0]))).toThrow('Trailing bytes after value: 1');
+  });
+
+  test('rejects overlong varints', () => {
+    expect(() => decodeValue(Buffer.from([UINT, ...new Array(9).fill(0xff), 0x01]))).toThrow('Varint too long');
+  });
+
+  test('rejects deeply nested values instead of exhausting the stack', () => {
+    const depth = 10000;
+    const nested = Buffer.concat([Buffer.from(new Array(depth).fill([ARRAY, 1]).flat()), Buffer.from([UINT, 0])]);
+
+    expect(() => decodeValue(nested)).toThrow('Value nested deeper than 32 levels');
+    expect(decodeValue(encodeValue([[[[1]]]]))).toEqual([[[[1]]]]);
+  });
+});
@@ -6,6 +6,11 @@
 import { ethers } from 'ethers';
 import CryptoJS from 'crypto-js';
 import * as Crypto from 'expo-crypto';
+import { CHUNK_FRAMING_VERSION, SUPPORTED_PAYLOAD_COMPRESSION, SUPPORTED_PAYLOAD_FORMATS } from './payloadSerializer';
+
+const PAYLOAD_COUNTER_SIZE = 4;
+const PAYLOAD_MAC_SIZE = 16;
+export const MAX_PAYLOAD_COUNTER = 0xFFFFFFFF;
 
 /**
  * Generate ECDH key pair using wallet's private key as seed
@@ -39,82 +44,86 @@ export function deriveSharedSecret(myPrivateKey, peerPublicKey) {
 }
 
 /**
- * Derive session keys from shared secret using HKDF
+ * Derive session keys from the shared secret and both handshake challenges using HKDF. The
+ * challenges are fresh per handshake, so every session gets new keys; each direction gets its own
+ * keys, so the two peers never encrypt under the same key and nonce.
+ * @returns {{ initiator: Object, responder: Object }} Keys protecting what each side sends
  */
-export function deriveSessionKeys(sharedSecret, sessionId, peerInfo = {}) {
-  const info = JSON.stringify({
-    sessionId,
-    timestamp: Date.now(),
-    ...peerInfo,
-  });
-  
+export function deriveSessionKeys(sharedSecret, { initiatorChallenge, responderChallenge }) {
   // Simple HKDF implementation using HMAC-SHA256
   const prk = CryptoJS.HmacSHA256(sharedSecret, 'OfflinePayBLE');
-  const okm = CryptoJS.HmacSHA256(info, prk);
+  const expand = (label) => CryptoJS.HmacSHA256(`${label}|${initiatorChallenge}|${responderChallenge}`, prk).toString();
   
-  // Derive multiple keys from the output key material
-  const encKey = okm.toString().slice(0, 32); // 128-bit AES key
-  const macKey = okm.toString().slice(32, 64); // MAC key
-  const nonce = okm.toString().slice(64, 80); // 64-bit nonce
+  const directionKeys = (direction) => ({
+    encryptionKey: expand(`${direction}:enc`), // 256-bit AES key
+    macKey: expand(`${direction}:mac`),
+    baseNonce: expand(`${direction}:nonce`).slice(0, 32),
+  });
   
   return {
-    encryptionKey: encKey,
-    macKey: macKey,
-    baseNonce: nonce,
+    initiator: directionKeys('initiator'),
+    responder: directionKeys('responder'),
   };
 }
 
 /**
- * Encrypt payload using session key
+ * Encrypt payload bytes with one direction's session keys: AES-CTR under a nonce derived from the
+ * message counter, then an HMAC-SHA256 over counter and ciphertext
+ * @param {Buffer} data - Serialized payload
+ * @param {Object} keys - One direction of deriveSessionKeys()
+ * @param {number} counter - Per-message counter, increasing for every payload sent with these keys
+ * @returns {Buffer} counter(4) + ciphertext + mac(16)
  */
-export function encryptPayload(data, sessionKeys, sequence = 0) {
+export function encryptPayload(data, keys, counter) {
   try {
-    // Create unique nonce for this message
-    const nonce = CryptoJS.SHA256(sessionKeys.baseNonce + sequence.toString()).toString().slice(0, 16);
+    if (!Number.isInteger(counter) || counter < 1 || counter > MAX_PAYLOAD_COUNTER) {
+      throw new Error(`invalid message counter ${counter}`);
+    }
     
-    // Encrypt using AES-GCM (simulated with AES + HMAC)
-    const ciphertext = CryptoJS.AES.encrypt(data, sessionKeys.encryptionKey, {
-      iv: CryptoJS.enc.Hex.parse(nonce),
-    }).toString();
+    const counterBytes = Buffer.alloc(PAYLOAD_COUNTER_SIZE);
+    counterBytes.writeUInt32BE(counter, 0);
     
-    // Calculate MAC
-    const mac = CryptoJS.HmacSHA256(ciphertext + nonce, sessionKeys.macKey).toString().slice(0, 16);
+    const encrypted = CryptoJS.AES.encrypt(toWordArray(data), CryptoJS.enc.Hex.parse(keys.encryptionKey), cipherOptions(keys, counter));
+    const ciphertext = Buffer.from(encrypted.ciphertext.toString(CryptoJS.enc.Hex), 'hex');
     
-    return {
-      ciphertext,
-      nonce,
-      mac,
-      encrypted: ciphertext + '|' + nonce + '|' + mac,
-    };
+    return Buffer.concat([counterBytes, ciphertext, calculatePayloadMac(keys, counterBytes, ciphertext)]);
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
 }
 
 /**
- * Decrypt payload using session key
+ * Verify and decrypt payload bytes written by encryptPayload. Rejecting replays is up to the
+ * caller, which compares the returned counter with the last one it accepted.
+ * @returns {{ data: Buffer, counter: number }}
  */
-export function decryptPayload(encryptedData, sessionKeys) {
+export function decryptPayload(encryptedData, keys) {
   try {
-    const parts = encryptedData.split('|');
-    if (parts.length !== 3) {
+    if (encryptedData.length < PAYLOAD_COUNTER_SIZE + PAYLOAD_MAC_SIZE) {
       throw new Error('Invalid encrypted payload format');
     }
     
-    const [ciphertext, nonce, expectedMac] = parts;
+    const counterBytes = encryptedData.slice(0, PAYLOAD_COUNTER_SIZE);
+    const ciphertext = encryptedData.slice(PAYLOAD_COUNTER_SIZE, encryptedData.length - PAYLOAD_MAC_SIZE);
+    const expectedMac = encryptedData.slice(encryptedData.length - PAYLOAD_MAC_SIZE);
     
     // Verify MAC
-    const actualMac = CryptoJS.HmacSHA256(ciphertext + nonce, sessionKeys.macKey).toString().slice(0, 16);
-    if (actualMac !== expectedMac) {
+    if (!calculatePayloadMac(keys, counterBytes, ciphertext).equals(expectedMac)) {
       throw new Error('MAC verification failed - payload may be tampered');
     }
     
     // Decrypt
-    const decrypted = CryptoJS.AES.decrypt(ciphertext, sessionKeys.encryptionKey, {
-      iv: CryptoJS.enc.Hex.parse(nonce),
-    });
+    const counter = counterBytes.readUInt32BE(0);
+    const decrypted = CryptoJS.AES.decrypt(
+      CryptoJS.lib.CipherParams.create({ ciphertext: toWordArray(ciphertext) }),
+      CryptoJS.enc.Hex.parse(keys.encryptionKey),
+      cipherOptions(keys, counter),
+    );
     
-    return decrypted.toString(CryptoJS.enc.Utf8);
+    return {
+      data: Buffer.from(decrypted.toString(CryptoJS.enc.Hex), 'hex'),
+      counter,
+    };
   } catch (error) {
     throw new Error(`Decryption failed: ${error.message}`);
   }
@@ -133,16 +142,15 @@ export async function createHandshakeInit(walletPrivateKey, deviceRole, challeng
     publicKey: keyPair.publicKey,
     deviceRole,
     challenge: Buffer.from(challenge).toString('hex'),
+    chunkFraming: CHUNK_FRAMING_VERSION,
+    payloadFormats: SUPPORTED_PAYLOAD_FORMATS,
+    payloadCompression: SUPPORTED_PAYLOAD_COMPRESSION,
     signature: null,
   };
   
   // Sign the message with wallet key for authentication
   const wallet = new ethers.Wallet(walletPrivateKey);
-  const messageHash = CryptoJS.SHA256(JSON.stringify({
-    publicKey: message.publicKey,
-    deviceRole: message.deviceRole,
-    challenge: message.challenge,
-  })).toString();
+  const messageHash = hashInitMessage(message);
   
   message.signature = await wallet.signMessage(messageHash);
   
@@ -154,15 +162,12 @@ export async function createHandshakeInit(walletPrivateKey, deviceRole, challeng
 
 /**
  * Process handshake initiation and create response
+ * @param {number} [sessionId] - Session id both peers use, chosen by the responder and signed into the response
  */
-export async function processHandshakeInit(initMessage, myWalletPrivateKey, myDeviceRole) {
+export async function processHandshakeInit(initMessage, myWalletPrivateKey, myDeviceRole, sessionId = null) {
   try {
     // Verify the signature
-    const messageHash = CryptoJS.SHA256(JSON.stringify({
-      publicKey: initMessage.publicKey,
-      deviceRole: initMessage.deviceRole,
-      challenge: initMessage.challenge,
-    })).toString();
+    const messageHash = hashInitMessage(initMessage);
     
     const recoveredAddress = ethers.utils.verifyMessage(messageHash, initMessage.signature);
     
@@ -184,14 +189,20 @@ export async function processHandshakeInit(initMessage, myWalletPrivateKey, myDe
       signature: null,
     };
     
+    // An initiator that announced no capabilities predates them and could not verify a response signing ours
+    const peerCapabilities = getSignedCapabilities(initMessage);
+    if (Object.values(peerCapabilities).some((value) => value !== null)) {
+      response.chunkFraming = CHUNK_FRAMING_VERSION;
+      response.payloadFormats = SUPPORTED_PAYLOAD_FORMATS;
+      response.payloadCompression = SUPPORTED_PAYLOAD_COMPRESSION;
+      if (sessionId !== null) {
+        response.sessionId = sessionId;
+      }
+    }
+    
     // Sign the response
     const wallet = new ethers.Wallet(myWalletPrivateKey);
-    const responseHash = CryptoJS.SHA256(JSON.stringify({
-      publicKey: response.publicKey,
-      deviceRole: response.deviceRole,
-      originalChallenge: response.originalChallenge,
-      responseChallenge: response.responseChallenge,
-    })).toString();
+    const responseHash = hashResponseMessage(response);
     
     response.signature = await wallet.signMessage(responseHash);
     
@@ -199,6 +210,7 @@ export async function processHandshakeInit(initMessage, myWalletPrivateKey, myDe
       response,
       sharedSecret,
       peerAddress: recoveredAddress,
+      peerCapabilities,
       ephemeralPrivateKey: myKeyPair.privateKey,
     };
   } catch (error) {
@@ -207,7 +219,8 @@ export async function processHandshakeInit(initMessage, myWalletPrivateKey, myDe
 }
 
 /**
- * Complete handshake from initiator side
+ * Complete handshake from initiator side. `sessionId` is the one the responder signed into its
+ * response, or null from responders that predate it.
  */
 export function completeHandshake(responseMessage, myEphemeralPrivateKey, originalChallenge) {
   try {
@@ -217,12 +230,7 @@ export function completeHandshake(responseMessage, myEphemeralPrivateKey, origin
     }
     
     // Verify signature
-    const responseHash = CryptoJS.SHA256(JSON.stringify({
-      publicKey: responseMessage.publicKey,
-      deviceRole: responseMessage.deviceRole,
-      originalChallenge: responseMessage.originalChallenge,
-      responseChallenge: responseMessage.responseChallenge,
-    })).toString();
+    const responseHash = hashResponseMessage(responseMessage);
     
     const peerAddress = ethers.utils.verifyMessage(responseHash, responseMessage.signature);
     
@@ -233,6 +241,8 @@ export function completeHandshake(responseMessage, myEphemeralPrivateKey, origin
       sharedSecret,
       peerAddress,
       peerRole: responseMessage.deviceRole,
+      peerCapabilities: getSignedCapabilities(responseMessage),
+      sessionId: responseMessage.sessionId ?? null,
     };
   } catch (error) {
     throw new Error(`Handshake completion failed: ${error.message}`);
@@ -241,9 +251,10 @@ export function completeHandshake(responseMessage, myEphemeralPrivateKey, origin
 
 /**
  * Validate handshake session and derive keys
+ * @param {Object} challenges - { initiatorChallenge, responderChallenge } from the handshake messages
  */
-export function establishSession(sharedSecret, sessionId, peerInfo) {
-  const sessionKeys = deriveSessionKeys(sharedSecret, sessionId, peerInfo);
+export function establishSession(sharedSecret, sessionId, peerInfo, challenges) {
+  const sessionKeys = deriveSessionKeys(sharedSecret, challenges);
   
   return {
     sessionId,
@@ -253,6 +264,69 @@ export function establishSession(sharedSecret, sessionId, peerInfo) {
   };
 }
 
+/**
+ * Capabilities a handshake message announces, each null when it has none: the chunk framing,
+ * payload formats and compression methods it reads. They are covered by its signature, but that
+ * only ties them to whoever signed: anyone in between can strip them and sign again with their own
+ * key. So BleRelayerService refuses a peer that announces no encrypted chunk framing instead of
+ * falling back to plaintext (see selectChunkFraming).
+ * @returns {{ chunkFraming: number|null, payloadFormats: number[]|null, payloadCompression: number[]|null }}
+ */
+export function getSignedCapabilities(message) {
+  return {
+    chunkFraming: message.chunkFraming ?? null,
+    payloadFormats: message.payloadFormats ?? null,
+    payloadCompression: message.payloadCompression ?? null,
+  };
+}
+
+function hashInitMessage(message) {
+  return hashHandshakeFields({
+    publicKey: message.publicKey,
+    deviceRole: message.deviceRole,
+    challenge: message.challenge,
+  }, getSignedCapabilities(message));
+}
+
+function hashResponseMessage(message) {
+  return hashHandshakeFields({
+    publicKey: message.publicKey,
+    deviceRole: message.deviceRole,
+    originalChallenge: message.originalChallenge,
+    responseChallenge: message.responseChallenge,
+  }, { ...getSignedCapabilities(message), sessionId: message.sessionId ?? null });
+}
+
+// Fields added to the handshake later are hashed only when present, so the digest of a message
+// from an older peer, which never sends them, is the one that peer signed
+function hashHandshakeFields(fields, laterFields) {
+  const signed = { ...fields };
+  for (const [key, value] of Object.entries(laterFields)) {
+    if (value !== null) {
+      signed[key] = value;
+    }
+  }
+  return CryptoJS.SHA256(JSON.stringify(signed)).toString();
+}
+
+function toWordArray(bytes) {
+  return CryptoJS.enc.Hex.parse(Buffer.from(bytes).toString('hex'));
+}
+
+// AES-CTR needs no padding; the nonce must never repeat under one key, hence one per counter
+function cipherOptions(keys, counter) {
+  return {
+    iv: CryptoJS.enc.Hex.parse(CryptoJS.SHA256(`${keys.baseNonce}:${counter}`).toString().slice(0, 32)),
+    mode: CryptoJS.mode.CTR,
+    padding: CryptoJS.pad.NoPadding,
+  };
+}
+
+function calculatePayloadMac(keys, counterBytes, ciphertext) {
+  const mac = CryptoJS.HmacSHA256(toWordArray(Buffer.concat([counterBytes, ciphertext])), CryptoJS.enc.Hex.parse(keys.macKey));
+  return Buffer.from(mac.toString(CryptoJS.enc.Hex), 'hex').slice(0, PAYLOAD_MAC_SIZE);
+}
+
 export default {
   generateECDHKeyPair,
   deriveSharedSecret,
@@ -263,4 +337,5 @@ export default {
   processHandshakeInit,
   completeHandshake,
   establishSession,
+  getSignedCapabilities,
 };
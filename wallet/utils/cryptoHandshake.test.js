@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import CryptoJS from 'crypto-js';
+import {
+  completeHandshake,
+  createHandshakeInit,
+  decryptPayload,
+  deriveSessionKeys,
+  encryptPayload,
+  processHandshakeInit,
+} from './cryptoHandshake';
+import { CHUNK_FRAMING_VERSION, SUPPORTED_PAYLOAD_COMPRESSION, SUPPORTED_PAYLOAD_FORMATS } from './payloadSerializer';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytesAsync: async (length) => require('crypto').randomBytes(length),
+}));
+
+const initiatorKey = '0x' + '11'.repeat(32);
+const responderKey = '0x' + '22'.repeat(32);
+const initiatorAddress = new ethers.Wallet(initiatorKey).address;
+const responderAddress = new ethers.Wallet(responderKey).address;
+
+describe('handshake', () => {
+  test('both sides agree on the secret and read each other\'s signed capabilities', async () => {
+    const { message, ephemeralPrivateKey } = await createHandshakeInit(initiatorKey, 'sender');
+    const processed = await processHandshakeInit(message, responderKey, 'relayer');
+    const completed = completeHandshake(processed.response, ephemeralPrivateKey, message.challenge);
+
+    expect(processed.peerAddress).toBe(initiatorAddress);
+    expect(completed.peerAddress).toBe(responderAddress);
+    expect(completed.sharedSecret).toBe(processed.sharedSecret);
+    expect(processed.peerCapabilities).toEqual({
+      chunkFraming: CHUNK_FRAMING_VERSION,
+      payloadFormats: SUPPORTED_PAYLOAD_FORMATS,
+      payloadCompression: SUPPORTED_PAYLOAD_COMPRESSION,
+    });
+    expect(completed.peerCapabilities).toEqual(processed.peerCapabilities);
+  });
+
+  test('the initiator takes the session id the responder signed', async () => {
+    const { message, ephemeralPrivateKey } = await createHandshakeInit(initiatorKey, 'sender');
+    const { response } = await processHandshakeInit(message, responderKey, 'relayer', 1234);
+
+    expect(completeHandshake(response, ephemeralPrivateKey, message.challenge).sessionId).toBe(1234);
+
+    const edited = completeHandshake({ ...response, sessionId: 99 }, ephemeralPrivateKey, message.challenge);
+    expect(edited.peerAddress).not.toBe(responderAddress);
+  });
+
+  test('stripping or editing the announced capabilities breaks the signature', async () => {
+    const { message } = await createHandshakeInit(initiatorKey, 'sender');
+
+    const { chunkFraming, payloadCompression, ...stripped } = message;
+    const downgraded = await processHandshakeInit(stripped, responderKey, 'relayer');
+    expect(downgraded.peerAddress).not.toBe(initiatorAddress);
+
+    const edited = await processHandshakeInit({ ...message, payloadCompression: [] }, responderKey, 'relayer');
+    expect(edited.peerAddress).not.toBe(initiatorAddress);
+  });
+
+  test('still verifies peers that announce no capabilities, and answers them without any', async () => {
+    const challenge = 'ab'.repeat(16);
+    const { message: legacyInit } = await createHandshakeInit(initiatorKey, 'sender', Buffer.from(challenge, 'hex'));
+    delete legacyInit.chunkFraming;
+    delete legacyInit.payloadFormats;
+    delete legacyInit.payloadCompression;
+    // What builds before capability announcements signed
+    const legacyHash = CryptoJS.SHA256(JSON.stringify({
+      publicKey: legacyInit.publicKey,
+      deviceRole: legacyInit.deviceRole,
+      challenge: legacyInit.challenge,
+    })).toString();
+    legacyInit.signature = await new ethers.Wallet(initiatorKey).signMessage(legacyHash);
+
+    const processed = await processHandshakeInit(legacyInit, responderKey, 'relayer');
+
+    expect(processed.peerAddress).toBe(initiatorAddress);
+    expect(processed.peerCapabilities).toEqual({ chunkFraming: null, payloadFormats: null, payloadCompression: null });
+    expect(processed.response.chunkFraming).toBeUndefined();
+    expect(processed.response.payloadFormats).toBeUndefined();
+
+    const legacyResponseHash = CryptoJS.SHA256(JSON.stringify({
+      publicKey: processed.response.publicKey,
+      deviceRole: processed.response.deviceRole,
+      originalChallenge: processed.response.originalChallenge,
+      responseChallenge: processed.response.responseChallenge,
+    })).toString();
+    expect(ethers.utils.verifyMessage(legacyResponseHash, processed.response.signature)).toBe(responderAddress);
+  });
+});
+
+describe('payload encryption', () => {
+  const keys = deriveSessionKeys('ab'.repeat(32), { initiatorChallenge: '01'.repeat(16), responderChallenge: '02'.repeat(16) });
+  const data = Buffer.from('{"type":1}', 'utf8');
+
+  test('round trips and returns the message counter', () => {
+    const { data: decrypted, counter } = decryptPayload(encryptPayload(data, keys.initiator, 7), keys.initiator);
+
+    expect(decrypted).toEqual(data);
+    expect(counter).toBe(7);
+  });
+
+  test('rejects a tampered ciphertext, counter or MAC', () => {
+    const sealed = encryptPayload(data, keys.initiator, 7);
+    [0, 5, sealed.length - 1].forEach((offset) => {
+      const tampered = Buffer.from(sealed);
+      tampered[offset] ^= 0x01;
+      expect(() => decryptPayload(tampered, keys.initiator)).toThrow('MAC verification failed');
+    });
+  });
+
+  test('keys of one direction do not open payloads of the other', () => {
+    const sealed = encryptPayload(data, keys.initiator, 1);
+
+    expect(() => decryptPayload(sealed, keys.responder)).toThrow('MAC verification failed');
+  });
+});
@@ -1,4 +1,6 @@
 import * as SQLite from "expo-sqlite"
+import { getSignedAccountSnapshots } from "./ackSchema"
+import { DEFAULT_NETWORK_CHAIN_ID } from "../config/networks"
 
 const db = SQLite.openDatabaseSync("wallet.db")
 
@@ -9,13 +11,33 @@ export const init = () => {
       db.execSync(
         "CREATE TABLE IF NOT EXISTS wallet (id INTEGER PRIMARY KEY NOT NULL, privateKey TEXT NOT NULL, address TEXT NOT NULL);"
       )
+      // Network the wallet signs for; NULL on wallets created before network selection
+      addColumnIfMissing("wallet", "chainId", "INTEGER")
       db.execSync(
         "CREATE TABLE IF NOT EXISTS balance_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, walletAddress TEXT NOT NULL, nativeBalanceWei TEXT NOT NULL, nativeBalanceEther TEXT NOT NULL, protocolAccount TEXT, timestamp INTEGER NOT NULL, dataSource TEXT NOT NULL, signature TEXT NOT NULL, digest TEXT NOT NULL, createdAt INTEGER NOT NULL DEFAULT (strftime('%s','now')));"
       )
+      // Full signed snapshot, needed to re-verify the EIP-712 signature when reading from cache
+      addColumnIfMissing("balance_snapshots", "payload", "TEXT")
       // Table for transaction acknowledgements (legacy QR-based)
       db.execSync(
         "CREATE TABLE IF NOT EXISTS acks (id INTEGER PRIMARY KEY NOT NULL, txHash TEXT UNIQUE NOT NULL, blockNumber INTEGER NOT NULL, fromAddress TEXT NOT NULL, toAddress TEXT NOT NULL, value TEXT NOT NULL, newBalances TEXT NOT NULL, relayerAddress TEXT NOT NULL, relayerSig TEXT NOT NULL);"
       )
+      // Network the relayer signed for; NULL on unversioned acks, which name none
+      addColumnIfMissing("acks", "chainId", "INTEGER")
+
+      // Relayers whose ack and balance snapshot signatures this wallet accepts, per network:
+      // each relayer network signs with its own key
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS trusted_relayers (
+          chainId INTEGER NOT NULL,
+          address TEXT NOT NULL,
+          label TEXT,
+          addedAt INTEGER NOT NULL DEFAULT (strftime('%s','now')),
+          revoked INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (chainId, address)
+        );
+      `)
+      migrateTrustedRelayersToChains()
       
       // Table for BLE acknowledgements (T2.6 - FR-16)
       db.execSync(`
@@ -54,6 +76,42 @@ export const init = () => {
           FOREIGN KEY(broadcastAckId) REFERENCES ble_acks(id)
         );
       `)
+
+      // Transactions handed to a relayer as a QR code; the nonce manager counts them until they are mined
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS qr_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          txHash TEXT UNIQUE NOT NULL,
+          fromAddress TEXT NOT NULL,
+          toAddress TEXT NOT NULL,
+          value TEXT NOT NULL,
+          nonce INTEGER NOT NULL,
+          signedTx TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          replacedBy TEXT,
+          createdAt INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+        );
+      `)
+
+      // Relayer side: validated BLE transactions waiting to reach the Node.js relayer, and broadcast
+      // ACKs waiting for their originator to come back in range
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS relay_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          txHash TEXT UNIQUE NOT NULL,
+          originatorDeviceId TEXT,
+          originatorAddress TEXT,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'awaiting' (relay job not mined yet), 'forwarded' or 'failed'
+          attempts INTEGER NOT NULL DEFAULT 0,
+          lastError TEXT,
+          broadcastResult TEXT,
+          broadcastAck TEXT,
+          ackDelivered INTEGER NOT NULL DEFAULT 0,
+          createdAt INTEGER NOT NULL DEFAULT (strftime('%s','now')),
+          forwardedAt INTEGER
+        );
+      `)
       resolve()
     } catch (err) {
       reject(err)
@@ -61,13 +119,55 @@ export const init = () => {
   })
 }
 
-export const saveWallet = (privateKey, address) => {
+/**
+ * Add a column to an existing table; CREATE TABLE IF NOT EXISTS leaves older installs untouched.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.getAllSync(`PRAGMA table_info(${table});`)
+  if (!columns.some((existing) => existing.name === column)) {
+    db.execSync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`)
+  }
+}
+
+/**
+ * Registries from before per-network trust were keyed by address alone. Their entries were seeded
+ * from the network the wallet uses, so they move to that network.
+ */
+function migrateTrustedRelayersToChains() {
+  const columns = db.getAllSync("PRAGMA table_info(trusted_relayers);")
+  if (columns.some((existing) => existing.name === "chainId")) {
+    return
+  }
+
+  db.withTransactionSync(() => {
+    db.execSync("ALTER TABLE trusted_relayers RENAME TO trusted_relayers_legacy;")
+    db.execSync(`
+      CREATE TABLE trusted_relayers (
+        chainId INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        label TEXT,
+        addedAt INTEGER NOT NULL DEFAULT (strftime('%s','now')),
+        revoked INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (chainId, address)
+      );
+    `)
+    db.runSync(
+      `INSERT INTO trusted_relayers (chainId, address, label, addedAt, revoked)
+       SELECT COALESCE((SELECT chainId FROM wallet LIMIT 1), ?), address, label, addedAt, revoked FROM trusted_relayers_legacy;`,
+      [DEFAULT_NETWORK_CHAIN_ID]
+    )
+    db.execSync("DROP TABLE trusted_relayers_legacy;")
+  })
+}
+
+export const saveWallet = (privateKey, address, chainId) => {
   return new Promise((resolve, reject) => {
     try {
       db.runSync("DELETE FROM wallet") // Ensure only one wallet at a time
-      const result = db.runSync("INSERT INTO wallet (privateKey, address) VALUES (?, ?);", [
+      const result = db.runSync("INSERT INTO wallet (privateKey, address, chainId) VALUES (?, ?, ?);", [
         privateKey,
         address,
+        chainId,
       ])
       resolve(result)
     } catch (err) {
@@ -91,7 +191,7 @@ export const upsertBalanceSnapshot = (snapshot) => {
   return new Promise((resolve, reject) => {
     try {
       db.runSync(
-        "INSERT INTO balance_snapshots (walletAddress, nativeBalanceWei, nativeBalanceEther, protocolAccount, timestamp, dataSource, signature, digest) VALUES (?, ?, ?, ?, ?, ?, ?, ?);",
+        "INSERT INTO balance_snapshots (walletAddress, nativeBalanceWei, nativeBalanceEther, protocolAccount, timestamp, dataSource, signature, digest, payload) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);",
         [
           snapshot.walletAddress,
           snapshot.nativeBalance.wei,
@@ -101,6 +201,7 @@ export const upsertBalanceSnapshot = (snapshot) => {
           snapshot.dataSource,
           snapshot.signature,
           snapshot.digest,
+          JSON.stringify(snapshot),
         ]
       )
       resolve(true)
@@ -117,27 +218,30 @@ export const fetchLatestBalanceSnapshot = (walletAddress) => {
         "SELECT * FROM balance_snapshots WHERE walletAddress = ? ORDER BY timestamp DESC LIMIT 1;",
         [walletAddress]
       )
-      resolve(rows[0])
+      const row = rows[0]
+      resolve(row ? { ...row, snapshot: row.payload ? JSON.parse(row.payload) : null } : row)
     } catch (err) {
       reject(err)
     }
   })
 }
 
+// Only balances the relayer signature covers are kept: the home screen shows them while offline
 export const saveAck = (ack) => {
   return new Promise((resolve, reject) => {
     try {
       const result = db.runSync(
-        "INSERT OR REPLACE INTO acks (txHash, blockNumber, fromAddress, toAddress, value, newBalances, relayerAddress, relayerSig) VALUES (?, ?, ?, ?, ?, ?, ?, ?);",
+        "INSERT OR REPLACE INTO acks (txHash, blockNumber, fromAddress, toAddress, value, newBalances, relayerAddress, relayerSig, chainId) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);",
         [
           ack.txHash,
           ack.blockNumber,
           ack.from,
           ack.to,
           ack.value,
-          JSON.stringify(ack.newBalances),
+          JSON.stringify(getSignedAccountSnapshots(ack) || {}),
           ack.relayerAddress,
           ack.relayerSig,
+          ack.chainId ?? null,
         ]
       )
       resolve(result)
@@ -169,6 +273,62 @@ export const purgeOldBalanceSnapshots = (beforeTimestamp) => {
   })
 }
 
+// Trusted relayer registry
+
+/**
+ * Add a relayer to a network's registry. Addresses are stored lowercase; an existing entry keeps
+ * its label, added-at time and revoked flag.
+ */
+export const addTrustedRelayer = (chainId, address, label = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const result = db.runSync(
+        "INSERT OR IGNORE INTO trusted_relayers (chainId, address, label) VALUES (?, ?, ?);",
+        [Number(chainId), address.toLowerCase(), label]
+      )
+      resolve(result.changes > 0)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * List registry entries, including revoked ones, of one network or (without `chainId`) all of them
+ */
+export const fetchTrustedRelayers = (chainId = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const rows =
+        chainId === null
+          ? db.getAllSync("SELECT * FROM trusted_relayers ORDER BY addedAt ASC;")
+          : db.getAllSync("SELECT * FROM trusted_relayers WHERE chainId = ? ORDER BY addedAt ASC;", [Number(chainId)])
+      resolve(rows.map((row) => ({ ...row, revoked: Boolean(row.revoked) })))
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Revoke (or, with `revoked = false`, restore) a relayer on one network. Revoked entries stay in
+ * the registry so the wallet keeps rejecting that signer instead of re-seeding it.
+ */
+export const setTrustedRelayerRevoked = (chainId, address, revoked = true) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const result = db.runSync("UPDATE trusted_relayers SET revoked = ? WHERE chainId = ? AND address = ?;", [
+        revoked ? 1 : 0,
+        Number(chainId),
+        address.toLowerCase(),
+      ])
+      resolve(result.changes > 0)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
 // BLE Transaction and Acknowledgement Functions (T2.6 - FR-16)
 
 /**
@@ -222,11 +382,16 @@ export const saveBleAck = (ackData) => {
       
       // Update transaction record with ACK reference
       if (ackData.ackType === 1) { // Receipt ACK
+        // An offline relayer marks the receipt "queued": it holds the transaction until it gets online
         db.runSync(`
           UPDATE ble_transactions 
-          SET receiptAckId = ?, status = 'receipt_received' 
+          SET receiptAckId = ?, status = ? 
           WHERE transmissionId = ?
-        `, [result.insertId, ackData.transmissionId])
+        `, [
+          result.insertId,
+          ackData.payload.result?.queued ? 'relayer_queued' : 'receipt_received',
+          ackData.transmissionId
+        ])
       } else if (ackData.ackType === 2) { // Broadcast ACK
         db.runSync(`
           UPDATE ble_transactions 
@@ -395,7 +560,7 @@ export const getPendingBleTransactions = () => {
     try {
       const transactions = db.getAllSync(`
         SELECT * FROM ble_transactions 
-        WHERE status IN ('pending', 'receipt_received') 
+        WHERE status IN ('pending', 'receipt_received', 'relayer_queued') 
         ORDER BY createdAt ASC
       `)
       resolve(transactions)
@@ -404,3 +569,251 @@ export const getPendingBleTransactions = () => {
     }
   })
 }
+
+// Outgoing transactions, read by the nonce manager
+
+/**
+ * Save a transaction shown to a relayer as a QR code
+ */
+export const saveQrTransaction = (transactionData) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const result = db.runSync(`
+        INSERT OR IGNORE INTO qr_transactions
+        (txHash, fromAddress, toAddress, value, nonce, signedTx, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        transactionData.txHash,
+        transactionData.fromAddress,
+        transactionData.toAddress,
+        transactionData.value,
+        transactionData.nonce,
+        transactionData.signedTx,
+        transactionData.status || 'pending',
+      ])
+      resolve(result.insertId)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Update QR transaction status; `replacedBy` records the hash of a replacement transaction
+ */
+export const updateQrTransactionStatus = (txHash, status, replacedBy = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      db.runSync(`
+        UPDATE qr_transactions SET status = ?, replacedBy = COALESCE(?, replacedBy) WHERE txHash = ?
+      `, [status, replacedBy, txHash])
+      resolve(true)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Get every transaction this address sent over BLE or QR, oldest first
+ */
+export const getOutgoingTransactions = (fromAddress) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const bleTransactions = db.getAllSync(`
+        SELECT 'ble' as type, transmissionId, toAddress, value, nonce, signedTx, status, createdAt
+        FROM ble_transactions
+        WHERE direction = 'sent' AND lower(fromAddress) = lower(?)
+      `, [fromAddress])
+
+      const qrTransactions = db.getAllSync(`
+        SELECT 'qr' as type, null as transmissionId, toAddress, value, nonce, signedTx, status, createdAt
+        FROM qr_transactions
+        WHERE lower(fromAddress) = lower(?)
+      `, [fromAddress])
+
+      resolve([...bleTransactions, ...qrTransactions].sort((a, b) => a.createdAt - b.createdAt))
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+// Relay outbox (store-and-forward on relayer devices)
+
+const parseOutboxRow = (row) => ({
+  ...row,
+  payload: JSON.parse(row.payload),
+  broadcastResult: row.broadcastResult ? JSON.parse(row.broadcastResult) : null,
+  broadcastAck: row.broadcastAck ? JSON.parse(row.broadcastAck) : null,
+  ackDelivered: Boolean(row.ackDelivered),
+})
+
+/**
+ * Store a transaction payload in the relay outbox. A payload already stored (same txHash) is left as is.
+ * Pass `broadcastResult` and `broadcastAck` to store an ACK whose originator could not be reached.
+ */
+export const saveOutboxEntry = (entry) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const result = db.runSync(`
+        INSERT OR IGNORE INTO relay_outbox
+        (txHash, originatorDeviceId, originatorAddress, payload, status, broadcastResult, broadcastAck, forwardedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.txHash,
+        entry.originatorDeviceId || null,
+        entry.originatorAddress || null,
+        JSON.stringify(entry.payload),
+        entry.status || 'queued',
+        entry.broadcastResult ? JSON.stringify(entry.broadcastResult) : null,
+        entry.broadcastAck ? JSON.stringify(entry.broadcastAck) : null,
+        entry.broadcastResult ? Math.floor(Date.now() / 1000) : null,
+      ])
+      resolve(result.insertId)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Get queued outbox entries, oldest first
+ */
+export const fetchQueuedOutbox = (limit = 100) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const rows = db.getAllSync(`
+        SELECT * FROM relay_outbox WHERE status = 'queued' ORDER BY id ASC LIMIT ?
+      `, [limit])
+      resolve(rows.map(parseOutboxRow))
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+export const countQueuedOutbox = () => {
+  return new Promise((resolve, reject) => {
+    try {
+      const row = db.getFirstSync(`SELECT COUNT(*) as count FROM relay_outbox WHERE status = 'queued'`)
+      resolve(row.count)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Record the Node.js relayer's answer for an outbox entry and the broadcast ACK built from it
+ */
+export const markOutboxForwarded = (id, broadcastResult, broadcastAck) => {
+  return new Promise((resolve, reject) => {
+    try {
+      db.runSync(`
+        UPDATE relay_outbox
+        SET status = ?, broadcastResult = ?, broadcastAck = ?, forwardedAt = strftime('%s','now'), attempts = attempts + 1
+        WHERE id = ?
+      `, [
+        broadcastResult.success ? 'forwarded' : 'failed',
+        JSON.stringify(broadcastResult),
+        JSON.stringify(broadcastAck),
+        id,
+      ])
+      resolve(true)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Record that the Node.js relayer accepted an outbox entry but has not mined it yet (held or pending).
+ * The entry waits as 'awaiting' until its relay job settles.
+ */
+export const markOutboxAwaitingJob = (id, broadcastResult) => {
+  return new Promise((resolve, reject) => {
+    try {
+      db.runSync(`
+        UPDATE relay_outbox
+        SET status = 'awaiting', broadcastResult = ?, forwardedAt = strftime('%s','now'), attempts = attempts + 1
+        WHERE id = ?
+      `, [JSON.stringify(broadcastResult), id])
+      resolve(true)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Get outbox entries whose relay job has not settled yet, oldest first
+ */
+export const fetchAwaitingOutbox = (limit = 100) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const rows = db.getAllSync(`
+        SELECT * FROM relay_outbox WHERE status = 'awaiting' ORDER BY id ASC LIMIT ?
+      `, [limit])
+      resolve(rows.map(parseOutboxRow))
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+export const countAwaitingOutbox = () => {
+  return new Promise((resolve, reject) => {
+    try {
+      const row = db.getFirstSync(`SELECT COUNT(*) as count FROM relay_outbox WHERE status = 'awaiting'`)
+      resolve(row.count)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Count a forward attempt that did not reach the Node.js relayer; the entry stays queued
+ */
+export const markOutboxAttemptFailed = (id, error) => {
+  return new Promise((resolve, reject) => {
+    try {
+      db.runSync(`
+        UPDATE relay_outbox SET attempts = attempts + 1, lastError = ? WHERE id = ?
+      `, [error, id])
+      resolve(true)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+export const markOutboxAckDelivered = (id) => {
+  return new Promise((resolve, reject) => {
+    try {
+      db.runSync(`UPDATE relay_outbox SET ackDelivered = 1 WHERE id = ?`, [id])
+      resolve(true)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Get broadcast ACKs not yet delivered to the originator wallet, oldest first
+ */
+export const fetchUndeliveredOutboxAcks = (originatorAddress) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const rows = db.getAllSync(`
+        SELECT * FROM relay_outbox
+        WHERE broadcastAck IS NOT NULL AND ackDelivered = 0 AND lower(originatorAddress) = lower(?)
+        ORDER BY id ASC
+      `, [originatorAddress])
+      resolve(rows.map(parseOutboxRow))
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
@@ -0,0 +1,64 @@
+import { ethers } from "ethers"
+import { loadCachedSnapshot } from "./balanceSnapshot"
+
+// A quote older than this is still used, but flagged: fees can move a lot while the wallet is offline
+export const FEE_QUOTE_STALE_SECONDS = 10 * 60
+
+// Only used until a relayer snapshot with a fee quote has been cached
+const FALLBACK_GAS_PRICE = ethers.utils.parseUnits("10", "gwei")
+
+/**
+ * Transaction fees from the fee quote signed into the latest cached balance snapshot
+ * (see relayer/lib/feeQuote.js). Chains with a base fee get EIP-1559 (type 2) fees; chains
+ * without one, and wallets with no quote cached, get a legacy gas price.
+ * @param {object} options
+ * @param {string} options.address - Wallet address
+ * @param {number} options.chainId - Network the transaction is signed for
+ * @param {number} [options.now] - Current time in ms
+ * @returns {Promise<{ fees: object, quote: object|null, ageSeconds: number|null, stale: boolean, warning: string|null }>}
+ *   `fees` can be spread into an ethers transaction request.
+ */
+export const getFeeQuote = async ({ address, chainId, now = Date.now() }) => {
+  const cached = await loadCachedSnapshot({ address, chainId })
+  const quote = cached?.snapshot.fees
+
+  if (!quote) {
+    return {
+      fees: { gasPrice: FALLBACK_GAS_PRICE },
+      quote: null,
+      ageSeconds: null,
+      stale: true,
+      warning: "No signed fee quote cached yet; using a default 10 gwei gas price. Refresh your balance while online to get one.",
+    }
+  }
+
+  const ageSeconds = Math.max(0, Math.floor(now / 1000) - quote.quotedAt)
+  const stale = ageSeconds > FEE_QUOTE_STALE_SECONDS
+  const fees = quote.maxFeePerGas
+    ? {
+        type: 2,
+        maxFeePerGas: ethers.BigNumber.from(quote.maxFeePerGas),
+        maxPriorityFeePerGas: ethers.BigNumber.from(quote.maxPriorityFeePerGas),
+      }
+    : { gasPrice: ethers.BigNumber.from(quote.gasPrice) }
+
+  return {
+    fees,
+    quote,
+    ageSeconds,
+    stale,
+    warning: stale
+      ? `Fee quote is ${Math.round(ageSeconds / 60)} minutes old; the transaction may be underpriced. Refresh your balance while online to update it.`
+      : null,
+  }
+}
+
+/**
+ * Short human-readable description of transaction fees, in gwei
+ */
+export const describeFees = (fees) => {
+  const gwei = (value) => ethers.utils.formatUnits(value, "gwei")
+  return fees.maxFeePerGas
+    ? `max ${gwei(fees.maxFeePerGas)} gwei (tip ${gwei(fees.maxPriorityFeePerGas)})`
+    : `${gwei(fees.gasPrice)} gwei`
+}
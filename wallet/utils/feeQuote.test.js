@@ -0,0 +1,89 @@
+import { ethers } from "ethers"
+import { fetchLatestBalanceSnapshot, fetchTrustedRelayers } from "./db"
+import { FEE_QUOTE_STALE_SECONDS, getFeeQuote } from "./feeQuote"
+
+const relayerSnapshotSchema = require("../../relayer/lib/snapshotSchema")
+const { buildFeeQuote } = require("../../relayer/lib/feeQuote")
+
+jest.mock("./db", () => ({
+  fetchLatestBalanceSnapshot: jest.fn(),
+  fetchTrustedRelayers: jest.fn(),
+}))
+
+const chainId = 545
+const relayer = new ethers.Wallet("0x" + "11".repeat(32))
+const impostor = new ethers.Wallet("0x" + "33".repeat(32))
+const walletAddress = "0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b"
+const quotedAt = 1700000000
+const gwei = (value) => ethers.utils.parseUnits(value, "gwei")
+
+// A relayer snapshot carrying a fee quote, cached by the wallet
+const cacheSnapshot = async (signer, fees) => {
+  const snapshot = {
+    version: relayerSnapshotSchema.SNAPSHOT_VERSION,
+    walletAddress,
+    nativeBalance: { wei: "5000000000000000000", ether: "5.0" },
+    accountNonce: 3,
+    protocolAccount: null,
+    fees,
+    chainId,
+    contractAddress: "0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC",
+    timestamp: quotedAt,
+    validUntil: quotedAt + 300,
+    signer: signer.address,
+  }
+  const { digest, signature } = await relayerSnapshotSchema.signSnapshot(signer, snapshot)
+  fetchLatestBalanceSnapshot.mockResolvedValue({ snapshot: { ...snapshot, digest, signature } })
+}
+
+beforeEach(() => {
+  fetchTrustedRelayers.mockResolvedValue([{ chainId, address: relayer.address.toLowerCase(), revoked: 0 }])
+})
+
+describe("getFeeQuote", () => {
+  test("prices type-2 transactions from the relayer's signed quote", async () => {
+    await cacheSnapshot(relayer, buildFeeQuote({ baseFeePerGas: gwei("10").toString(), gasPrice: gwei("13").toString(), quotedAt }))
+
+    const result = await getFeeQuote({ address: walletAddress, chainId, now: (quotedAt + 60) * 1000 })
+
+    expect(result.fees).toEqual({ type: 2, maxFeePerGas: gwei("23"), maxPriorityFeePerGas: gwei("3") })
+    expect(result).toMatchObject({ ageSeconds: 60, stale: false, warning: null })
+  })
+
+  test("prices legacy transactions on chains without a base fee", async () => {
+    await cacheSnapshot(relayer, buildFeeQuote({ baseFeePerGas: null, gasPrice: gwei("7").toString(), quotedAt }))
+
+    const result = await getFeeQuote({ address: walletAddress, chainId, now: quotedAt * 1000 })
+
+    expect(result.fees).toEqual({ gasPrice: gwei("7") })
+  })
+
+  test("does not pass an expired quote off as current", async () => {
+    await cacheSnapshot(relayer, buildFeeQuote({ baseFeePerGas: gwei("10").toString(), gasPrice: gwei("13").toString(), quotedAt }))
+
+    const result = await getFeeQuote({ address: walletAddress, chainId, now: (quotedAt + FEE_QUOTE_STALE_SECONDS + 1) * 1000 })
+
+    expect(result.stale).toBe(true)
+    expect(result.warning).toContain("Fee quote is 10 minutes old")
+  })
+
+  test("ignores quotes not signed by a trusted relayer", async () => {
+    await cacheSnapshot(impostor, buildFeeQuote({ baseFeePerGas: gwei("1").toString(), gasPrice: gwei("1").toString(), quotedAt }))
+
+    const result = await getFeeQuote({ address: walletAddress, chainId, now: quotedAt * 1000 })
+
+    expect(result.quote).toBeNull()
+    expect(result.fees).toEqual({ gasPrice: gwei("10") })
+    expect(result.stale).toBe(true)
+  })
+
+  test("ignores quotes edited after the relayer signed them", async () => {
+    await cacheSnapshot(relayer, buildFeeQuote({ baseFeePerGas: gwei("10").toString(), gasPrice: gwei("13").toString(), quotedAt }))
+    const { snapshot } = await fetchLatestBalanceSnapshot()
+    fetchLatestBalanceSnapshot.mockResolvedValue({ snapshot: { ...snapshot, fees: { ...snapshot.fees, maxFeePerGas: "1" } } })
+
+    const result = await getFeeQuote({ address: walletAddress, chainId, now: quotedAt * 1000 })
+
+    expect(result.quote).toBeNull()
+  })
+})
@@ -0,0 +1,191 @@
+import { ethers } from "ethers"
+import { fetchAcks, getOutgoingTransactions, updateBleTransactionStatus, updateQrTransactionStatus } from "./db"
+import { loadCachedSnapshot } from "./balanceSnapshot"
+
+/**
+ * Wallet nonce manager.
+ *
+ * The on-chain nonce comes from the latest signed balance snapshot (`accountNonce`, the number of
+ * transactions mined from the wallet). Every transaction this device sent over BLE or as a QR code
+ * holds its nonce until it is released (rejected by the relayer, replaced, settled). The next nonce
+ * is the lowest nonce at or above the on-chain nonce that no local transaction holds, so a rejected
+ * send frees its slot instead of leaving a gap the relayer would queue behind.
+ *
+ * A transaction that failed or was dropped after reaching a relayer keeps its nonce: the relayer may
+ * still hold it in its nonce-gap queue and broadcast it later. Its nonce is freed once the chain
+ * settles it or the user replaces it.
+ */
+
+// Statuses after which a local transaction no longer holds its nonce. `broadcast_failed` is the
+// relayer's own rejection, so nothing is left queued there; `failed` and `dropped` are not listed.
+const RELEASED_STATUSES = ["broadcast_failed", "replaced", "settled"]
+
+// Nodes only accept a same-nonce replacement whose fees are at least 10% higher (geth's default
+// txpool price bump). The extra 2% keeps the bump past that threshold after integer rounding and on
+// nodes configured slightly stricter.
+const REPLACEMENT_FEE_BUMP_PERCENT = 12
+
+export const NONCE_CONFLICTS = {
+  // Several local transactions share a nonce that is not mined yet; at most one of them can land
+  DUPLICATE_NONCE: "duplicate-nonce",
+  // The chain moved past a nonce this wallet used, but holds no ack for the local transaction
+  NONCE_USED: "nonce-used",
+}
+
+/**
+ * Work out the next nonce for a wallet and report local transactions that conflict with the chain.
+ * @param {object} options
+ * @param {string} options.address - Wallet address
+ * @param {number} options.chainId - Network the transaction is signed for
+ * @returns {Promise<{ nextNonce: number, onChainNonce: number|null, snapshotBlock: number|null, verified: boolean, pending: object[], conflicts: object[] }>}
+ *   `verified` is false when no trusted snapshot with an on-chain nonce is cached; the nonce then
+ *   only accounts for transactions sent from this device.
+ */
+export const getNonceState = async ({ address, chainId }) => {
+  const [cached, outgoing, acks] = await Promise.all([
+    loadCachedSnapshot({ address, chainId }),
+    getOutgoingTransactions(address),
+    fetchAcks(),
+  ])
+
+  // A stale snapshot is still a lower bound: the on-chain nonce never goes back
+  const snapshot = cached?.snapshot
+  const verified = Boolean(snapshot) && snapshot.accountNonce !== undefined
+  const onChainNonce = verified ? Number(snapshot.accountNonce) : null
+
+  const ackedHashes = new Set(acks.map((ack) => ack.txHash.toLowerCase()))
+  const active = outgoing
+    .map((row) => describeLocalTransaction(row, ackedHashes))
+    .filter((tx) => tx && tx.chainId === Number(chainId) && !RELEASED_STATUSES.includes(tx.status))
+
+  const baseNonce = onChainNonce ?? 0
+  const pending = active.filter((tx) => tx.nonce >= baseNonce).sort((a, b) => a.nonce - b.nonce)
+  const conflicts = []
+
+  if (onChainNonce !== null) {
+    for (const tx of active.filter((entry) => entry.nonce < onChainNonce && !entry.confirmed)) {
+      conflicts.push({
+        type: NONCE_CONFLICTS.NONCE_USED,
+        nonce: tx.nonce,
+        transactions: [tx],
+        message: `Nonce ${tx.nonce} is already used on-chain, but this wallet has no acknowledgement for its transaction to ${tx.to}. It may have been replaced by a transaction sent from another device.`,
+      })
+    }
+  }
+
+  const byNonce = groupByNonce(pending)
+  for (const [nonce, transactions] of byNonce) {
+    if (transactions.length > 1) {
+      conflicts.push({
+        type: NONCE_CONFLICTS.DUPLICATE_NONCE,
+        nonce,
+        transactions,
+        message: `${transactions.length} pending transactions use nonce ${nonce}; only one of them can be mined.`,
+      })
+    }
+  }
+
+  let nextNonce = baseNonce
+  while (byNonce.has(nextNonce)) {
+    nextNonce += 1
+  }
+
+  return {
+    nextNonce,
+    onChainNonce,
+    snapshotBlock: verified ? snapshot.blockNumber ?? null : null,
+    verified,
+    pending,
+    conflicts,
+  }
+}
+
+/**
+ * Fees for a transaction that replaces `transactions` (all sharing one nonce): the highest of their
+ * fees bumped past the node's replacement threshold, or `currentFees` when those are higher.
+ * @param {object[]} transactions - Local transactions from getNonceState
+ * @param {object} currentFees - Fees a fresh transaction would use (`gasPrice`, or `maxFeePerGas` and `maxPriorityFeePerGas`)
+ */
+export const getReplacementFees = (transactions, currentFees) => {
+  const bump = (value) => value.mul(100 + REPLACEMENT_FEE_BUMP_PERCENT).div(100)
+  const highest = (values) => values.reduce((max, value) => (value && value.gt(max) ? value : max), ethers.constants.Zero)
+
+  if (currentFees.maxFeePerGas) {
+    return {
+      type: 2,
+      maxFeePerGas: highest([bump(highest(transactions.map((tx) => tx.fees.maxFeePerGas || tx.fees.gasPrice))), currentFees.maxFeePerGas]),
+      maxPriorityFeePerGas: highest([
+        bump(highest(transactions.map((tx) => tx.fees.maxPriorityFeePerGas || tx.fees.gasPrice))),
+        currentFees.maxPriorityFeePerGas,
+      ]),
+    }
+  }
+
+  return {
+    gasPrice: highest([bump(highest(transactions.map((tx) => tx.fees.gasPrice || tx.fees.maxFeePerGas))), currentFees.gasPrice]),
+  }
+}
+
+/**
+ * Release the nonce of transactions superseded by a replacement
+ */
+export const markReplaced = async (transactions, replacementHash) => {
+  for (const tx of transactions) {
+    if (tx.type === "ble") {
+      await updateBleTransactionStatus(tx.transmissionId, "replaced")
+    } else {
+      await updateQrTransactionStatus(tx.txHash, "replaced", replacementHash)
+    }
+  }
+}
+
+/**
+ * Accept that the chain consumed these transactions' nonces (NONCE_USED conflicts) and stop reporting them
+ */
+export const settleTransactions = async (transactions) => {
+  for (const tx of transactions) {
+    if (tx.type === "ble") {
+      await updateBleTransactionStatus(tx.transmissionId, "settled")
+    } else {
+      await updateQrTransactionStatus(tx.txHash, "settled")
+    }
+  }
+}
+
+const describeLocalTransaction = (row, ackedHashes) => {
+  let parsed
+  try {
+    parsed = ethers.utils.parseTransaction(row.signedTx)
+  } catch (error) {
+    console.warn("Skipping unreadable local transaction:", error.message)
+    return null
+  }
+
+  return {
+    type: row.type,
+    transmissionId: row.transmissionId,
+    txHash: parsed.hash,
+    nonce: parsed.nonce,
+    chainId: parsed.chainId,
+    to: parsed.to,
+    value: row.value,
+    valueWei: parsed.value,
+    data: parsed.data,
+    status: row.status,
+    createdAt: row.createdAt,
+    confirmed: ackedHashes.has(parsed.hash.toLowerCase()) || row.status === "broadcast_success",
+    fees: {
+      gasPrice: parsed.gasPrice || null,
+      maxFeePerGas: parsed.maxFeePerGas || null,
+      maxPriorityFeePerGas: parsed.maxPriorityFeePerGas || null,
+    },
+  }
+}
+
+const groupByNonce = (transactions) => {
+  const groups = new Map()
+  for (const tx of transactions) {
+    groups.set(tx.nonce, [...(groups.get(tx.nonce) || []), tx])
+  }
+  return groups
+}
@@ -0,0 +1,72 @@
+import { ethers } from "ethers"
+import { fetchAcks, getOutgoingTransactions } from "./db"
+import { loadCachedSnapshot } from "./balanceSnapshot"
+import { getNonceState, getReplacementFees } from "./nonceManager"
+
+jest.mock("./db", () => ({
+  fetchAcks: jest.fn(),
+  getOutgoingTransactions: jest.fn(),
+  updateBleTransactionStatus: jest.fn(),
+  updateQrTransactionStatus: jest.fn(),
+}))
+
+jest.mock("./balanceSnapshot", () => ({
+  loadCachedSnapshot: jest.fn(),
+}))
+
+const chainId = 545
+const wallet = new ethers.Wallet("0x" + "11".repeat(32))
+
+const localTransaction = async (nonce, status) => ({
+  type: "qr",
+  transmissionId: null,
+  signedTx: await wallet.signTransaction({
+    to: "0x2222222222222222222222222222222222222222",
+    value: 1,
+    nonce,
+    gasLimit: 21000,
+    gasPrice: 1000000000,
+    chainId,
+  }),
+  value: "0.000000000000000001",
+  status,
+  createdAt: 0,
+})
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  fetchAcks.mockResolvedValue([])
+  loadCachedSnapshot.mockResolvedValue({ snapshot: { accountNonce: 3, blockNumber: 10 }, fresh: true })
+})
+
+describe("getNonceState", () => {
+  test("a transaction the relayer rejected frees its nonce", async () => {
+    getOutgoingTransactions.mockResolvedValue([await localTransaction(3, "broadcast_failed")])
+
+    const state = await getNonceState({ address: wallet.address, chainId })
+    expect(state.nextNonce).toBe(3)
+    expect(state.pending).toHaveLength(0)
+  })
+
+  test("failed and dropped transactions keep their nonce, the relayer may still queue them", async () => {
+    getOutgoingTransactions.mockResolvedValue([await localTransaction(3, "failed"), await localTransaction(4, "dropped")])
+
+    const state = await getNonceState({ address: wallet.address, chainId })
+    expect(state.nextNonce).toBe(5)
+    expect(state.pending.map((tx) => tx.nonce)).toEqual([3, 4])
+  })
+
+  test("replaced and settled transactions free their nonce", async () => {
+    getOutgoingTransactions.mockResolvedValue([await localTransaction(3, "replaced"), await localTransaction(4, "settled")])
+
+    const state = await getNonceState({ address: wallet.address, chainId })
+    expect(state.nextNonce).toBe(3)
+  })
+})
+
+describe("getReplacementFees", () => {
+  test("bumps the highest fee by 12%", () => {
+    const fees = getReplacementFees([{ fees: { gasPrice: ethers.BigNumber.from(100) } }], { gasPrice: ethers.BigNumber.from(50) })
+    expect(fees.gasPrice.toNumber()).toBe(112)
+  })
+})
@@ -4,12 +4,33 @@
  */
 
 import { ethers } from 'ethers';
-import CryptoJS from 'crypto-js';
+import { Inflate, deflateRaw } from 'pako';
+import { decodeValue, encodeValue } from './binaryCodec';
 
-// Phase 0 constants - will be refined in T0.6
-export const MAX_CHUNK_SIZE = 240; // Bytes, accounting for BLE MTU limits
-export const CHUNK_HEADER_SIZE = 9; // sessionId(4) + seq(2) + flags(1) + checksum(2)
-export const MAX_PAYLOAD_PER_CHUNK = MAX_CHUNK_SIZE - CHUNK_HEADER_SIZE;
+// A chunk is one GATT write, so it has to fit the ATT MTU negotiated with the peer
+export const ATT_OVERHEAD = 3; // ATT write opcode(1) + attribute handle(2)
+export const DEFAULT_ATT_MTU = 23; // BLE 4.0 minimum: those peers take 20-byte chunks
+export const MAX_ATTRIBUTE_VALUE_SIZE = 512; // GATT limit on a characteristic value, whatever the MTU
+export const CHUNK_HEADER_SIZE = 12; // sessionId(4) + transferId(1) + seq(2) + totalChunks(2) + flags(1) + checksum(2)
+export const MAX_CHUNKS_PER_PAYLOAD = 0xFFFF;
+// SHA-256 prefix of the payload bytes, sent ahead of them in the first chunk. Chunk checksums are
+// 16 bits; this catches what slips past them, and chunks of two payloads mixed together.
+export const PAYLOAD_DIGEST_SIZE = 8;
+
+// Chunk framing, announced in the signed handshake (see cryptoHandshake.js). Each version extends
+// the one before it:
+//   0 - sessionId(4) + seq(2) + flags(1) + checksum(2) header; chunks are not acknowledged
+//   1 - header adds transferId(1); the receiver ACKs and NACKs chunks on the control characteristic
+//   2 - header adds totalChunks(2); chunks are sized to the negotiated MTU
+//   3 - the payload bytes start with their PAYLOAD_DIGEST_SIZE-byte digest
+//   4 - the payload bytes are encrypted with the session keys (see cryptoHandshake.js)
+// Only encrypted framing is spoken: peers on an older version could only be sent plaintext, so the
+// handshake with them is refused (see selectChunkFraming).
+export const CHUNK_FRAMING_VERSION = 4;
+
+// Multi-hop gossip limits: the originator sets them and every hop enforces them
+export const MESH_MAX_HOPS = 5;
+export const MESH_TTL_MS = 30 * 60 * 1000; // 30 minutes
 
 // Payload types
 export const PAYLOAD_TYPES = {
@@ -19,7 +40,42 @@ export const PAYLOAD_TYPES = {
   HANDSHAKE: 0x04,
   BALANCE_REQUEST: 0x05,
   BALANCE_RESPONSE: 0x06,
+  MESH_OFFER: 0x07, // hashes of transactions a peer carries for others
+  MESH_REQUEST: 0x08, // offered hashes the receiver has not seen yet
+  MESH_FORWARD: 0x09, // a carried transaction, handed one hop further
+};
+
+// Payload wire formats. Binary payloads start with their format version byte; JSON payloads start
+// with '{' (0x7B), which no format version uses, so receivers tell them apart by the first byte.
+export const PAYLOAD_FORMATS = {
+  JSON: 0x00,
+  BINARY_V1: 0x01, // binaryCodec.js with BINARY_V1_KEYS, derived transaction fields stripped
+};
+// Formats this build reads and writes, most preferred first; exchanged in the handshake
+export const SUPPORTED_PAYLOAD_FORMATS = [PAYLOAD_FORMATS.BINARY_V1, PAYLOAD_FORMATS.JSON];
+const JSON_PAYLOAD_MARKER = 0x7B;
+
+// Payload compression, announced in the handshake like the formats. A compressed payload is raw
+// deflate of the serialized payload, marked by CHUNK_FLAGS.COMPRESSED on each of its chunks.
+export const PAYLOAD_COMPRESSION = {
+  DEFLATE: 'deflate',
 };
+export const SUPPORTED_PAYLOAD_COMPRESSION = [PAYLOAD_COMPRESSION.DEFLATE];
+const MAX_DECOMPRESSED_SIZE = 256 * 1024; // far above any real payload; stops deflate bombs
+
+// Key dictionary of BINARY_V1: keys travel as their index. The indexes are part of the format, so
+// never reorder or edit this list; new keys go into a new format version.
+const BINARY_V1_KEYS = [
+  'type', 'timestamp', 'signedTx', 'metadata', 'signature', 'mesh', 'hopCount', 'maxHops', 'expiresAt',
+  'from', 'to', 'value', 'nonce', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'chainId',
+  'originatorSignature', 'counterparty', 'amountEth', 'txHash', 'result', 'success', 'error', 'code', 'data',
+  'blockNumber', 'gasUsed', 'effectiveGasPrice', 'status', 'confirmations', 'duplicate', 'queued', 'held',
+  'jobId', 'ack', 'relayerSignature', 'requestId', 'walletAddress', 'requestedData', 'balances', 'native',
+  'protocol', 'accountNonce', 'dataSource', 'snapshot', 'validUntil', 'offers', 'txHashes', 'payload',
+  'version', 'txType', 'protocolCall', 'accounts', 'relayerAddress', 'address', 'nativeBalance',
+  'protocolBalance', 'protocolAccount', 'fees', 'baseFeePerGas', 'feeQuotedAt', 'contractAddress', 'signer',
+  'wei', 'balanceWei', 'flowDepositWei', 'isActive', 'lastSyncTime', 'action', 'amount', 'recipient',
+];
 
 // Chunk flags
 export const CHUNK_FLAGS = {
@@ -27,34 +83,65 @@ export const CHUNK_FLAGS = {
   LAST_CHUNK: 0x02,
   MIDDLE_CHUNK: 0x00,
   SINGLE_CHUNK: 0x03, // FIRST | LAST
+  COMPRESSED: 0x04, // the payload's bytes are deflated
+};
+
+// Control frames, written to the control characteristic by the receiver of a chunked payload
+export const CONTROL_FRAME_TYPES = {
+  CHUNK_ACK: 0x01, // one chunk arrived; also carries the next sequence expected in order
+  CHUNK_NACK: 0x02, // bitmap of sequences found missing or corrupted
+  CHUNK_ERROR: 0x03, // the receiver gave up on the payload
 };
+export const CONTROL_FRAME_HEADER_SIZE = 8; // type(1) + sessionId(4) + transferId(1) + seq(2)
+export const MAX_NACK_BITMAP_BYTES = 32; // a NACK covers at most 256 sequences from its base
 
 /**
  * Create transaction payload for BLE transfer
+ * Fee metadata follows the transaction type: `gasPrice` for legacy transactions,
+ * `maxFeePerGas`/`maxPriorityFeePerGas` for EIP-1559 (type 2) ones.
+ * `mesh` holds the gossip state: `hopCount` is the number of BLE hops the payload has travelled,
+ * incremented by each receiver; peers stop passing it on at `maxHops` or after `expiresAt`.
  */
 export function createTransactionPayload(signedTx, metadata = {}) {
-  const txData = ethers.utils.parseTransaction(signedTx);
-  
   const payload = {
     type: PAYLOAD_TYPES.SIGNED_TRANSACTION,
     timestamp: Date.now(),
     signedTx,
     metadata: {
-      from: txData.from,
-      to: txData.to,
-      value: txData.value.toString(),
-      nonce: txData.nonce,
-      gasLimit: txData.gasLimit.toString(),
-      gasPrice: txData.gasPrice?.toString(),
-      chainId: txData.chainId,
+      ...describeSignedTransaction(signedTx),
       ...metadata,
     },
     signature: null, // Will be populated by sender
+    mesh: {
+      hopCount: 0,
+      maxHops: MESH_MAX_HOPS,
+      expiresAt: Date.now() + MESH_TTL_MS,
+    },
   };
 
   return payload;
 }
 
+/**
+ * Transaction metadata derived from the signed transaction itself
+ */
+function describeSignedTransaction(signedTx) {
+  const txData = ethers.utils.parseTransaction(signedTx);
+
+  return {
+    from: txData.from,
+    to: txData.to,
+    value: txData.value.toString(),
+    nonce: txData.nonce,
+    gasLimit: txData.gasLimit.toString(),
+    type: txData.type || 0,
+    gasPrice: txData.type === 2 ? null : txData.gasPrice?.toString(),
+    maxFeePerGas: txData.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: txData.maxPriorityFeePerGas?.toString() ?? null,
+    chainId: txData.chainId,
+  };
+}
+
 /**
  * Create acknowledgement payload
  */
@@ -77,33 +164,78 @@ export function createAckPayload(type, txHash, result, relayerSignature = null)
 /**
  * Create balance request payload (T2.7 - FR-30)
  */
-export function createBalanceRequestPayload(walletAddress, requestId = null) {
+export function createBalanceRequestPayload(walletAddress, requestId = null, chainId = null) {
   return {
     type: PAYLOAD_TYPES.BALANCE_REQUEST,
     timestamp: Date.now(),
     requestId: requestId || generateRequestId(),
     walletAddress,
+    chainId,
     requestedData: ['native', 'protocol'], // Types of balance data requested
   };
 }
 
 /**
  * Create balance response payload (T2.7 - FR-31)
+ * `snapshot` is the relayer-signed BalanceSnapshot, forwarded unchanged so the
+ * requester can verify it (see balanceSnapshot.js).
  */
-export function createBalanceResponsePayload(request, balanceData, relayerSignature = null) {
+export function createBalanceResponsePayload(request, balanceData) {
+  const snapshot = balanceData.snapshot || null;
+
   return {
     type: PAYLOAD_TYPES.BALANCE_RESPONSE,
     timestamp: Date.now(),
     requestId: request.requestId,
     walletAddress: request.walletAddress,
+    chainId: request.chainId || null,
     balances: {
       native: balanceData.nativeBalance || '0',
       protocol: balanceData.protocolBalance || null,
       nonce: balanceData.nonce || 0,
+      accountNonce: balanceData.accountNonce ?? null,
     },
     dataSource: 'relayer-ble',
-    signature: relayerSignature,
-    validUntil: Date.now() + (2 * 60 * 1000), // Valid for 2 minutes (FR-33)
+    snapshot,
+    signature: snapshot ? snapshot.signature : null,
+    validUntil: snapshot ? snapshot.validUntil * 1000 : null, // FR-33: window set by the relayer
+    error: balanceData.error || null,
+  };
+}
+
+/**
+ * Create mesh offer payload: the transactions a peer carries, by hash
+ * @param {Array<{ txHash: string, hopCount: number, expiresAt: number }>} offers
+ */
+export function createMeshOfferPayload(offers) {
+  return {
+    type: PAYLOAD_TYPES.MESH_OFFER,
+    timestamp: Date.now(),
+    offers: offers.map(({ txHash, hopCount, expiresAt }) => ({ txHash, hopCount, expiresAt })),
+  };
+}
+
+/**
+ * Create mesh request payload asking an offering peer for the transactions we have not seen
+ */
+export function createMeshRequestPayload(txHashes) {
+  return {
+    type: PAYLOAD_TYPES.MESH_REQUEST,
+    timestamp: Date.now(),
+    txHashes,
+  };
+}
+
+/**
+ * Create mesh forward payload carrying a transaction payload and its gossip state to the next hop
+ */
+export function createMeshForwardPayload(transactionPayload, mesh) {
+  return {
+    type: PAYLOAD_TYPES.MESH_FORWARD,
+    timestamp: Date.now(),
+    txHash: ethers.utils.keccak256(transactionPayload.signedTx),
+    mesh,
+    payload: transactionPayload,
   };
 }
 
@@ -114,65 +246,203 @@ function generateRequestId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Pick the payload format for a peer from the formats it announced in the handshake.
+ * Peers that announce none predate the binary format and get JSON.
+ */
+export function selectPayloadFormat(peerFormats) {
+  const formats = Array.isArray(peerFormats) ? peerFormats : [];
+  return SUPPORTED_PAYLOAD_FORMATS.find((format) => formats.includes(format)) ?? PAYLOAD_FORMATS.JSON;
+}
+
 /**
  * Serialize payload to binary format
+ * BINARY_V1 layout: format(1) + payload type(1) + binaryCodec value of the remaining fields.
  */
-export function serializePayload(payload) {
-  const jsonString = JSON.stringify(payload);
-  return Buffer.from(jsonString, 'utf8');
+export function serializePayload(payload, format = PAYLOAD_FORMATS.JSON) {
+  switch (format) {
+    case PAYLOAD_FORMATS.JSON:
+      return Buffer.from(JSON.stringify(payload), 'utf8');
+    case PAYLOAD_FORMATS.BINARY_V1: {
+      const { type, ...fields } = compactPayload(payload);
+      return Buffer.concat([Buffer.from([format, type]), encodeValue(fields, BINARY_V1_KEYS)]);
+    }
+    default:
+      throw new Error(`Unsupported payload format: ${format}`);
+  }
 }
 
 /**
- * Deserialize payload from binary format
+ * Deserialize payload from binary format, whichever format the sender used
  */
 export function deserializePayload(buffer) {
   try {
-    const jsonString = buffer.toString('utf8');
-    return JSON.parse(jsonString);
+    if (buffer.length === 0) {
+      throw new Error('empty payload');
+    }
+
+    switch (buffer[0]) {
+      case JSON_PAYLOAD_MARKER:
+        return JSON.parse(buffer.toString('utf8'));
+      case PAYLOAD_FORMATS.BINARY_V1: {
+        if (buffer.length < 2) {
+          throw new Error('binary payload truncated');
+        }
+        const fields = decodeValue(buffer.slice(2), BINARY_V1_KEYS);
+        return expandPayload({ type: buffer[1], ...fields });
+      }
+      default:
+        throw new Error(`unsupported payload format ${buffer[0]}`);
+    }
   } catch (error) {
     throw new Error(`Payload deserialization failed: ${error.message}`);
   }
 }
 
+/**
+ * Strip what the receiver can derive: transaction metadata read from `signedTx`, and the
+ * transaction hash of mesh forwards. expandPayload puts it back.
+ */
+function compactPayload(payload) {
+  switch (payload.type) {
+    case PAYLOAD_TYPES.SIGNED_TRANSACTION: {
+      const derived = describeSignedTransaction(payload.signedTx);
+      const metadata = Object.fromEntries(
+        Object.entries(payload.metadata || {}).filter(
+          ([key, value]) => !(key in derived) || JSON.stringify(value) !== JSON.stringify(derived[key])
+        )
+      );
+      return { ...payload, metadata };
+    }
+    case PAYLOAD_TYPES.MESH_FORWARD: {
+      const { txHash, ...forward } = payload;
+      return txHash === ethers.utils.keccak256(payload.payload.signedTx)
+        ? { ...forward, payload: compactPayload(payload.payload) }
+        : { ...payload, payload: compactPayload(payload.payload) };
+    }
+    default:
+      return payload;
+  }
+}
+
+function expandPayload(payload) {
+  switch (payload.type) {
+    case PAYLOAD_TYPES.SIGNED_TRANSACTION:
+      return {
+        ...payload,
+        metadata: { ...describeSignedTransaction(payload.signedTx), ...payload.metadata },
+      };
+    case PAYLOAD_TYPES.MESH_FORWARD: {
+      const transactionPayload = expandPayload(payload.payload);
+      return {
+        ...payload,
+        txHash: payload.txHash ?? ethers.utils.keccak256(transactionPayload.signedTx),
+        payload: transactionPayload,
+      };
+    }
+    default:
+      return payload;
+  }
+}
+
+/**
+ * Whether a peer reads compressed payloads, from the compression methods it announced in the handshake
+ */
+export function supportsPayloadCompression(peerCompression) {
+  return Array.isArray(peerCompression) && peerCompression.includes(PAYLOAD_COMPRESSION.DEFLATE);
+}
+
+/**
+ * Deflate serialized payload bytes; null when that does not make them smaller
+ */
+export function compressPayload(serialized) {
+  const compressed = Buffer.from(deflateRaw(serialized, { level: 9 }));
+  return compressed.length < serialized.length ? compressed : null;
+}
+
+/**
+ * Inflate payload bytes written by compressPayload
+ */
+export function decompressPayload(compressed) {
+  const inflator = new Inflate({ raw: true });
+  const parts = [];
+  let size = 0;
+
+  inflator.onData = (data) => {
+    size += data.length;
+    if (size > MAX_DECOMPRESSED_SIZE) {
+      throw new Error(`Decompressed payload exceeds ${MAX_DECOMPRESSED_SIZE} bytes`);
+    }
+    parts.push(Buffer.from(data));
+  };
+  inflator.push(compressed, true);
+
+  if (inflator.err) {
+    throw new Error(`Payload decompression failed: ${inflator.msg}`);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Payload bytes that fit in one chunk for an ATT MTU: one GATT write minus the chunk header
+ */
+export function getMaxPayloadPerChunk(mtu = DEFAULT_ATT_MTU) {
+  const writeSize = Math.min(Math.max(mtu, DEFAULT_ATT_MTU) - ATT_OVERHEAD, MAX_ATTRIBUTE_VALUE_SIZE);
+  return writeSize - CHUNK_HEADER_SIZE;
+}
+
 /**
  * Split payload into BLE-compatible chunks
+ * @param {Object} payload
+ * @param {number} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.transferId] - 0-255; tells consecutive payloads of one session apart, so
+ *   retransmitted chunks of a finished payload are never mixed into the next one
+ * @param {number} [options.mtu] - ATT MTU negotiated with the peer; without one, chunks fit the
+ *   23-byte BLE 4.0 default
+ * @param {number} [options.format] - One of PAYLOAD_FORMATS the peer reads (see selectPayloadFormat)
+ * @param {boolean} [options.compress] - Deflate the payload when that makes it smaller; only for
+ *   peers that read compressed payloads (see supportsPayloadCompression)
+ * @param {Function} [options.encrypt] - Seals the (compressed) payload bytes before they are chunked
  */
-export function chunkPayload(payload, sessionId) {
-  const serialized = serializePayload(payload);
+export function chunkPayload(payload, sessionId, {
+  transferId = 0,
+  mtu = DEFAULT_ATT_MTU,
+  format = PAYLOAD_FORMATS.JSON,
+  compress = false,
+  encrypt = null,
+} = {}) {
+  let serialized = serializePayload(payload, format);
+  let compressionFlag = 0;
+
+  const compressed = compress ? compressPayload(serialized) : null;
+  if (compressed) {
+    serialized = compressed;
+    compressionFlag = CHUNK_FLAGS.COMPRESSED;
+  }
+  if (encrypt) {
+    serialized = encrypt(serialized);
+  }
+  serialized = Buffer.concat([calculatePayloadDigest(serialized), serialized]);
+
   const totalSize = serialized.length;
+  const maxPayloadPerChunk = getMaxPayloadPerChunk(mtu);
+  const totalChunks = Math.max(1, Math.ceil(totalSize / maxPayloadPerChunk));
   const chunks = [];
+
+  if (totalChunks > MAX_CHUNKS_PER_PAYLOAD) {
+    throw new Error(`Payload too large: ${totalSize} bytes need ${totalChunks} chunks at MTU ${mtu}`);
+  }
   
-  if (totalSize <= MAX_PAYLOAD_PER_CHUNK) {
-    // Single chunk
-    const chunk = createChunk(
-      sessionId,
-      0, // sequence
-      CHUNK_FLAGS.SINGLE_CHUNK,
-      serialized
-    );
-    chunks.push(chunk);
-  } else {
-    // Multiple chunks
-    let offset = 0;
-    let sequence = 0;
+  for (let sequence = 0; sequence < totalChunks; sequence++) {
+    const offset = sequence * maxPayloadPerChunk;
     
-    while (offset < totalSize) {
-      const remainingBytes = totalSize - offset;
-      const chunkSize = Math.min(remainingBytes, MAX_PAYLOAD_PER_CHUNK);
-      const isFirst = offset === 0;
-      const isLast = offset + chunkSize >= totalSize;
-      
-      let flags = CHUNK_FLAGS.MIDDLE_CHUNK;
-      if (isFirst) flags |= CHUNK_FLAGS.FIRST_CHUNK;
-      if (isLast) flags |= CHUNK_FLAGS.LAST_CHUNK;
-      
-      const chunkData = serialized.slice(offset, offset + chunkSize);
-      const chunk = createChunk(sessionId, sequence, flags, chunkData);
-      
-      chunks.push(chunk);
-      offset += chunkSize;
-      sequence++;
-    }
+    let flags = CHUNK_FLAGS.MIDDLE_CHUNK | compressionFlag;
+    if (sequence === 0) flags |= CHUNK_FLAGS.FIRST_CHUNK;
+    if (sequence === totalChunks - 1) flags |= CHUNK_FLAGS.LAST_CHUNK;
+    
+    const chunkData = serialized.slice(offset, offset + maxPayloadPerChunk);
+    chunks.push(createChunk(sessionId, transferId, sequence, totalChunks, flags, chunkData));
   }
   
   return chunks;
@@ -181,19 +451,23 @@ export function chunkPayload(payload, sessionId) {
 /**
  * Create individual chunk with header
  */
-function createChunk(sessionId, sequence, flags, data) {
+function createChunk(sessionId, transferId, sequence, totalChunks, flags, data) {
   const checksum = calculateChecksum(data);
   
-  // Create header: sessionId(4) + sequence(2) + flags(1) + checksum(2)
+  // Create header: sessionId(4) + transferId(1) + sequence(2) + totalChunks(2) + flags(1) + checksum(2)
   const header = Buffer.alloc(CHUNK_HEADER_SIZE);
   header.writeUInt32LE(sessionId, 0);
-  header.writeUInt16LE(sequence, 4);
-  header.writeUInt8(flags, 6);
-  header.writeUInt16LE(checksum, 7);
+  header.writeUInt8(transferId, 4);
+  header.writeUInt16LE(sequence, 5);
+  header.writeUInt16LE(totalChunks, 7);
+  header.writeUInt8(flags, 9);
+  header.writeUInt16LE(checksum, 10);
   
   return {
     sessionId,
+    transferId,
     sequence,
+    totalChunks,
     flags,
     checksum,
     data,
@@ -202,20 +476,29 @@ function createChunk(sessionId, sequence, flags, data) {
 }
 
 /**
- * Parse chunk from raw BLE data
+ * Read a chunk header without checking the data, e.g. to NACK a chunk that failed its checksum
  */
-export function parseChunk(rawData) {
+export function parseChunkHeader(rawData) {
   if (rawData.length < CHUNK_HEADER_SIZE) {
     throw new Error('Invalid chunk: too small');
   }
-  
-  const header = rawData.slice(0, CHUNK_HEADER_SIZE);
+
+  return {
+    sessionId: rawData.readUInt32LE(0),
+    transferId: rawData.readUInt8(4),
+    sequence: rawData.readUInt16LE(5),
+    totalChunks: rawData.readUInt16LE(7),
+    flags: rawData.readUInt8(9),
+    checksum: rawData.readUInt16LE(10),
+  };
+}
+
+/**
+ * Parse chunk from raw BLE data
+ */
+export function parseChunk(rawData) {
+  const { sessionId, transferId, sequence, totalChunks, flags, checksum: expectedChecksum } = parseChunkHeader(rawData);
   const data = rawData.slice(CHUNK_HEADER_SIZE);
-  
-  const sessionId = header.readUInt32LE(0);
-  const sequence = header.readUInt16LE(4);
-  const flags = header.readUInt8(6);
-  const expectedChecksum = header.readUInt16LE(7);
   const actualChecksum = calculateChecksum(data);
   
   if (expectedChecksum !== actualChecksum) {
@@ -224,7 +507,9 @@ export function parseChunk(rawData) {
   
   return {
     sessionId,
+    transferId,
     sequence,
+    totalChunks,
     flags,
     checksum: actualChecksum,
     data,
@@ -232,14 +517,34 @@ export function parseChunk(rawData) {
   };
 }
 
+/**
+ * Chunk framing to use with a peer: the highest version both of us read, or null when there is none.
+ * A peer announces the newest framing it reads and reads every one from CHUNK_FRAMING_VERSION up to it.
+ * Nothing older is ever chosen, since payloads on it would go out unencrypted.
+ * @returns {number|null}
+ */
+export function selectChunkFraming(announcedFraming) {
+  if (!Number.isInteger(announcedFraming) || announcedFraming < CHUNK_FRAMING_VERSION) {
+    return null;
+  }
+  return CHUNK_FRAMING_VERSION;
+}
+
 /**
  * Reassemble chunks into original payload
+ * @param {Object} [options]
+ * @param {Function} [options.decrypt] - Opens the payload bytes sealed by chunkPayload's encrypt
  */
 export class PayloadAssembler {
-  constructor(sessionId) {
+  constructor(sessionId, transferId = 0, { decrypt = null } = {}) {
     this.sessionId = sessionId;
+    this.transferId = transferId;
+    this.decrypt = decrypt;
     this.chunks = new Map(); // sequence -> chunk
+    this.nackedSequences = new Set(); // missing sequences already reported to the sender
     this.totalChunks = null;
+    this.compressionFlag = 0;
+    this.digestMismatch = false; // set when all chunks arrived but the payload digest did not match
     this.isComplete = false;
     this.payload = null;
   }
@@ -248,7 +553,27 @@ export class PayloadAssembler {
     if (chunk.sessionId !== this.sessionId) {
       throw new Error(`Session ID mismatch: expected ${this.sessionId}, got ${chunk.sessionId}`);
     }
+
+    if (chunk.transferId !== this.transferId) {
+      throw new Error(`Transfer ID mismatch: expected ${this.transferId}, got ${chunk.transferId}`);
+    }
+
+    const { totalChunks } = chunk;
+    if (this.totalChunks !== null && totalChunks !== this.totalChunks) {
+      throw new Error(`Chunk count mismatch: expected ${this.totalChunks}, got ${totalChunks}`);
+    }
+
+    if (totalChunks !== null && chunk.sequence >= totalChunks) {
+      throw new Error(`Chunk sequence ${chunk.sequence} out of range for ${totalChunks} chunks`);
+    }
     
+    if (this.chunks.size > 0 && (chunk.flags & CHUNK_FLAGS.COMPRESSED) !== this.compressionFlag) {
+      throw new Error('Compression flag differs between chunks of one payload');
+    }
+
+    this.totalChunks = totalChunks;
+    this.compressionFlag = chunk.flags & CHUNK_FLAGS.COMPRESSED;
+
     if (this.chunks.has(chunk.sequence)) {
       // Duplicate chunk - ignore or log warning
       return false;
@@ -265,23 +590,8 @@ export class PayloadAssembler {
   _checkCompletion() {
     if (this.isComplete) return;
     
-    const sequences = Array.from(this.chunks.keys()).sort((a, b) => a - b);
-    
-    // Check for gaps
-    for (let i = 0; i < sequences.length - 1; i++) {
-      if (sequences[i + 1] - sequences[i] !== 1) {
-        return; // Gap found
-      }
-    }
-    
-    // Check if we have first and last chunks
-    const firstChunk = this.chunks.get(0);
-    if (!firstChunk || !(firstChunk.flags & CHUNK_FLAGS.FIRST_CHUNK)) {
-      return;
-    }
-    
-    const lastChunk = this.chunks.get(sequences[sequences.length - 1]);
-    if (!lastChunk || !(lastChunk.flags & CHUNK_FLAGS.LAST_CHUNK)) {
+    // Sequences are unique and below totalChunks, so the count tells when every chunk is in
+    if (this.totalChunks === null || this.chunks.size < this.totalChunks) {
       return;
     }
     
@@ -293,15 +603,54 @@ export class PayloadAssembler {
     const sequences = Array.from(this.chunks.keys()).sort((a, b) => a - b);
     const dataBuffers = sequences.map(seq => this.chunks.get(seq).data);
     const completeBuffer = Buffer.concat(dataBuffers);
+
+    const payloadBytes = completeBuffer.slice(PAYLOAD_DIGEST_SIZE);
+    if (!completeBuffer.slice(0, PAYLOAD_DIGEST_SIZE).equals(calculatePayloadDigest(payloadBytes))) {
+      // Drop every chunk: the bad one cannot be told apart, so the sender resends the whole payload
+      this.chunks.clear();
+      this.nackedSequences.clear();
+      this.digestMismatch = true;
+      return;
+    }
     
+    this._deserialize(payloadBytes);
+  }
+
+  _deserialize(payloadBytes) {
     try {
-      this.payload = deserializePayload(completeBuffer);
+      const plaintext = this.decrypt ? this.decrypt(payloadBytes) : payloadBytes;
+      this.payload = deserializePayload(this.compressionFlag ? decompressPayload(plaintext) : plaintext);
       this.isComplete = true;
     } catch (error) {
       throw new Error(`Payload reassembly failed: ${error.message}`);
     }
   }
   
+  /**
+   * Lowest sequence not received yet: every chunk before it has arrived
+   */
+  getNextExpectedSequence() {
+    let sequence = 0;
+    while (this.chunks.has(sequence)) {
+      sequence++;
+    }
+    return sequence;
+  }
+
+  /**
+   * Sequences missing below the highest one received (gaps the sender has to fill)
+   */
+  getMissingSequences() {
+    const highest = Math.max(-1, ...this.chunks.keys());
+    const missing = [];
+    for (let sequence = this.getNextExpectedSequence(); sequence < highest; sequence++) {
+      if (!this.chunks.has(sequence)) {
+        missing.push(sequence);
+      }
+    }
+    return missing;
+  }
+
   getProgress() {
     return {
       receivedChunks: this.chunks.size,
@@ -313,10 +662,122 @@ export class PayloadAssembler {
 }
 
 /**
- * Calculate simple checksum for chunk validation
+ * Create a control frame (chunk ACK, NACK or error) for the control characteristic
+ * @param {number} type - One of CONTROL_FRAME_TYPES
+ * @param {Object} frame
+ * @param {number} frame.sessionId - Session of the payload's chunks
+ * @param {number} frame.transferId - Transfer the frame is about
+ * @param {number} [frame.sequence] - ACK: the chunk received; NACK: first sequence of the bitmap
+ * @param {number} [frame.nextExpected] - ACK: every chunk below this sequence has arrived
+ * @param {number[]} [frame.missing] - NACK: sequences to retransmit
+ * @param {string} [frame.reason] - ERROR: why the receiver gave up
+ */
+export function createControlFrame(type, { sessionId, transferId, sequence = 0, nextExpected = 0, missing = [], reason = '' }) {
+  let body;
+  switch (type) {
+    case CONTROL_FRAME_TYPES.CHUNK_ACK:
+      body = Buffer.alloc(2);
+      body.writeUInt16LE(nextExpected, 0);
+      break;
+    case CONTROL_FRAME_TYPES.CHUNK_NACK: {
+      // Bit i set: sequence + i is missing
+      const base = missing.length ? Math.min(...missing) : sequence;
+      const bitmap = Buffer.alloc(MAX_NACK_BITMAP_BYTES);
+      let length = 0;
+      for (const missingSequence of missing) {
+        const offset = missingSequence - base;
+        if (offset < MAX_NACK_BITMAP_BYTES * 8) {
+          bitmap[offset >> 3] |= 1 << (offset & 7);
+          length = Math.max(length, (offset >> 3) + 1);
+        }
+      }
+      sequence = base;
+      body = Buffer.concat([Buffer.from([length]), bitmap.slice(0, length)]);
+      break;
+    }
+    case CONTROL_FRAME_TYPES.CHUNK_ERROR:
+      body = Buffer.from(reason.slice(0, 120), 'utf8');
+      break;
+    default:
+      throw new Error(`Unknown control frame type: ${type}`);
+  }
+
+  const header = Buffer.alloc(CONTROL_FRAME_HEADER_SIZE);
+  header.writeUInt8(type, 0);
+  header.writeUInt32LE(sessionId, 1);
+  header.writeUInt8(transferId, 5);
+  header.writeUInt16LE(sequence, 6);
+
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Parse a control frame written by the receiver of a chunked payload
+ */
+export function parseControlFrame(rawData) {
+  if (rawData.length < CONTROL_FRAME_HEADER_SIZE) {
+    throw new Error('Invalid control frame: too small');
+  }
+
+  const frame = {
+    type: rawData.readUInt8(0),
+    sessionId: rawData.readUInt32LE(1),
+    transferId: rawData.readUInt8(5),
+    sequence: rawData.readUInt16LE(6),
+  };
+  const body = rawData.slice(CONTROL_FRAME_HEADER_SIZE);
+
+  switch (frame.type) {
+    case CONTROL_FRAME_TYPES.CHUNK_ACK:
+      if (body.length < 2) {
+        throw new Error('Invalid chunk ACK: too small');
+      }
+      return { ...frame, nextExpected: body.readUInt16LE(0) };
+    case CONTROL_FRAME_TYPES.CHUNK_NACK: {
+      const length = body.length > 0 ? body.readUInt8(0) : 0;
+      if (body.length < 1 + length) {
+        throw new Error('Invalid chunk NACK: bitmap truncated');
+      }
+      const missing = [];
+      for (let offset = 0; offset < length * 8; offset++) {
+        if (body[1 + (offset >> 3)] & (1 << (offset & 7))) {
+          missing.push(frame.sequence + offset);
+        }
+      }
+      return { ...frame, missing };
+    }
+    case CONTROL_FRAME_TYPES.CHUNK_ERROR:
+      return { ...frame, reason: body.toString('utf8') };
+    default:
+      throw new Error(`Unknown control frame type: ${frame.type}`);
+  }
+}
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+/**
+ * Digest of a whole payload's bytes: the first PAYLOAD_DIGEST_SIZE bytes of their SHA-256
+ */
+function calculatePayloadDigest(bytes) {
+  return Buffer.from(ethers.utils.arrayify(ethers.utils.sha256(bytes))).slice(0, PAYLOAD_DIGEST_SIZE);
+}
+
+/**
+ * Calculate simple checksum for chunk validation: the low 16 bits of the data's CRC-32
  */
 function calculateChecksum(data) {
-  return CryptoJS.CRC32(data.toString('hex')).toString() & 0xFFFF;
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0) & 0xFFFF;
 }
 
 /**
@@ -331,12 +792,26 @@ export default {
   createAckPayload,
   createBalanceRequestPayload,
   createBalanceResponsePayload,
+  createMeshOfferPayload,
+  createMeshRequestPayload,
+  createMeshForwardPayload,
+  selectPayloadFormat,
+  supportsPayloadCompression,
+  compressPayload,
+  decompressPayload,
   serializePayload,
   deserializePayload,
+  getMaxPayloadPerChunk,
   chunkPayload,
   parseChunk,
+  parseChunkHeader,
+  selectChunkFraming,
+  createControlFrame,
+  parseControlFrame,
   PayloadAssembler,
   generateSessionId,
   PAYLOAD_TYPES,
+  PAYLOAD_FORMATS,
   CHUNK_FLAGS,
+  CONTROL_FRAME_TYPES,
 };
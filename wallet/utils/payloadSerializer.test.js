@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+import { deflateRaw } from 'pako';
+import {
+  CHUNK_FLAGS,
+  CHUNK_FRAMING_VERSION,
+  CHUNK_HEADER_SIZE,
+  DEFAULT_ATT_MTU,
+  PAYLOAD_FORMATS,
+  PayloadAssembler,
+  chunkPayload,
+  compressPayload,
+  createTransactionPayload,
+  decompressPayload,
+  getMaxPayloadPerChunk,
+  parseChunk,
+  selectChunkFraming,
+} from './payloadSerializer';
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const signTransfer = () => wallet.signTransaction({
+  to: '0x0A098Eda01Ce92ff4A4CCb7A4fFFb5A43EBC70DC',
+  value: ethers.utils.parseEther('1'),
+  nonce: 10,
+  gasLimit: 21000,
+  gasPrice: 10000000000,
+  chainId: 545,
+});
+
+const reassemble = (chunks, sessionId) => {
+  const assembler = new PayloadAssembler(sessionId);
+  chunks.forEach((chunk) => assembler.addChunk(parseChunk(chunk.raw)));
+  return assembler;
+};
+
+describe('chunk sizing', () => {
+  test('chunks fill one GATT write at the negotiated MTU', () => {
+    const chunks = chunkPayload({ type: 'PING', filler: 'x'.repeat(400) }, 7, { mtu: 185 });
+
+    chunks.slice(0, -1).forEach((chunk) => expect(chunk.raw.length).toBe(185 - 3));
+    expect(getMaxPayloadPerChunk(185)).toBe(185 - 3 - CHUNK_HEADER_SIZE);
+    expect(getMaxPayloadPerChunk(1024)).toBe(512 - CHUNK_HEADER_SIZE);
+  });
+
+  test('sends 20-byte chunks to peers that keep the BLE 4.0 default MTU', async () => {
+    const payload = createTransactionPayload(await signTransfer(), { amountEth: '1.0' });
+    const chunks = chunkPayload(payload, 7, { mtu: DEFAULT_ATT_MTU });
+    const assembler = reassemble(chunks, 7);
+
+    chunks.forEach((chunk) => expect(chunk.raw.length).toBeLessThanOrEqual(20));
+    expect(chunks[0].raw.length).toBe(20);
+    expect(chunks[0].totalChunks).toBe(chunks.length);
+    expect(assembler.isComplete).toBe(true);
+    expect(assembler.payload).toEqual(JSON.parse(JSON.stringify(payload)));
+    expect(chunkPayload(payload, 7)).toEqual(chunks);
+  });
+});
+
+describe('chunk framing negotiation', () => {
+  test('settles on our framing with peers that read it, and on none with older peers', () => {
+    expect(selectChunkFraming(CHUNK_FRAMING_VERSION)).toBe(CHUNK_FRAMING_VERSION);
+    expect(selectChunkFraming(CHUNK_FRAMING_VERSION + 1)).toBe(CHUNK_FRAMING_VERSION);
+    expect(selectChunkFraming(CHUNK_FRAMING_VERSION - 1)).toBeNull();
+    expect(selectChunkFraming(0)).toBeNull();
+    expect(selectChunkFraming(null)).toBeNull();
+    expect(selectChunkFraming('4')).toBeNull();
+  });
+});
+
+describe('payload compression', () => {
+  test('compressed payloads are flagged on every chunk and round trip', async () => {
+    const payload = createTransactionPayload(await signTransfer(), { note: 'repeated '.repeat(40) });
+    const plain = chunkPayload(payload, 7, { mtu: 64, format: PAYLOAD_FORMATS.BINARY_V1 });
+    const compressed = chunkPayload(payload, 7, { mtu: 64, format: PAYLOAD_FORMATS.BINARY_V1, compress: true });
+
+    expect(compressed.length).toBeLessThan(plain.length);
+    compressed.forEach((chunk) => expect(chunk.flags & CHUNK_FLAGS.COMPRESSED).toBe(CHUNK_FLAGS.COMPRESSED));
+    expect(reassemble(compressed, 7).payload).toEqual(reassemble(plain, 7).payload);
+  });
+
+  test('payloads that deflate does not shrink are sent as they are', () => {
+    expect(compressPayload(Buffer.from([1, 2, 3]))).toBeNull();
+  });
+
+  test('rejects chunks of one payload that disagree on compression', () => {
+    const chunks = chunkPayload({ type: 'PING', note: 'repeated '.repeat(40) }, 7, { mtu: 48, compress: true });
+    const assembler = new PayloadAssembler(7);
+    assembler.addChunk(chunks[0]);
+
+    const uncompressed = { ...chunks[1], flags: chunks[1].flags & ~CHUNK_FLAGS.COMPRESSED };
+    expect(() => assembler.addChunk(uncompressed)).toThrow('Compression flag differs');
+  });
+
+  test('stops inflating a deflate bomb', () => {
+    const bomb = Buffer.from(deflateRaw(Buffer.alloc(1024 * 1024), { level: 9 }));
+
+    expect(bomb.length).toBeLessThan(2048);
+    expect(() => decompressPayload(bomb)).toThrow('Decompressed payload exceeds 262144 bytes');
+  });
+
+  test('rejects corrupt deflate data', () => {
+    expect(() => decompressPayload(Buffer.from([0xff, 0xff, 0xff]))).toThrow('Payload decompression failed');
+  });
+});
+
+describe('payload digest', () => {
+  test('a payload whose chunks pass their checksums but not the digest is dropped for a full resend', async () => {
+    const payload = createTransactionPayload(await signTransfer());
+    const chunks = chunkPayload(payload, 7, { mtu: 64 });
+    const assembler = new PayloadAssembler(7);
+
+    // A corruption the 16-bit chunk checksum misses
+    const corrupted = Buffer.from(chunks[1].data);
+    corrupted[0] ^= 0xff;
+    assembler.addChunk({ ...chunks[1], data: corrupted });
+    chunks.filter((chunk) => chunk.sequence !== 1).forEach((chunk) => assembler.addChunk(chunk));
+
+    expect(assembler.digestMismatch).toBe(true);
+    expect(assembler.isComplete).toBe(false);
+    expect(assembler.getProgress().receivedChunks).toBe(0);
+    expect(assembler.getNextExpectedSequence()).toBe(0);
+
+    assembler.digestMismatch = false;
+    chunks.forEach((chunk) => assembler.addChunk(chunk));
+
+    expect(assembler.isComplete).toBe(true);
+    expect(assembler.payload.signedTx).toBe(payload.signedTx);
+  });
+
+  test('the digest covers the sealed bytes, so a tampered ciphertext never reaches decrypt', () => {
+    const decrypt = jest.fn((bytes) => bytes);
+    const chunks = chunkPayload({ type: 'PING' }, 7, { mtu: 64, encrypt: (bytes) => bytes });
+    const tampered = Buffer.from(chunks[0].data);
+    tampered[tampered.length - 1] ^= 0x01;
+
+    const assembler = new PayloadAssembler(7, 0, { decrypt });
+    assembler.addChunk({ ...chunks[0], data: tampered });
+
+    expect(assembler.digestMismatch).toBe(true);
+    expect(decrypt).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import { ethers } from "ethers"
+
+/**
+ * Calls to the OffGridPay protocol contract, built and signed offline.
+ * The write ABI is shared with `relayer/lib/protocolContract.js`, which decodes these calls in acks.
+ */
+const PROTOCOL_WRITE_ABI = [
+  "function depositFlow() payable",
+  "function withdrawFlow(uint256 amount)",
+  "function transfer(address to, uint256 amount)",
+]
+
+const protocolInterface = new ethers.utils.Interface(PROTOCOL_WRITE_ABI)
+
+export const SEND_ACTIONS = {
+  NATIVE_TRANSFER: "native-transfer",
+  DEPOSIT: "deposit",
+  WITHDRAW: "withdraw",
+  PROTOCOL_TRANSFER: "protocol-transfer",
+}
+
+// Gas cannot be estimated offline; these cover the contract's storage writes with headroom
+const GAS_LIMITS = {
+  [SEND_ACTIONS.NATIVE_TRANSFER]: 21000,
+  [SEND_ACTIONS.DEPOSIT]: 120000,
+  [SEND_ACTIONS.WITHDRAW]: 120000,
+  [SEND_ACTIONS.PROTOCOL_TRANSFER]: 120000,
+}
+
+export const actionNeedsRecipient = (action) =>
+  action === SEND_ACTIONS.NATIVE_TRANSFER || action === SEND_ACTIONS.PROTOCOL_TRANSFER
+
+/**
+ * Transaction fields (`to`, `value`, `data`, `gasLimit`) for a send action
+ * @param {string} action - One of SEND_ACTIONS
+ * @param {object} options
+ * @param {string} options.amount - Amount in ether units
+ * @param {string} [options.recipient] - Native or protocol-balance recipient
+ * @param {string} [options.contractAddress] - Protocol contract, required for protocol actions
+ */
+export const buildSendTransaction = (action, { amount, recipient, contractAddress }) => {
+  const amountWei = ethers.utils.parseEther(amount)
+  const gasLimit = GAS_LIMITS[action]
+
+  if (action === SEND_ACTIONS.NATIVE_TRANSFER) {
+    return { to: recipient, value: amountWei, data: "0x", gasLimit }
+  }
+
+  if (!contractAddress) {
+    throw new Error("Protocol contract address unknown; refresh your balance while online first")
+  }
+
+  switch (action) {
+    case SEND_ACTIONS.DEPOSIT:
+      return { to: contractAddress, value: amountWei, data: protocolInterface.encodeFunctionData("depositFlow"), gasLimit }
+    case SEND_ACTIONS.WITHDRAW:
+      return {
+        to: contractAddress,
+        value: ethers.constants.Zero,
+        data: protocolInterface.encodeFunctionData("withdrawFlow", [amountWei]),
+        gasLimit,
+      }
+    case SEND_ACTIONS.PROTOCOL_TRANSFER:
+      return {
+        to: contractAddress,
+        value: ethers.constants.Zero,
+        data: protocolInterface.encodeFunctionData("transfer", [recipient, amountWei]),
+        gasLimit,
+      }
+    default:
+      throw new Error(`Unknown send action ${action}`)
+  }
+}
+
+/**
+ * Recover the send action from a signed transaction, e.g. to rebuild it as a replacement.
+ * Throws for contract calls this wallet does not build.
+ * @returns {{ action: string, amount: string, recipient: string|null }}
+ */
+export const describeSendTransaction = ({ to, value, data }) => {
+  if (!data || data === "0x") {
+    return { action: SEND_ACTIONS.NATIVE_TRANSFER, amount: ethers.utils.formatEther(value), recipient: to }
+  }
+
+  const call = protocolInterface.parseTransaction({ data, value })
+  switch (call.name) {
+    case "depositFlow":
+      return { action: SEND_ACTIONS.DEPOSIT, amount: ethers.utils.formatEther(value), recipient: null }
+    case "withdrawFlow":
+      return { action: SEND_ACTIONS.WITHDRAW, amount: ethers.utils.formatEther(call.args.amount), recipient: null }
+    default:
+      return {
+        action: SEND_ACTIONS.PROTOCOL_TRANSFER,
+        amount: ethers.utils.formatEther(call.args.amount),
+        recipient: call.args.to,
+      }
+  }
+}
@@ -0,0 +1,62 @@
+import { ethers } from "ethers"
+import { RELAYER_HEALTHCHECK_URL } from "../config/env"
+import { addTrustedRelayer, fetchTrustedRelayers } from "./db"
+
+/**
+ * Trusted relayer registry. Ack and balance snapshot verifiers only accept signatures
+ * from relayers listed here and not revoked.
+ */
+
+/**
+ * Every relayer that is currently trusted, as `{ chainId, address }` with a lowercase address.
+ * Relayers sign with a key per network, so trust in one never carries over to another.
+ * @returns {Promise<{ chainId: number, address: string }[]>}
+ */
+export const getTrustedRelayers = async () => {
+  const relayers = await fetchTrustedRelayers()
+  return relayers
+    .filter((relayer) => !relayer.revoked)
+    .map((relayer) => ({ chainId: Number(relayer.chainId), address: relayer.address }))
+}
+
+export const isTrustedRelayer = (address, chainId, trustedRelayers = []) => {
+  return (
+    Boolean(address) &&
+    trustedRelayers.some(
+      (relayer) => relayer.chainId === Number(chainId) && relayer.address === address.toLowerCase()
+    )
+  )
+}
+
+/**
+ * Seed a network's registry from the relayer's `/health` `relayerAddress` on first online contact
+ * with that network. Once the network's registry holds an entry, later contacts never add signers
+ * on their own.
+ * @param {object} options
+ * @param {number} options.chainId - Network the wallet uses; relayers sign with a key per network
+ * @param {string} [options.healthUrl]
+ * @returns {Promise<string|null>} - The seeded address, or null when nothing was added
+ */
+export const seedTrustedRelayerFromHealth = async ({ chainId, healthUrl = RELAYER_HEALTHCHECK_URL }) => {
+  const existing = await fetchTrustedRelayers(chainId)
+  if (existing.length > 0) {
+    return null
+  }
+
+  const response = await fetch(`${healthUrl}?chainId=${chainId}`)
+  if (!response.ok) {
+    throw new Error(`Relayer health check returned ${response.status}`)
+  }
+
+  const health = await response.json()
+  if (Number(health.chainId) !== Number(chainId)) {
+    throw new Error(`Relayer health check is for chain ${health.chainId}, expected ${chainId}`)
+  }
+  if (!ethers.utils.isAddress(health.relayerAddress)) {
+    throw new Error("Relayer health check did not report a relayer address")
+  }
+
+  const label = healthUrl.replace(/^https?:\/\//, "").split("/")[0]
+  const added = await addTrustedRelayer(chainId, health.relayerAddress, label)
+  return added ? health.relayerAddress.toLowerCase() : null
+}
@@ -0,0 +1,70 @@
+import { addTrustedRelayer, fetchTrustedRelayers } from "./db"
+import { getTrustedRelayers, isTrustedRelayer, seedTrustedRelayerFromHealth } from "./trustedRelayers"
+
+jest.mock("./db", () => ({
+  addTrustedRelayer: jest.fn(),
+  fetchTrustedRelayers: jest.fn(),
+}))
+
+const testnetRelayer = "0x1111111111111111111111111111111111111111"
+const mainnetRelayer = "0x2222222222222222222222222222222222222222"
+
+const healthResponse = (body) => ({ ok: true, status: 200, json: async () => body })
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  global.fetch = jest.fn()
+})
+
+describe("isTrustedRelayer", () => {
+  const registry = [{ chainId: 545, address: testnetRelayer }]
+
+  test("matches the address on its own network only", () => {
+    expect(isTrustedRelayer(testnetRelayer.toUpperCase().replace("0X", "0x"), 545, registry)).toBe(true)
+    expect(isTrustedRelayer(testnetRelayer, 747, registry)).toBe(false)
+    expect(isTrustedRelayer(mainnetRelayer, 545, registry)).toBe(false)
+    expect(isTrustedRelayer(null, 545, registry)).toBe(false)
+  })
+})
+
+describe("getTrustedRelayers", () => {
+  test("leaves out revoked entries", async () => {
+    fetchTrustedRelayers.mockResolvedValue([
+      { chainId: 545, address: testnetRelayer, revoked: false },
+      { chainId: 747, address: mainnetRelayer, revoked: true },
+    ])
+
+    await expect(getTrustedRelayers()).resolves.toEqual([{ chainId: 545, address: testnetRelayer }])
+  })
+})
+
+describe("seedTrustedRelayerFromHealth", () => {
+  test("seeds a network even when another network is already trusted", async () => {
+    fetchTrustedRelayers.mockImplementation(async (chainId) =>
+      chainId === 545 ? [{ chainId: 545, address: testnetRelayer, revoked: false }] : []
+    )
+    fetch.mockResolvedValue(healthResponse({ chainId: 747, relayerAddress: mainnetRelayer }))
+    addTrustedRelayer.mockResolvedValue(true)
+
+    await expect(seedTrustedRelayerFromHealth({ chainId: 747, healthUrl: "http://relayer:3000/health" })).resolves.toBe(
+      mainnetRelayer
+    )
+    expect(fetch).toHaveBeenCalledWith("http://relayer:3000/health?chainId=747")
+    expect(addTrustedRelayer).toHaveBeenCalledWith(747, mainnetRelayer, "relayer:3000")
+  })
+
+  test("never adds signers to a network that already has one", async () => {
+    fetchTrustedRelayers.mockResolvedValue([{ chainId: 545, address: testnetRelayer, revoked: true }])
+
+    await expect(seedTrustedRelayerFromHealth({ chainId: 545 })).resolves.toBeNull()
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test("rejects a health check for another network", async () => {
+    fetchTrustedRelayers.mockResolvedValue([])
+    fetch.mockResolvedValue(healthResponse({ chainId: 545, relayerAddress: testnetRelayer }))
+
+    await expect(seedTrustedRelayerFromHealth({ chainId: 747 })).rejects.toThrow("is for chain 545, expected 747")
+    expect(addTrustedRelayer).not.toHaveBeenCalled()
+  })
+})
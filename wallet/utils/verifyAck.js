@@ -1,50 +1,41 @@
-import { ethers } from "ethers"
-
-// TODO: Replace this with your actual relayer's public address.
-// The relayer service prints its address to the console on startup.
-const RELAYER_ADDRESS = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"
+import { recoverAckSigner } from "./ackSchema"
+import { getTrustedRelayers, isTrustedRelayer } from "./trustedRelayers"
+import { DEFAULT_NETWORK_CHAIN_ID } from "../config/networks"
 
 /**
  * Verifies the relayer's signature on an acknowledgement.
+ * Supports every EIP-712 ack version listed in ackSchema.js and the legacy unversioned formats.
+ * `valid` covers the signature itself; `trusted` whether the signer is in the trusted relayer registry
+ * of the ack's network (unversioned acks name none and predate other networks: the default one).
  * @param {object} ack - The acknowledgement object received from the relayer.
- * @returns {boolean} - True if the signature is valid and from the expected relayer, false otherwise.
+ * @param {object[]} [trustedRelayers] - Registry entries; loaded from the database when omitted.
+ * @returns {Promise<{ valid: boolean, trusted: boolean, signer: string|null, error: string|null }>}
  */
-export const verifyAck = (ack) => {
+export const verifyAck = async (ack, trustedRelayers) => {
   if (!ack || !ack.relayerSig) {
     console.error("Missing ack or signature")
-    return false
+    return { valid: false, trusted: false, signer: null, error: "Missing ack or signature" }
   }
 
+  let signerAddress
   try {
-    // Re-create the exact hash that the relayer signed
-    const ackHash = ethers.utils.solidityKeccak256(
-      ["bytes32", "uint256", "address", "address", "uint256", "string", "string"],
-      [
-        ack.txHash,
-        ack.blockNumber,
-        ack.from,
-        ack.to,
-        ack.value,
-        ack.newBalances[ack.from],
-        ack.newBalances[ack.to],
-      ]
-    )
-
     // Recover the address of the signer
-    const signerAddress = ethers.utils.verifyMessage(ethers.utils.arrayify(ackHash), ack.relayerSig)
-
-    // Compare the signer's address to the known relayer address
-    const isValid = signerAddress.toLowerCase() === RELAYER_ADDRESS.toLowerCase()
-
-    if (!isValid) {
-      console.error(
-        `Signature verification failed. Expected ${RELAYER_ADDRESS}, got ${signerAddress}`
-      )
-    }
-
-    return isValid
+    signerAddress = recoverAckSigner(ack)
   } catch (error) {
     console.error("Error during signature verification:", error)
-    return false
+    return { valid: false, trusted: false, signer: null, error: error.message }
   }
+
+  const registry = trustedRelayers || (await getTrustedRelayers())
+  if (!isTrustedRelayer(signerAddress, ack.chainId ?? DEFAULT_NETWORK_CHAIN_ID, registry)) {
+    console.error(`Acknowledgement signed by untrusted relayer ${signerAddress}`)
+    return {
+      valid: true,
+      trusted: false,
+      signer: signerAddress,
+      error: `Signer ${signerAddress} is not a trusted relayer`,
+    }
+  }
+
+  return { valid: true, trusted: true, signer: signerAddress, error: null }
 }